@@ -0,0 +1,385 @@
+// Kursalarme für RBC Excellence
+// Alarme liegen in localStorage und werden bei jedem Refresh geprüft: setCacheEntry in
+// live-data.js ruft evaluateAlerts(key, quote, previous) für jeden neuen Kurs auf.
+// Ausgelöst wird über die Notification API (falls erlaubt), sonst als Toast auf der Seite.
+// alerts.html verwaltet die Alarme (aktiv / ausgelöst / pausiert). Muss nach live-data.js
+// geladen werden.
+//
+// Alarm: { id, key: 'yahoo:GC=F', type: 'price-above', value: 2500, currency: 'USD',
+//          status: 'active', createdAtMs, triggeredAtMs?, triggerPrice?, triggerCurrency?,
+//          snoozedUntilMs? }
+// Kursgrenzen gelten in der Anzeigewährung beim Erfassen (`currency`) und werden beim
+// Prüfen umgerechnet. Ältere Alarme ohne `currency` gelten in der Währung der Quote.
+
+const ALERTS_KEY = 'rbc_alerts_v1';
+const ALERT_SNOOZE_MS = 1000 * 60 * 60;
+const ALERT_TOAST_DURATION_MS = 12000;
+// Durchbruch von Tageshoch/-tief nur gegen einen frischen Vorwert prüfen, sonst würde
+// z.B. der erste Kurs des Tages mit dem Hoch von gestern verglichen.
+const ALERT_CROSS_MAX_GAP_MS = 1000 * 60 * 30;
+
+const ALERT_TYPES = {
+    'price-above': {
+        unit: 'price',
+        test: (quote, value) => quote.price >= value
+    },
+    'price-below': {
+        unit: 'price',
+        test: (quote, value) => quote.price <= value
+    },
+    'change-above': {
+        unit: 'percent',
+        test: (quote, value) => Number.isFinite(quote.change) && quote.change >= value
+    },
+    'change-below': {
+        unit: 'percent',
+        test: (quote, value) => Number.isFinite(quote.change) && quote.change <= value
+    },
+    'day-high': {
+        unit: null,
+        test: (quote, value, previous) => Number.isFinite(previous?.high) && quote.price > previous.high
+    },
+    'day-low': {
+        unit: null,
+        test: (quote, value, previous) => Number.isFinite(previous?.low) && quote.price < previous.low
+    }
+};
+
+const ALERT_STATUSES = ['active', 'triggered', 'snoozed'];
+
+function loadAlerts() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(ALERTS_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(alert => alert && ALERT_TYPES[alert.type]) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveAlerts(alerts) {
+    try {
+        localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function createAlert(key, type, value) {
+    const alerts = loadAlerts();
+    const alert = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        key,
+        type,
+        value: ALERT_TYPES[type].unit ? Number(value) : null,
+        currency: ALERT_TYPES[type].unit === 'price' ? getDisplayCurrency() : undefined,
+        status: 'active',
+        createdAtMs: Date.now()
+    };
+    alerts.push(alert);
+    saveAlerts(alerts);
+    return alert;
+}
+
+function updateAlert(id, changes) {
+    const alerts = loadAlerts();
+    const alert = alerts.find(item => item.id === id);
+    if (!alert) return;
+    Object.assign(alert, changes);
+    saveAlerts(alerts);
+    renderAlertManager();
+}
+
+function deleteAlert(id) {
+    saveAlerts(loadAlerts().filter(alert => alert.id !== id));
+    renderAlertManager();
+}
+
+function snoozeAlert(id, durationMs = ALERT_SNOOZE_MS) {
+    updateAlert(id, { status: 'snoozed', snoozedUntilMs: Date.now() + durationMs });
+}
+
+function reactivateAlert(id) {
+    updateAlert(id, {
+        status: 'active',
+        snoozedUntilMs: undefined,
+        triggeredAtMs: undefined,
+        triggerPrice: undefined,
+        triggerCurrency: undefined
+    });
+}
+
+// ==================== FORMATIERUNG ====================
+function formatAlertAmount(alert, value, currency) {
+    return currency ? formatMoney(value, currency) : formatQuoteKeyPrice(alert.key, value);
+}
+
+function describeAlertCondition(alert) {
+    const type = ALERT_TYPES[alert.type];
+    const label = t(`alert.type.${alert.type}`);
+    if (type.unit === 'percent') return `${label} ${formatNumber(alert.value / 100, { style: 'percent', maximumFractionDigits: 2, signDisplay: 'exceptZero' })}`;
+    if (type.unit === 'price') return `${label} ${formatAlertAmount(alert, alert.value, alert.currency)}`;
+    return label;
+}
+
+function describeAlert(alert) {
+    return `${getQuoteKeyName(alert.key)}: ${describeAlertCondition(alert)}`;
+}
+
+function formatAlertTime(tsMs) {
+    return formatDateTime(tsMs, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+// ==================== AUSWERTUNG ====================
+function evaluateAlerts(key, quote, previous) {
+    if (!isValidQuote(quote)) return;
+    const alerts = loadAlerts();
+    if (!alerts.some(alert => alert.key === key)) return;
+
+    const nowMs = Date.now();
+    const freshPrevious = previous && nowMs - Number(previous.tsMs) <= ALERT_CROSS_MAX_GAP_MS ? previous : null;
+    const currency = getQuoteCurrency(quote, parseQuoteKey(key)?.ticker);
+    let changed = false;
+
+    for (const alert of alerts) {
+        if (alert.key !== key) continue;
+        if (alert.status === 'snoozed') {
+            if (nowMs < alert.snoozedUntilMs) continue;
+            alert.status = 'active';
+            delete alert.snoozedUntilMs;
+            changed = true;
+        }
+        if (alert.status !== 'active') continue;
+
+        const type = ALERT_TYPES[alert.type];
+        const price = type.unit === 'price' && alert.currency ? convertAmount(quote.price, currency, alert.currency) : quote.price;
+        if (price === null || !type.test({ ...quote, price }, alert.value, freshPrevious)) continue;
+
+        alert.status = 'triggered';
+        alert.triggeredAtMs = nowMs;
+        alert.triggerPrice = quote.price;
+        alert.triggerCurrency = currency;
+        changed = true;
+        notifyAlert(alert);
+    }
+
+    if (changed) {
+        saveAlerts(alerts);
+        renderAlertManager();
+    }
+}
+
+function notifyAlert(alert) {
+    const title = t('alert.title', { name: getQuoteKeyName(alert.key) });
+    const body = t('alert.body', {
+        condition: describeAlertCondition(alert),
+        price: formatAlertAmount(alert, alert.triggerPrice, alert.triggerCurrency)
+    });
+    console.log(`🔔 ${body}`);
+
+    if (typeof Notification === 'function' && Notification.permission === 'granted') {
+        try {
+            const notification = new Notification(title, { body, tag: `rbc-alert-${alert.id}`, icon: 'img/favicon.svg' });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+            return;
+        } catch {
+            // z.B. Chrome auf Android: Notifications nur über Service Worker -> Toast
+        }
+    }
+    showAlertToast(alert, title, body);
+}
+
+function showAlertToast(alert, title, body) {
+    let stack = document.querySelector('.toast-stack');
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.className = 'toast-stack';
+        stack.setAttribute('role', 'region');
+        stack.setAttribute('aria-label', t('alert.region'));
+        stack.setAttribute('aria-live', 'assertive');
+        document.body.appendChild(stack);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = `
+        <i class="fas fa-bell toast-icon" aria-hidden="true"></i>
+        <div class="toast-content">
+            <strong class="toast-title"></strong>
+            <p class="toast-body"></p>
+            <div class="toast-actions">
+                <button type="button" data-action="snooze">${t('alert.snooze')}</button>
+                <a href="alerts.html">${t('alert.manage')}</a>
+            </div>
+        </div>
+        <button type="button" class="toast-close" aria-label="${t('common.close')}"><i class="fas fa-times" aria-hidden="true"></i></button>`;
+    toast.querySelector('.toast-title').textContent = title;
+    toast.querySelector('.toast-body').textContent = body;
+
+    const close = () => toast.remove();
+    toast.querySelector('.toast-close').addEventListener('click', close);
+    toast.querySelector('[data-action="snooze"]').addEventListener('click', () => {
+        snoozeAlert(alert.id);
+        close();
+    });
+    setTimeout(close, ALERT_TOAST_DURATION_MS);
+    stack.appendChild(toast);
+}
+
+// ==================== ALARM-VERWALTUNG (alerts.html) ====================
+function renderAlertPermission() {
+    const element = document.querySelector('.alert-permission');
+    if (!element) return;
+    const button = element.querySelector('button');
+    const text = element.querySelector('.alert-permission-text');
+
+    if (typeof Notification !== 'function') {
+        text.textContent = t('alert.permission.unsupported');
+        button.hidden = true;
+    } else if (Notification.permission === 'granted') {
+        text.textContent = t('alert.permission.granted');
+        button.hidden = true;
+    } else if (Notification.permission === 'denied') {
+        text.textContent = t('alert.permission.denied');
+        button.hidden = true;
+    } else {
+        text.textContent = t('alert.permission.default');
+        button.hidden = false;
+    }
+}
+
+function createAlertListItem(alert) {
+    const item = document.createElement('li');
+    item.className = `alert-item alert-${alert.status}`;
+
+    const info = document.createElement('div');
+    info.className = 'alert-info';
+    const title = document.createElement('strong');
+    title.textContent = describeAlert(alert);
+    const meta = document.createElement('span');
+    meta.className = 'alert-meta';
+
+    const cached = getCacheEntry(alert.key);
+    const current = t('alert.current', { price: formatQuoteKeyPrice(alert.key, cached?.price) });
+    if (alert.status === 'triggered') {
+        const triggerPrice = formatAlertAmount(alert, alert.triggerPrice, alert.triggerCurrency);
+        meta.textContent = `${t('alert.triggeredAt', { time: formatAlertTime(alert.triggeredAtMs), price: triggerPrice })} · ${current}`;
+    } else if (alert.status === 'snoozed') {
+        meta.textContent = `${t('alert.snoozedUntil', { time: formatAlertTime(alert.snoozedUntilMs) })} · ${current}`;
+    } else {
+        meta.textContent = `${t('alert.createdAt', { time: formatAlertTime(alert.createdAtMs) })} · ${current}`;
+    }
+    info.append(title, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'alert-actions';
+    const addAction = (label, handler) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+    };
+    if (alert.status === 'active') addAction(t('alert.snooze'), () => snoozeAlert(alert.id));
+    else addAction(t(alert.status === 'snoozed' ? 'alert.resume' : 'alert.reactivate'), () => reactivateAlert(alert.id));
+    addAction(t('common.delete'), () => deleteAlert(alert.id));
+
+    item.append(info, actions);
+    return item;
+}
+
+function renderAlertManager() {
+    const manager = document.querySelector('.alert-manager');
+    if (!manager) return;
+
+    const alerts = loadAlerts();
+    for (const status of ALERT_STATUSES) {
+        const list = manager.querySelector(`.alert-list[data-status="${status}"]`);
+        if (!list) continue;
+        const matching = alerts.filter(alert => alert.status === status);
+        list.innerHTML = '';
+        matching.forEach(alert => list.appendChild(createAlertListItem(alert)));
+        list.closest('.alert-group').querySelector('.alert-count').textContent = String(matching.length);
+        list.closest('.alert-group').querySelector('.alert-empty').hidden = matching.length > 0;
+    }
+}
+
+// Auf alerts.html selbst gibt es keine Cards: Kurse der überwachten Symbole direkt holen,
+// setCacheEntry löst dabei die Auswertung aus.
+async function refreshAlertQuotes(source) {
+    const tickers = loadAlerts()
+        .filter(alert => alert.status !== 'triggered')
+        .map(alert => parseQuoteKey(alert.key))
+        .filter(parsed => parsed?.source === source)
+        .map(parsed => parsed.ticker);
+    const updated = await refreshCachedQuotes(source, [...new Set(tickers)]);
+    if (updated !== null) renderAlertManager();
+    return updated;
+}
+
+function initAlertManager(manager) {
+    const form = manager.querySelector('.alert-form');
+    const instrumentSelect = form.querySelector('[name="instrument"]');
+    const typeSelect = form.querySelector('[name="type"]');
+    const valueInput = form.querySelector('[name="value"]');
+    const valueUnit = form.querySelector('.alert-value-unit');
+
+    fillInstrumentSelect(instrumentSelect);
+    for (const id of Object.keys(ALERT_TYPES)) typeSelect.appendChild(new Option(t(`alert.type.${id}`), id));
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('key') && parseQuoteKey(params.get('key'))) instrumentSelect.value = params.get('key');
+
+    const syncValueField = () => {
+        const unit = ALERT_TYPES[typeSelect.value].unit;
+        valueInput.disabled = !unit;
+        valueInput.required = Boolean(unit);
+        valueInput.closest('.alert-value').hidden = !unit;
+        valueUnit.textContent = unit === 'percent' ? '%' : getDisplayCurrency();
+        const cached = getCacheEntry(instrumentSelect.value);
+        const price = convertAmount(cached?.price, getQuoteCurrency(cached, parseQuoteKey(instrumentSelect.value)?.ticker));
+        valueInput.placeholder = unit === 'price' && price !== null ? price.toFixed(2) : '';
+    };
+    typeSelect.addEventListener('change', syncValueField);
+    instrumentSelect.addEventListener('change', syncValueField);
+    syncValueField();
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const unit = ALERT_TYPES[typeSelect.value].unit;
+        const value = Number(String(valueInput.value).replace(',', '.'));
+        if (unit && !Number.isFinite(value)) {
+            valueInput.focus();
+            return;
+        }
+        createAlert(instrumentSelect.value, typeSelect.value, value);
+        valueInput.value = '';
+        renderAlertManager();
+    });
+
+    manager.querySelector('.alert-permission button')?.addEventListener('click', async () => {
+        try {
+            await Notification.requestPermission();
+        } catch {
+            // ignore
+        }
+        renderAlertPermission();
+    });
+
+    renderAlertPermission();
+    renderAlertManager();
+    document.addEventListener(FX_UPDATED_EVENT, () => renderAlertManager());
+    for (const source of Object.keys(REFRESH_INTERVALS_MS)) {
+        scheduleRefresh(`alerts-${source}`, () => refreshAlertQuotes(source), REFRESH_INTERVALS_MS[source]);
+    }
+}
+
+// Andere Tabs haben Alarme geändert/ausgelöst -> Liste nachführen
+window.addEventListener('storage', event => {
+    if (event.key === ALERTS_KEY) renderAlertManager();
+});
+
+const alertManager = document.querySelector('.alert-manager');
+if (alertManager) initAlertManager(alertManager);
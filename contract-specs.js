@@ -0,0 +1,65 @@
+// Kontraktspezifikationen für RBC Excellence (futures.html)
+// Tabelle aller Rohstoff-Futures aus dem Katalog (instrument.contract): Börse, Kontraktgrösse,
+// Tick-Grösse und -Wert, Kontraktmonate und der aktuelle Kontraktwert aus dem Live-Cache.
+// Neu gerendert nach jedem Rohstoff-Refresh und neuen Devisenkursen (Events aus live-data.js).
+// Muss nach live-data.js geladen werden.
+
+// Nachkommastellen einer Tick-Grösse (0.0005 -> 4), damit der Tick nicht gerundet erscheint
+function getTickDecimals(tick) {
+    const [, fraction = ''] = String(tick).split('.');
+    return Math.max(2, fraction.length);
+}
+
+// Tick in der Notierung der Börse, ohne Umrechnung: "$0.10 pro Unze", "0.25 ¢ pro Bushel"
+function formatContractTick(instrument) {
+    const { tick, quote } = instrument.contract;
+    const amount = quote === 'USX'
+        ? `${formatNumber(tick, { maximumFractionDigits: 4 })} ¢`
+        : formatCurrencyAmount(tick, resolveCurrencyUnit(quote).code, { decimals: getTickDecimals(tick) });
+    return instrument.unit ? `${amount} ${instrument.unit}` : amount;
+}
+
+function formatContractMonths(months) {
+    if (months.length === CONTRACT_MONTH_CODES.length) return t('contract.allMonths');
+    return [...months]
+        .map(code => formatDateTime(Date.UTC(2000, CONTRACT_MONTH_CODES.indexOf(code), 1), { month: 'short', timeZone: 'UTC' }))
+        .join(', ');
+}
+
+function createContractSpecRow(instrument) {
+    const { contract } = instrument;
+    const cached = getCacheEntry(`yahoo:${instrument.symbol}`);
+    const currency = getQuoteCurrency(cached, instrument.symbol);
+    const contractValue = withContractValues(instrument.symbol, cached, currency)?.contractValue;
+    const months = createTableCell(formatContractMonths(contract.months));
+    months.title = [...contract.months].join(' ');
+
+    const tr = document.createElement('tr');
+    tr.append(
+        createTableNameCell({
+            href: getDetailUrl(instrument.symbol, 'commodities'),
+            name: instrument.shortName || instrument.name,
+            symbol: instrument.symbol
+        }),
+        createTableCell(contract.exchange),
+        createTableCell(`${formatNumber(contract.size)} ${contract.unit}`, 'num'),
+        createTableCell(formatContractTick(instrument), 'num'),
+        createTableCell(formatMoney(contract.tick * contract.size, contract.quote), 'num'),
+        months,
+        createTableCell(contractValue > 0 ? formatMoney(contractValue, currency, { decimals: 0 }) : '—', 'num')
+    );
+    return tr;
+}
+
+function renderContractSpecs() {
+    const root = document.querySelector('.contract-specs');
+    if (!root) return;
+    const instruments = getInstruments('commodities').filter(instrument => instrument.contract);
+    root.querySelector('tbody').replaceChildren(...instruments.map(createContractSpecRow));
+}
+
+renderContractSpecs();
+document.addEventListener(QUOTES_UPDATED_EVENT, event => {
+    if (event.detail.source === 'commodities') renderContractSpecs();
+});
+document.addEventListener(FX_UPDATED_EVENT, () => renderContractSpecs());
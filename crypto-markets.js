@@ -0,0 +1,189 @@
+// Kryptomarkt-Tabelle für RBC Excellence (krypto.html)
+// Die grössten Coins nach Marktkapitalisierung über fetchMarkets (CoinGecko /coins/markets,
+// mit ?provider=mock aus fixtures/coin-markets.json): Rang, Kurs, 1h/24h/7d-Änderung,
+// Marktkapitalisierung, Volumen, Umlauf und Abstand zum Allzeithoch. Sortiert und geblättert
+// wird im Browser über alle N Zeilen; aktualisiert im selben Takt wie die Krypto-Cards.
+// Die Cards darüber bleiben die feste Auswahl. Muss nach live-data.js geladen werden.
+
+const CRYPTO_MARKETS_KEY = 'rbc_crypto_markets_v1';
+const CRYPTO_MARKETS_LIMITS = [50, 100, 250];
+const CRYPTO_MARKETS_PAGE_SIZES = [10, 25, 50];
+const CRYPTO_MARKETS_DEFAULTS = { limit: 100, perPage: 25, sort: 'rank', direction: 'asc' };
+
+// Sortierbare Spalten (th[data-sort]); Rang und Name sortieren zuerst aufsteigend,
+// Zahlen absteigend (grösster Wert oben).
+const CRYPTO_MARKETS_COLUMNS = ['rank', 'name', 'price', 'change1h', 'change24h', 'change7d', 'marketCap', 'volume', 'circulatingSupply', 'athChange'];
+const CRYPTO_MARKETS_ASCENDING_FIRST = ['rank', 'name'];
+
+const cryptoMarkets = {
+    rows: [],
+    page: 1,
+    updatedAtMs: null,
+    failed: false,
+    requestId: 0,
+    ...loadCryptoMarketsSettings()
+};
+
+function loadCryptoMarketsSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(CRYPTO_MARKETS_KEY) || '{}') || {};
+    } catch {
+        // Defaults
+    }
+    return {
+        limit: CRYPTO_MARKETS_LIMITS.includes(stored.limit) ? stored.limit : CRYPTO_MARKETS_DEFAULTS.limit,
+        perPage: CRYPTO_MARKETS_PAGE_SIZES.includes(stored.perPage) ? stored.perPage : CRYPTO_MARKETS_DEFAULTS.perPage,
+        sort: CRYPTO_MARKETS_COLUMNS.includes(stored.sort) ? stored.sort : CRYPTO_MARKETS_DEFAULTS.sort,
+        direction: stored.direction === 'desc' ? 'desc' : 'asc'
+    };
+}
+
+function saveCryptoMarketsSettings() {
+    const { limit, perPage, sort, direction } = cryptoMarkets;
+    try {
+        localStorage.setItem(CRYPTO_MARKETS_KEY, JSON.stringify({ limit, perPage, sort, direction }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function getSortedMarketRows() {
+    const { rows, sort, direction } = cryptoMarkets;
+    return [...rows].sort((a, b) => compareTableRows(a, b, sort, direction) || compareTableRows(a, b, 'rank', 'asc'));
+}
+
+function createChangeCell(value, decimals = 2) {
+    const cell = createTableCell(Number.isFinite(value) ? formatPercent(value, { decimals }) : '—', 'num');
+    cell.classList.toggle('positive', Number.isFinite(value) && value > 0);
+    cell.classList.toggle('negative', Number.isFinite(value) && value < 0);
+    return cell;
+}
+
+function createMarketRow(row) {
+    const tr = document.createElement('tr');
+    const supply = Number.isFinite(row.circulatingSupply)
+        ? `${formatNumber(row.circulatingSupply, { notation: 'compact', maximumFractionDigits: 2 })} ${row.symbol}`
+        : '—';
+    tr.append(
+        createTableCell(Number.isFinite(row.rank) ? String(row.rank) : '—', 'num market-rank'),
+        createTableNameCell({
+            href: `${DETAIL_PAGE_URL}?coin=${encodeURIComponent(row.id)}`,
+            name: row.name,
+            symbol: row.symbol,
+            image: row.image
+        }),
+        createTableCell(formatMoney(row.price, row.currency, { decimals: getPriceDecimals(row.price) }), 'num'),
+        createChangeCell(row.change1h),
+        createChangeCell(row.change24h),
+        createChangeCell(row.change7d),
+        createTableCell(Number.isFinite(row.marketCap) ? formatMarketCap(row.marketCap, row.currency) : '—', 'num'),
+        createTableCell(Number.isFinite(row.volume) ? formatVolume(row.volume, row.currency) : '—', 'num'),
+        createTableCell(supply, 'num'),
+        createChangeCell(row.athChange, 1)
+    );
+    return tr;
+}
+
+function renderCryptoMarkets() {
+    const root = document.querySelector('.crypto-market-table');
+    if (!root) return;
+
+    const { perPage, sort, direction } = cryptoMarkets;
+    const rows = getSortedMarketRows();
+    const pages = Math.max(1, Math.ceil(rows.length / perPage));
+    cryptoMarkets.page = Math.min(Math.max(1, cryptoMarkets.page), pages);
+
+    const body = root.querySelector('.market-table tbody');
+    body.innerHTML = '';
+    const start = (cryptoMarkets.page - 1) * perPage;
+    rows.slice(start, start + perPage).forEach(row => body.appendChild(createMarketRow(row)));
+
+    root.querySelectorAll('.market-table th[data-sort]').forEach(header => {
+        if (header.dataset.sort === sort) header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+        else header.removeAttribute('aria-sort');
+    });
+
+    let status = t('common.loading');
+    if (cryptoMarkets.failed) status = t('markets.failed');
+    else if (cryptoMarkets.updatedAtMs !== null) {
+        status = rows.length > 0
+            ? t('markets.status', { count: rows.length, asOf: formatStandTime(cryptoMarkets.updatedAtMs) })
+            : t('markets.empty');
+    }
+    root.querySelector('.market-table-status').textContent = status;
+
+    root.querySelector('.market-table-page').textContent = t('markets.page', { page: cryptoMarkets.page, pages });
+    root.querySelector('[data-page="prev"]').disabled = cryptoMarkets.page <= 1;
+    root.querySelector('[data-page="next"]').disabled = cryptoMarkets.page >= pages;
+}
+
+async function refreshCryptoMarkets() {
+    // Ältere Antworten verwerfen, falls die Anzahl zwischendurch geändert wurde
+    const requestId = ++cryptoMarkets.requestId;
+    try {
+        const rows = await fetchMarkets('crypto', { limit: cryptoMarkets.limit });
+        if (requestId !== cryptoMarkets.requestId) return null;
+        cryptoMarkets.rows = rows;
+        cryptoMarkets.updatedAtMs = Date.now();
+        cryptoMarkets.failed = false;
+        console.log(`✅ Kryptomarkt-Tabelle: ${rows.length} Coins`);
+    } catch (error) {
+        if (requestId !== cryptoMarkets.requestId) return null;
+        console.error('❌ Fehler beim Laden der Kryptomarkt-Tabelle:', error);
+        // Letzte Zeilen stehen lassen, nur der Status meldet den Fehler
+        cryptoMarkets.failed = true;
+    }
+    renderCryptoMarkets();
+    return cryptoMarkets.failed ? 0 : cryptoMarkets.rows.length;
+}
+
+function initCryptoMarkets(root) {
+    const limitSelect = root.querySelector('[name="limit"]');
+    const perPageSelect = root.querySelector('[name="perPage"]');
+    limitSelect.value = String(cryptoMarkets.limit);
+    perPageSelect.value = String(cryptoMarkets.perPage);
+
+    limitSelect.addEventListener('change', () => {
+        cryptoMarkets.limit = Number(limitSelect.value);
+        cryptoMarkets.page = 1;
+        saveCryptoMarketsSettings();
+        refreshCryptoMarkets();
+    });
+    perPageSelect.addEventListener('change', () => {
+        cryptoMarkets.perPage = Number(perPageSelect.value);
+        cryptoMarkets.page = 1;
+        saveCryptoMarketsSettings();
+        renderCryptoMarkets();
+    });
+
+    root.querySelectorAll('.market-table th[data-sort] button').forEach(button => {
+        button.addEventListener('click', () => {
+            const sort = button.closest('th').dataset.sort;
+            if (sort === cryptoMarkets.sort) {
+                cryptoMarkets.direction = cryptoMarkets.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                cryptoMarkets.sort = sort;
+                cryptoMarkets.direction = CRYPTO_MARKETS_ASCENDING_FIRST.includes(sort) ? 'asc' : 'desc';
+            }
+            cryptoMarkets.page = 1;
+            saveCryptoMarketsSettings();
+            renderCryptoMarkets();
+        });
+    });
+
+    root.querySelectorAll('[data-page]').forEach(button => {
+        button.addEventListener('click', () => {
+            cryptoMarkets.page += button.dataset.page === 'next' ? 1 : -1;
+            renderCryptoMarkets();
+        });
+    });
+
+    renderCryptoMarkets();
+    // Mock-Daten kommen in USD und werden erst mit den Devisenkursen umgerechnet
+    document.addEventListener(FX_UPDATED_EVENT, () => renderCryptoMarkets());
+    scheduleRefresh('crypto-markets', refreshCryptoMarkets, REFRESH_INTERVALS_MS.crypto);
+}
+
+const cryptoMarketsRoot = document.querySelector('.crypto-market-table');
+if (cryptoMarketsRoot) initCryptoMarkets(cryptoMarketsRoot);
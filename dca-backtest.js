@@ -0,0 +1,448 @@
+// DCA-Backtest für RBC Excellence (backtest.html)
+// Spielt den "Top Tipp" aus den Trading-Tipps nach: ein fester Betrag pro Termin
+// (Dollar-Cost Averaging) in ein beliebiges Instrument, mit Gebühren pro Kauf, über
+// historische Tagesschlüsse (fetchDailyCloses: Yahoo-Chart bzw. CoinGecko market_chart).
+// Verglichen wird mit einer Einmalanlage des gleichen Gesamtbetrags am ersten Termin.
+// Gerechnet wird in der Anzeigewährung, umgerechnet zum aktuellen Devisenkurs wie im
+// Detail-Chart; Dividenden und historische Wechselkurse bleiben aussen vor.
+// Benötigt live-data.js und price-chart.js.
+
+const DCA_BACKTEST_KEY = 'rbc_dca_backtest_v1';
+const DCA_BACKTEST_DEFAULTS = { key: 'cg:BTC', amount: 100, frequency: 'monthly', years: 3, feePercent: 0.5, feeFixed: 0 };
+// Kaufrhythmus: feste Anzahl Tage oder Monate (gleicher Kalendertag, am Monatsende gekürzt)
+const DCA_FREQUENCIES = {
+    weekly: { days: 7 },
+    biweekly: { days: 14 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 }
+};
+const DCA_PERIOD_PRESETS = [1, 3, 5, 10];
+// Beginnen die Kursdaten mehr als eine Woche nach dem Start (Börsengang, API-Limit), steht
+// das als Hinweis unter dem Formular
+const DCA_DATA_GAP_MS = 7 * DAY_MS;
+
+const dcaBacktest = {
+    ...loadDcaBacktestSettings(),
+    // Zuletzt geladene Tagesschlüsse: { key, fromMs, points, currency }
+    history: null,
+    loading: false,
+    // Ältere Antworten verwerfen, sobald ein neuerer Aufruf von loadDcaHistory läuft
+    requestId: 0,
+    failed: false,
+    // Verlauf des letzten Ergebnisses für den Readout beim Überfahren des Charts
+    curve: [],
+    chart: null
+};
+
+function toIsoDate(tsMs) {
+    return new Date(tsMs).toISOString().slice(0, 10);
+}
+
+function parseIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return NaN;
+    return Date.parse(`${value}T00:00:00Z`);
+}
+
+function getTodayMs() {
+    return Math.floor(Date.now() / DAY_MS) * DAY_MS;
+}
+
+function getYearsAgoIsoDate(years) {
+    const date = new Date(getTodayMs());
+    date.setUTCFullYear(date.getUTCFullYear() - years);
+    return toIsoDate(date.getTime());
+}
+
+function loadDcaBacktestSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(DCA_BACKTEST_KEY) || '{}') || {};
+    } catch {
+        // Defaults
+    }
+    return {
+        key: typeof stored.key === 'string' && parseQuoteKey(stored.key) ? stored.key : DCA_BACKTEST_DEFAULTS.key,
+        amount: convertStoredAmount(stored.amount, stored.currency) ?? DCA_BACKTEST_DEFAULTS.amount,
+        frequency: DCA_FREQUENCIES[stored.frequency] ? stored.frequency : DCA_BACKTEST_DEFAULTS.frequency,
+        start: Number.isFinite(parseIsoDate(stored.start)) ? stored.start : getYearsAgoIsoDate(DCA_BACKTEST_DEFAULTS.years),
+        // Leer = bis heute
+        end: Number.isFinite(parseIsoDate(stored.end)) ? stored.end : '',
+        feePercent: Number.isFinite(stored.feePercent) && stored.feePercent >= 0 ? stored.feePercent : DCA_BACKTEST_DEFAULTS.feePercent,
+        feeFixed: convertStoredAmount(stored.feeFixed, stored.currency, { allowZero: true }) ?? DCA_BACKTEST_DEFAULTS.feeFixed
+    };
+}
+
+function saveDcaBacktestSettings() {
+    const { key, amount, frequency, start, end, feePercent, feeFixed } = dcaBacktest;
+    try {
+        localStorage.setItem(DCA_BACKTEST_KEY, JSON.stringify({
+            key, amount, frequency, start, end, feePercent, feeFixed, currency: getDisplayCurrency()
+        }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function getDcaPurchaseDates(startMs, endMs, frequency) {
+    const { days, months } = DCA_FREQUENCIES[frequency];
+    const start = new Date(startMs);
+    const dates = [];
+    for (let n = 0; ; n++) {
+        let tsMs = startMs + n * (days || 0) * DAY_MS;
+        if (months) {
+            const month = start.getUTCMonth() + n * months;
+            const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+            tsMs = Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay));
+        }
+        if (tsMs > endMs) return dates;
+        dates.push(tsMs);
+    }
+}
+
+function summarizeDcaStrategy(invested, fees, units, value) {
+    const profit = value - invested;
+    return { invested, fees, units, value, profit, profitPercent: profit / invested * 100, averageCost: invested / units };
+}
+
+// Reine Rechnung ohne DOM. points: Tagesschlüsse [[tsMs, close]] in der Anzeigewährung.
+// Gekauft wird zum ersten Schlusskurs am oder nach dem Termin (Wochenende, Feiertag); die
+// Gebühr (fix + % vom Betrag) geht vom Sparbetrag ab. Liefert { error } statt eines
+// Ergebnisses bei ungültigen Eingaben, zu hohen Gebühren oder fehlenden Kursen.
+function simulateDca(points, { amount, frequency, startMs, endMs, feePercent, feeFixed }) {
+    const valid = Number.isFinite(amount) && amount > 0
+        && [feePercent, feeFixed].every(value => Number.isFinite(value) && value >= 0)
+        && Number.isFinite(startMs) && Number.isFinite(endMs) && endMs > startMs;
+    if (!valid) return { error: 'invalid' };
+    const fee = feeFixed + amount * feePercent / 100;
+    if (fee >= amount) return { error: 'fee', fee };
+
+    const series = points.filter(([tsMs]) => tsMs >= startMs && tsMs < endMs + DAY_MS);
+    if (series.length < 2) return { error: 'noData' };
+
+    // Vor dem ersten Kurs gibt es nichts zu kaufen: der Sparplan beginnt mit den Daten
+    const firstDayMs = Math.floor(series[0][0] / DAY_MS) * DAY_MS;
+    const purchases = [];
+    let index = 0;
+    for (const dateMs of getDcaPurchaseDates(Math.max(startMs, firstDayMs), endMs, frequency)) {
+        while (index < series.length && series[index][0] < dateMs) index++;
+        if (index >= series.length) break;
+        const [tsMs, price] = series[index];
+        purchases.push({ index, tsMs, price, units: (amount - fee) / price });
+    }
+
+    // Einmalanlage: alles am ersten Termin, eine Gebühr auf den Gesamtbetrag
+    const invested = purchases.length * amount;
+    const lumpSumFee = feeFixed + invested * feePercent / 100;
+    const lumpSumUnits = (invested - lumpSumFee) / purchases[0].price;
+
+    const curve = [];
+    let units = 0;
+    let spent = 0;
+    let next = 0;
+    for (let i = purchases[0].index; i < series.length; i++) {
+        while (next < purchases.length && purchases[next].index === i) {
+            units += purchases[next].units;
+            spent += amount;
+            next++;
+        }
+        const [tsMs, price] = series[i];
+        curve.push({ tsMs, price, invested: spent, value: units * price, lumpSum: lumpSumUnits * price });
+    }
+
+    const last = curve[curve.length - 1];
+    return {
+        purchases,
+        curve,
+        dca: summarizeDcaStrategy(invested, purchases.length * fee, units, last.value),
+        lumpSum: summarizeDcaStrategy(invested, lumpSumFee, lumpSumUnits, last.lumpSum),
+        averagePrice: purchases.reduce((sum, purchase) => sum + purchase.price, 0) / purchases.length,
+        dataStartMs: series[0][0],
+        clipped: series[0][0] - startMs > DCA_DATA_GAP_MS
+    };
+}
+
+// ==================== DARSTELLUNG ====================
+function getDcaEndMs() {
+    return dcaBacktest.end ? parseIsoDate(dcaBacktest.end) : getTodayMs();
+}
+
+// Tagesschlüsse des gewählten Instruments in der Anzeigewährung; null ohne Devisenkurs
+function getDcaDisplayPoints() {
+    const { history } = dcaBacktest;
+    const rate = convertAmount(1, history.currency);
+    if (rate === null) return null;
+    return rate === 1 ? history.points : history.points.map(([tsMs, close]) => [tsMs, close * rate]);
+}
+
+function formatBacktestDate(tsMs) {
+    return formatDateTime(tsMs, { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
+}
+
+function renderDcaBacktestStatus(root, result) {
+    const status = root.querySelector('.backtest-status');
+    if (dcaBacktest.loading) status.textContent = t('common.loading');
+    else if (dcaBacktest.failed) status.textContent = t('dca.unavailable');
+    else if (!result || result.error) status.textContent = '';
+    else if (result.clipped) status.textContent = t('dca.clipped', { date: formatBacktestDate(result.dataStartMs) });
+    else {
+        const { curve } = result;
+        status.textContent = t('dca.range', { from: formatBacktestDate(curve[0].tsMs), to: formatBacktestDate(curve[curve.length - 1].tsMs) });
+    }
+}
+
+function renderBacktestPresets(root) {
+    const endIsToday = !dcaBacktest.end;
+    root.querySelectorAll('.calc-presets [data-years]').forEach(button => {
+        const pressed = endIsToday && dcaBacktest.start === getYearsAgoIsoDate(Number(button.dataset.years));
+        button.setAttribute('aria-pressed', String(pressed));
+    });
+}
+
+function createComparisonRow(label, strategy, currency, ticker) {
+    const tr = document.createElement('tr');
+    const cells = [
+        label,
+        formatMoney(strategy.invested, currency),
+        formatMoney(strategy.fees, currency),
+        `${formatNumber(strategy.units, { maximumFractionDigits: 4 })} ${ticker}`,
+        formatMoney(strategy.averageCost, currency, { decimals: getPriceDecimals(strategy.averageCost) }),
+        formatMoney(strategy.value, currency),
+        formatMoney(strategy.profit, currency, { signed: true }),
+        formatPercent(strategy.profitPercent)
+    ];
+    cells.forEach((text, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        else cell.className = 'num';
+        if (index >= 6) {
+            cell.classList.toggle('positive', strategy.profit > 0);
+            cell.classList.toggle('negative', strategy.profit < 0);
+        }
+        cell.textContent = text;
+        tr.appendChild(cell);
+    });
+    return tr;
+}
+
+function renderBacktestReadout(root, point) {
+    const readout = root.querySelector('.chart-readout');
+    if (!point) {
+        readout.textContent = '';
+        return;
+    }
+    const currency = getDisplayCurrency();
+    readout.textContent = t('dca.readout', {
+        date: formatBacktestDate(point.tsMs),
+        value: formatMoney(point.value, currency),
+        invested: formatMoney(point.invested, currency),
+        lumpSum: formatMoney(point.lumpSum, currency)
+    });
+}
+
+function renderDcaBacktest() {
+    const root = document.querySelector('.dca-backtest');
+    if (!root) return;
+    root.querySelectorAll('.calc-currency').forEach(unit => {
+        unit.textContent = getDisplayCurrency();
+    });
+    renderBacktestPresets(root);
+
+    const message = root.querySelector('.calc-message');
+    const output = root.querySelector('.backtest-output');
+    const { history } = dcaBacktest;
+    const hasHistory = history?.key === dcaBacktest.key && !dcaBacktest.loading;
+    const points = hasHistory ? getDcaDisplayPoints() : null;
+    const result = points ? simulateDca(points, {
+        ...dcaBacktest,
+        startMs: parseIsoDate(dcaBacktest.start),
+        endMs: getDcaEndMs()
+    }) : null;
+    renderDcaBacktestStatus(root, result);
+
+    const missingFx = hasHistory && !points;
+    output.hidden = !result || Boolean(result.error);
+    message.hidden = !missingFx && !result?.error;
+    if (missingFx) {
+        message.textContent = t('dca.noFx', { currency: history.currency });
+        return;
+    }
+    if (!result) return;
+    const currency = getDisplayCurrency();
+    if (result.error) {
+        message.textContent = t(`dca.${result.error}`, { fee: formatMoney(result.fee, currency) });
+        return;
+    }
+
+    const { dca, lumpSum } = result;
+    const difference = dca.value - lumpSum.value;
+    const values = {
+        value: formatMoney(dca.value, currency),
+        invested: t('dca.invested', { count: result.purchases.length, amount: formatMoney(dca.invested, currency) }),
+        profit: formatMoney(dca.profit, currency, { signed: true }),
+        profitPercent: formatPercent(dca.profitPercent),
+        averageCost: formatMoney(dca.averageCost, currency, { decimals: getPriceDecimals(dca.averageCost) }),
+        averagePrice: t('dca.averagePrice', { price: formatMoney(result.averagePrice, currency, { decimals: getPriceDecimals(result.averagePrice) }) }),
+        difference: formatMoney(difference, currency, { signed: true }),
+        lumpSumValue: t('dca.lumpSumValue', { value: formatMoney(lumpSum.value, currency) })
+    };
+    for (const [name, text] of Object.entries(values)) {
+        root.querySelector(`[data-result="${name}"]`).textContent = text;
+    }
+    for (const [name, amount] of [['profit', dca.profit], ['difference', difference]]) {
+        const el = root.querySelector(`[data-result="${name}"]`);
+        el.classList.toggle('positive', amount > 0);
+        el.classList.toggle('negative', amount < 0);
+    }
+
+    const ticker = parseQuoteKey(dcaBacktest.key).ticker;
+    const body = root.querySelector('.backtest-comparison tbody');
+    body.innerHTML = '';
+    body.append(
+        createComparisonRow(t('dca.strategy.dca'), dca, currency, ticker),
+        createComparisonRow(t('dca.strategy.lumpSum'), lumpSum, currency, ticker)
+    );
+
+    const last = result.curve[result.curve.length - 1];
+    const inLoss = last.value < last.invested;
+    root.querySelector('.backtest-legend-value').classList.toggle('negative', inLoss);
+    dcaBacktest.curve = result.curve;
+    dcaBacktest.chart?.setData({
+        candles: result.curve.map(point => ({ t: point.tsMs, o: point.value, h: point.value, l: point.value, c: point.value, v: 0 })),
+        color: inLoss ? 'down' : 'up',
+        overlays: [
+            { values: result.curve.map(point => point.invested), color: 'text', dashed: true },
+            { values: result.curve.map(point => point.lumpSum), color: 'accent' }
+        ]
+    });
+    renderBacktestReadout(root, last);
+}
+
+// Lädt die Tagesschlüsse ab dem Startdatum bis heute; ein späteres Startdatum oder ein
+// anderes Enddatum rechnet mit den vorhandenen Daten weiter.
+async function loadDcaHistory() {
+    const { key } = dcaBacktest;
+    const fromMs = parseIsoDate(dcaBacktest.start);
+    const { history } = dcaBacktest;
+    const requestId = ++dcaBacktest.requestId;
+    if (!Number.isFinite(fromMs) || (history?.key === key && history.fromMs <= fromMs)) {
+        // Ein noch laufender Request ist damit veraltet und setzt "loading" nicht mehr zurück
+        dcaBacktest.loading = false;
+        renderDcaBacktest();
+        return;
+    }
+
+    const parsed = parseQuoteKey(key);
+    dcaBacktest.loading = true;
+    dcaBacktest.failed = false;
+    renderDcaBacktest();
+    try {
+        const data = await fetchDailyCloses(parsed.source, parsed.symbol, { fromMs });
+        // Inzwischen anderes Instrument oder Startdatum gewählt: dieser Request ist veraltet
+        if (requestId !== dcaBacktest.requestId) return;
+        dcaBacktest.history = {
+            key,
+            fromMs,
+            points: data.points,
+            currency: data.currency || getQuoteCurrency(getCacheEntry(key), parsed.ticker)
+        };
+        console.log(`✅ ${data.points.length} Tagesschlüsse für ${parsed.ticker} geladen`);
+    } catch (error) {
+        if (requestId !== dcaBacktest.requestId) return;
+        console.error('❌ Historische Kurse konnten nicht geladen werden:', error);
+        dcaBacktest.history = null;
+        dcaBacktest.failed = true;
+    }
+    dcaBacktest.loading = false;
+    renderDcaBacktest();
+}
+
+function initDcaBacktest(root) {
+    const form = root.querySelector('.calc-form');
+    const field = name => form.querySelector(`[name="${name}"]`);
+    const instrumentSelect = field('instrument');
+
+    fillInstrumentSelect(instrumentSelect);
+    // Links aus den Tipps: ?key=cg:BTC&amount=100&frequency=monthly&years=5
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('key') && parseQuoteKey(params.get('key'))) dcaBacktest.key = params.get('key');
+    const amount = Number(params.get('amount'));
+    if (params.has('amount') && Number.isFinite(amount) && amount > 0) dcaBacktest.amount = amount;
+    if (DCA_FREQUENCIES[params.get('frequency')]) dcaBacktest.frequency = params.get('frequency');
+    const years = Number(params.get('years'));
+    if (params.has('years') && Number.isFinite(years) && years > 0) {
+        dcaBacktest.start = getYearsAgoIsoDate(years);
+        dcaBacktest.end = '';
+    }
+
+    instrumentSelect.value = dcaBacktest.key;
+    field('frequency').value = dcaBacktest.frequency;
+    field('amount').value = String(Math.round(dcaBacktest.amount * 100) / 100);
+    field('feePercent').value = String(dcaBacktest.feePercent);
+    field('feeFixed').value = String(Math.round(dcaBacktest.feeFixed * 100) / 100);
+    field('start').value = dcaBacktest.start;
+    field('end').value = dcaBacktest.end;
+    field('start').max = toIsoDate(getTodayMs());
+    field('end').max = toIsoDate(getTodayMs());
+
+    // Zahlenfelder: Name im Formular -> Feld im Zustand
+    const numberFields = { amount: 'amount', feePercent: 'feePercent', feeFixed: 'feeFixed' };
+    for (const [name, key] of Object.entries(numberFields)) {
+        field(name).addEventListener('input', () => {
+            dcaBacktest[key] = readFormNumber(form, name);
+            saveDcaBacktestSettings();
+            renderDcaBacktest();
+        });
+    }
+    field('frequency').addEventListener('change', () => {
+        dcaBacktest.frequency = field('frequency').value;
+        saveDcaBacktestSettings();
+        renderDcaBacktest();
+    });
+    instrumentSelect.addEventListener('change', () => {
+        dcaBacktest.key = instrumentSelect.value;
+        saveDcaBacktestSettings();
+        loadDcaHistory();
+    });
+    // Datumsfelder erst bei "change" (fertig eingegeben), sonst lädt jeder Tastendruck neu
+    for (const name of ['start', 'end']) {
+        field(name).addEventListener('change', () => {
+            dcaBacktest[name] = field(name).value;
+            saveDcaBacktestSettings();
+            loadDcaHistory();
+        });
+    }
+    form.addEventListener('submit', event => event.preventDefault());
+
+    const presets = root.querySelector('.calc-preset-group');
+    for (const presetYears of DCA_PERIOD_PRESETS) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.years = String(presetYears);
+        button.setAttribute('aria-pressed', 'false');
+        button.textContent = t('dca.years', { count: presetYears });
+        button.addEventListener('click', () => {
+            dcaBacktest.start = getYearsAgoIsoDate(presetYears);
+            dcaBacktest.end = '';
+            field('start').value = dcaBacktest.start;
+            field('end').value = '';
+            saveDcaBacktestSettings();
+            loadDcaHistory();
+        });
+        presets.appendChild(button);
+    }
+
+    dcaBacktest.chart = createPriceChart(root.querySelector('.chart-canvas-wrap'), {
+        showVolume: false,
+        onHover: candle => {
+            const { curve } = dcaBacktest;
+            renderBacktestReadout(root, curve.find(point => point.tsMs === candle?.t) || curve[curve.length - 1]);
+        }
+    });
+    dcaBacktest.chart.setType('line');
+
+    document.addEventListener(FX_UPDATED_EVENT, () => renderDcaBacktest());
+    loadDcaHistory();
+}
+
+const dcaBacktestRoot = document.querySelector('.dca-backtest');
+if (dcaBacktestRoot) initDcaBacktest(dcaBacktestRoot);
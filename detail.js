@@ -0,0 +1,319 @@
+// Detailansicht für ein einzelnes Instrument (detail.html)
+// detail.html?symbol=^GDAXI   -> Yahoo (Aktie, Index oder Rohstoff, je nach Symbol-Liste)
+// detail.html?coin=bitcoin    -> CoinGecko
+// Optional &range=1M (siehe CHART_RANGES in live-data.js).
+//
+// Kurs und Kennzahlen kommen über dieselben Provider und denselben Cache wie die Cards;
+// der Chart über fetchCandles, optional mit Indikator-Overlays und RSI im Readout.
+// Benötigt live-data.js, indicators.js und price-chart.js.
+
+const DETAIL_DEFAULT_RANGE = '1D';
+const DETAIL_CHART_TYPE_KEY = 'rbc_detail_chart_type';
+const DETAIL_INDICATORS_KEY = 'rbc_detail_indicators';
+
+function resolveDetailInstrument(params) {
+    const coin = params.get('coin');
+    if (coin) {
+        const ticker = CRYPTO_IDS[coin] || coin.toUpperCase();
+        return { source: 'crypto', symbol: coin, ticker, cacheKey: `cg:${ticker}`, name: ticker };
+    }
+
+    const symbol = params.get('symbol');
+    if (!symbol) return null;
+
+    let source = 'stocks';
+    if (INDEX_SYMBOLS[symbol]) source = 'indices';
+    else if (COMMODITY_SYMBOLS[symbol]) source = 'commodities';
+
+    return {
+        source,
+        symbol,
+        ticker: symbol,
+        cacheKey: `yahoo:${symbol}`,
+        name: INDEX_SYMBOLS[symbol] || COMMODITY_SYMBOLS[symbol] || symbol
+    };
+}
+
+// Kerzen zum aktuellen Devisenkurs in die Anzeigewährung umrechnen, damit Achse und
+// Readout zusammenpassen (CoinGecko liefert schon in der Anzeigewährung). Ohne Kurs
+// bleibt der Chart in der Originalwährung.
+function convertCandleData(data, fallbackCurrency) {
+    const currency = data.currency || fallbackCurrency;
+    const display = getDisplayCurrency();
+    const rate = convertAmount(1, currency, display);
+    if (rate === null || !Array.isArray(data.candles)) return { ...data, currency };
+    if (rate === 1) return { ...data, currency: display };
+
+    return {
+        ...data,
+        candles: data.candles.map(candle => ({
+            ...candle,
+            o: candle.o * rate,
+            h: candle.h * rate,
+            l: candle.l * rate,
+            c: candle.c * rate,
+            v: data.volumeIs24h ? candle.v * rate : candle.v
+        })),
+        previousClose: Number.isFinite(data.previousClose) ? data.previousClose * rate : data.previousClose,
+        currency: display
+    };
+}
+
+function renderDetailHeader(instrument, quote) {
+    document.title = `${instrument.name} – RBC Excellence`;
+    document.querySelector('.detail-name').textContent = instrument.name;
+    document.querySelector('.detail-symbol').textContent = instrument.ticker;
+    const alertLink = document.querySelector('.detail-alert-link');
+    if (alertLink) alertLink.href = `alerts.html?key=${encodeURIComponent(instrument.cacheKey)}`;
+    const calculatorLink = document.querySelector('.detail-calculator-link');
+    if (calculatorLink) calculatorLink.href = `rechner.html?key=${encodeURIComponent(instrument.cacheKey)}`;
+
+    const priceElement = document.querySelector('.detail-price');
+    priceElement.textContent = formatMoney(quote?.price, getQuoteCurrency(quote, instrument.ticker));
+
+    const badge = document.querySelector('.detail-header .badge');
+    if (quote && Number.isFinite(quote.change)) updateBadge(badge, quote.change);
+
+    updateMarketStateElement(document.querySelector('.detail-header'), getSymbolMarketSession(instrument.ticker, instrument.source));
+}
+
+// Krypto-Volumen ist ein Geldbetrag, bei Aktien/Indices/Futures eine Stückzahl.
+function formatDetailVolume(instrument, volume, currency) {
+    if (instrument.source === 'crypto') return formatVolume(volume, currency);
+    if (volume >= 1e6) return formatNumber(volume, { notation: 'compact', maximumFractionDigits: 1 });
+    return formatNumber(volume, { maximumFractionDigits: 0 });
+}
+
+function renderDetailStats(instrument, quote) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const currency = getQuoteCurrency(quote, instrument.ticker);
+    const stats = [
+        [t('detail.previousClose'), isNumber(quote.previousClose) ? formatMoney(quote.previousClose, currency) : null],
+        [t('detail.dayHigh'), isNumber(quote.high) ? formatMoney(quote.high, currency) : null],
+        [t('detail.dayLow'), isNumber(quote.low) ? formatMoney(quote.low, currency) : null],
+        [t('detail.marketCap'), isNumber(quote.marketCap) ? formatMarketCap(quote.marketCap, currency) : null],
+        [t(instrument.source === 'crypto' ? 'detail.volume24h' : 'detail.volume'),
+            isNumber(quote.volume) && quote.volume > 0 ? formatDetailVolume(instrument, quote.volume, currency) : null],
+        [t('card.pe'), isNumber(quote.pe) ? formatNumber(quote.pe, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) : null],
+        [t('card.high52w'), isNumber(quote.fiftyTwoWeekHigh) ? formatMoney(quote.fiftyTwoWeekHigh, currency) : null],
+        [t('detail.currency'), quote.currency || null]
+    ].filter(([, value]) => value !== null);
+
+    const container = document.querySelector('.instrument-stats');
+    container.innerHTML = '';
+    for (const [label, value] of stats) {
+        const item = document.createElement('div');
+        item.className = 'instrument-stat';
+        const labelElement = document.createElement('span');
+        labelElement.className = 'instrument-stat-label';
+        labelElement.textContent = label;
+        const valueElement = document.createElement('span');
+        valueElement.className = 'instrument-stat-value';
+        valueElement.textContent = value;
+        item.append(labelElement, valueElement);
+        container.appendChild(item);
+    }
+}
+
+function renderOhlcReadout(instrument, candle, chartData) {
+    const readout = document.querySelector('.chart-readout');
+    if (!candle) {
+        readout.textContent = '';
+        return;
+    }
+
+    const time = formatDateTime(candle.t, {
+        day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const currency = chartData?.currency;
+    const parts = [
+        time,
+        `${t('chart.open')} ${formatMoney(candle.o, currency)}`,
+        `${t('chart.high')} ${formatMoney(candle.h, currency)}`,
+        `${t('chart.low')} ${formatMoney(candle.l, currency)}`,
+        `${t('chart.close')} ${formatMoney(candle.c, currency)}`
+    ];
+    if (candle.v > 0) {
+        parts.push(`${t(chartData?.volumeIs24h ? 'chart.volume24h' : 'chart.volume')} ${formatDetailVolume(instrument, candle.v, currency)}`);
+    }
+    const rsi = chartData?.rsi?.[chartData.candles.indexOf(candle)];
+    if (Number.isFinite(rsi)) parts.push(`RSI ${formatNumber(rsi, { maximumFractionDigits: 0 })}`);
+    readout.textContent = parts.join('  ·  ');
+}
+
+// Eingeschaltete Overlays aus CHART_INDICATORS (indicators.js), über alle Instrumente gemerkt
+function loadDetailIndicators() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DETAIL_INDICATORS_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(id => CHART_INDICATORS[id]) : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveDetailIndicators(indicators) {
+    try {
+        localStorage.setItem(DETAIL_INDICATORS_KEY, JSON.stringify(indicators));
+    } catch {
+        // ignore
+    }
+}
+
+function initDetailView() {
+    const instrument = resolveDetailInstrument(new URLSearchParams(window.location.search));
+    const view = document.querySelector('.instrument-detail');
+    if (!view) return;
+
+    if (!instrument) {
+        const links = `<a href="krypto.html">${t('asset.crypto')}</a>, <a href="indices.html">${t('asset.indices')}</a>, `
+            + `<a href="futures.html">${t('asset.commodities')}</a> ${t('common.or')} <a href="assets.html">${t('asset.stocks')}</a>`;
+        view.innerHTML = `<p class="detail-empty">${t('detail.empty', { links })}</p>`;
+        return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    let rangeId = CHART_RANGES[params.get('range')] ? params.get('range') : DETAIL_DEFAULT_RANGE;
+    let chartData = null;
+    let lastQuote = getCacheEntry(instrument.cacheKey) || null;
+    const candleCache = {};
+
+    const chart = createPriceChart(document.querySelector('.chart-canvas-wrap'), {
+        onHover: candle => renderOhlcReadout(instrument, candle || chart.getLastCandle(), chartData)
+    });
+
+    let chartType = 'candles';
+    try {
+        chartType = localStorage.getItem(DETAIL_CHART_TYPE_KEY) === 'line' ? 'line' : 'candles';
+    } catch {
+        // ignore
+    }
+    chart.setType(chartType);
+    let indicators = loadDetailIndicators();
+
+    // Sofort: zuletzt bekannte Werte aus dem Cache
+    renderDetailHeader(instrument, lastQuote);
+    if (lastQuote) renderDetailStats(instrument, lastQuote);
+
+    // Overlays und RSI bei jedem Zeichnen neu, weil applyLivePrice die letzte Kerze nachführt
+    function drawChart() {
+        const closes = chartData.candles.map(candle => candle.c);
+        chartData.overlays = indicators.flatMap(id => CHART_INDICATORS[id].overlays(closes));
+        chartData.rsi = calculateRsi(closes);
+        chart.setData(chartData);
+    }
+
+    // Letzte Kerze mit dem Live-Kurs nachführen, bis der Zeitraum neu geladen wird
+    function applyLivePrice() {
+        const last = chartData?.candles[chartData.candles.length - 1];
+        if (!last || !isValidQuote(lastQuote)) return;
+        const price = convertAmount(lastQuote.price, getQuoteCurrency(lastQuote, instrument.ticker), chartData.currency);
+        if (price === null) return;
+        last.c = price;
+        last.h = Math.max(last.h, price);
+        last.l = Math.min(last.l, price);
+        drawChart();
+    }
+
+    async function loadChart(nextRangeId) {
+        rangeId = nextRangeId;
+        document.querySelectorAll('.chart-range button').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === rangeId);
+        });
+        params.set('range', rangeId);
+        history.replaceState(null, '', `${window.location.pathname}?${params}`);
+
+        const status = document.querySelector('.chart-status');
+        status.textContent = t('common.loading');
+        try {
+            if (!candleCache[rangeId]) {
+                const data = await fetchCandles(instrument.source, instrument.symbol, rangeId);
+                candleCache[rangeId] = convertCandleData(data, getQuoteCurrency(lastQuote, instrument.ticker));
+            }
+            if (rangeId !== nextRangeId) return;
+
+            chartData = candleCache[rangeId];
+            drawChart();
+            applyLivePrice();
+            renderOhlcReadout(instrument, chart.getLastCandle(), chartData);
+            status.textContent = chartData.candles.length ? '' : t('chart.empty');
+        } catch (error) {
+            console.error('❌ Chartdaten konnten nicht geladen werden:', error);
+            status.textContent = t('chart.unavailable');
+        }
+    }
+
+    async function updateDetailQuote() {
+        // Wie auf den Cards: geschlossene Märkte nach dem ersten Laden nicht weiter pollen
+        if (selectSymbolsToRefresh(instrument.source, [instrument.ticker]).length === 0) return null;
+
+        const quotes = await fetchQuotes(instrument.source, [instrument.symbol]);
+        const quote = quotes[instrument.symbol];
+        if (!quote) return 0;
+        liveLoadedSymbols.add(instrument.ticker);
+
+        lastQuote = quote;
+        if (quote.name && instrument.source === 'stocks') instrument.name = quote.name;
+        renderDetailHeader(instrument, quote);
+        renderDetailStats(instrument, quote);
+
+        const header = document.querySelector('.detail-header');
+        if (instrument.source === 'crypto') {
+            ensureStatusElement(header, '.detail-price');
+            setStatus(header, t('common.live'), true);
+        } else {
+            setYahooCardStatus(header, '.detail-price', quote, instrument.ticker, instrument.source);
+        }
+        setCacheEntry(instrument.cacheKey, toCacheQuote(quote, getQuoteCurrency(quote, instrument.ticker)));
+        applyLivePrice();
+        return 1;
+    }
+
+    const rangeBar = document.querySelector('.chart-range');
+    for (const id of Object.keys(CHART_RANGES)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.range = id;
+        button.textContent = t(`range.${id}`);
+        button.addEventListener('click', () => loadChart(id));
+        rangeBar.appendChild(button);
+    }
+
+    document.querySelectorAll('.chart-type button').forEach(button => {
+        button.classList.toggle('active', button.dataset.type === chartType);
+        button.addEventListener('click', () => {
+            chartType = button.dataset.type;
+            chart.setType(chartType);
+            document.querySelectorAll('.chart-type button').forEach(b => b.classList.toggle('active', b === button));
+            try {
+                localStorage.setItem(DETAIL_CHART_TYPE_KEY, chartType);
+            } catch {
+                // ignore
+            }
+        });
+    });
+
+    const indicatorBar = document.querySelector('.chart-indicators');
+    for (const [id, { label, color }] of Object.entries(CHART_INDICATORS)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.style.setProperty('--indicator-color', color);
+        button.setAttribute('aria-pressed', String(indicators.includes(id)));
+        button.addEventListener('click', () => {
+            indicators = indicators.includes(id) ? indicators.filter(other => other !== id) : [...indicators, id];
+            button.setAttribute('aria-pressed', String(indicators.includes(id)));
+            saveDetailIndicators(indicators);
+            if (chartData) drawChart();
+        });
+        indicatorBar.appendChild(button);
+    }
+
+    loadChart(rangeId);
+    scheduleRefresh('detail', updateDetailQuote, REFRESH_INTERVALS_MS[instrument.source]);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDetailView);
+} else {
+    initDetailView();
+}
@@ -0,0 +1,516 @@
+// Sprache und Formatierung für RBC Excellence
+// Alle Texte, die per JavaScript entstehen, kommen aus dem Katalog unten (t('key', params)),
+// Zahlen und Daten aus Intl.NumberFormat / Intl.DateTimeFormat in der gewählten Sprache.
+// Das statische HTML bleibt deutsch. Muss vor allen anderen Scripts geladen werden.
+//
+//   t('market.opensIn', { state: 'Geschlossen', countdown: '2h 05m' })
+//   t('watchlist.exported', { count: 3 })   -> Plural über Intl.PluralRules ({ one, other })
+//   formatNumber(1234.5, { minimumFractionDigits: 2 })
+//   formatDateTime(Date.now(), { hour: '2-digit', minute: '2-digit' })
+//
+// de-DE und en enthalten nur, was von de-CH abweicht bzw. übersetzt ist; fehlende Keys
+// fallen auf de-CH zurück, unbekannte Keys werden unverändert angezeigt.
+
+const LOCALE_KEY = 'rbc_locale_v1';
+const DEFAULT_LOCALE = 'de-CH';
+
+const LOCALES = {
+    'de-CH': {
+        label: 'Deutsch (CH)',
+        messages: {
+            'common.loading': 'Lädt…',
+            'common.live': 'Live',
+            'common.close': 'Schliessen',
+            'common.delete': 'Löschen',
+            'common.or': 'oder',
+            'nav.menu': 'Menü',
+            'nav.language': 'Sprache',
+            'nav.currency': 'Anzeigewährung',
+            'contact.sending': 'Wird gesendet…',
+
+            'asset.crypto': 'Krypto',
+            'asset.indices': 'Indices',
+            'asset.commodities': 'Rohstoffe',
+            'asset.stocks': 'Aktien',
+
+            'status.asOf': 'Stand: {time}',
+            'status.asOfUnknown': 'Stand: —',
+            'card.details': 'Details zu {name}',
+            'card.sinceVisit': 'Seit letztem Besuch: {change}',
+            'card.sinceVisitTitle': 'Vergleich mit {time}',
+            'card.marketCap': 'Marktkappe',
+            'card.volume24h': '24h Volumen',
+            'card.volume': 'Volumen',
+            'card.high24h': '24h Hoch',
+            'card.low24h': '24h Tief',
+            'card.pe': 'KGV',
+            'card.high52w': '52W Hoch',
+            'card.contractValue': 'Kontraktwert',
+            'card.tickValue': 'Tick-Wert',
+
+            'fundamentals.title': 'Fundamentaldaten',
+            'fundamentals.eps': 'Gewinn je Aktie',
+            'fundamentals.dividendYield': 'Dividendenrendite',
+            'fundamentals.beta': 'Beta',
+            'fundamentals.range52w': '52W Spanne',
+            'fundamentals.sector': 'Sektor',
+            'fundamentals.industry': 'Branche',
+
+            'events.earnings': 'Quartalszahlen',
+            'events.exDividend': 'Ex-Dividende',
+            'events.dividend': 'Dividendenzahlung',
+            'calendar.status': { one: '{count} Termin in den nächsten {weeks} Wochen', other: '{count} Termine in den nächsten {weeks} Wochen' },
+            'calendar.empty': 'Keine Termine in den nächsten {weeks} Wochen.',
+            'calendar.failed': 'Termine konnten nicht geladen werden.',
+
+            'calc.livePrice': 'Live-Kurs {price} · {asOf}',
+            'calc.livePriceManual': 'Eigener Einstiegskurs · Live-Kurs {price}',
+            'calc.noPrice': 'Kein Live-Kurs verfügbar – Einstiegskurs bitte selbst eingeben.',
+            'calc.exposure': '{percent} des Kontos',
+            'calc.invalid': 'Bitte Einstiegskurs, Kontogrösse, Risiko und Stop-Loss grösser als 0 angeben.',
+            'calc.stopSide.long': 'Bei Long muss der Stop-Loss unter dem Einstiegskurs liegen.',
+            'calc.stopSide.short': 'Bei Short muss der Stop-Loss über dem Einstiegskurs liegen.',
+            'calc.tooSmall': '{amount} Risiko reichen nicht für eine ganze Aktie – Risiko erhöhen oder Stop-Loss enger setzen.',
+            'calc.leverage': 'Die Position ({notional}) ist grösser als das Konto und nur mit Hebel oder Margin möglich.',
+
+            'leverage.invalid': 'Bitte Einstiegskurs, Menge und Hebel (ab 1x) angeben; die Maintenance Margin muss zwischen 0 und 100 % liegen.',
+            'leverage.balance': 'Für Cross Margin bitte das Kontoguthaben angeben.',
+            'leverage.shortfall': 'Die nötige Margin ({margin}) ist grösser als das Kontoguthaben – so liesse sich die Position nicht eröffnen.',
+            'leverage.maintenanceAmount': 'Maintenance Margin {amount}',
+            'leverage.noLiquidation': 'Keine',
+            'leverage.noLiquidationHint': 'Die Margin deckt auch einen Kurs von 0.',
+            'leverage.distance': '{percent} vom Einstieg',
+            'leverage.fundingDetail': { one: '{count} Zahlung · {percent} der Margin', other: '{count} Zahlungen · {percent} der Margin' },
+            'leverage.liquidated': 'Liquidiert',
+
+            'contract.allMonths': 'Alle Monate',
+
+            'dca.range': 'Tagesschlüsse {from} – {to}',
+            'dca.clipped': 'Kursdaten erst ab {date} verfügbar – der Sparplan beginnt dort.',
+            'dca.unavailable': 'Historische Kurse konnten nicht geladen werden.',
+            'dca.invalid': 'Bitte einen Sparbetrag grösser als 0, Gebühren ab 0 und ein Ende nach dem Start angeben.',
+            'dca.fee': 'Die Gebühren pro Kauf ({fee}) sind so hoch wie der Sparbetrag.',
+            'dca.noData': 'Für diesen Zeitraum gibt es keine Kursdaten.',
+            'dca.noFx': 'Kein Devisenkurs für {currency} verfügbar – bitte später erneut versuchen.',
+            'dca.invested': { one: '{amount} investiert in {count} Kauf', other: '{amount} investiert in {count} Käufen' },
+            'dca.averagePrice': 'Ø Kurs an den Kaufterminen: {price}',
+            'dca.lumpSumValue': 'Einmalanlage: {value}',
+            'dca.readout': '{date} · Sparplan {value} · investiert {invested} · Einmalanlage {lumpSum}',
+            'dca.strategy.dca': 'Sparplan',
+            'dca.strategy.lumpSum': 'Einmalanlage',
+            'dca.years': { one: '{count} Jahr', other: '{count} Jahre' },
+
+            'indicator.state.overbought': 'Überkauft',
+            'indicator.state.oversold': 'Überverkauft',
+            'indicator.state.neutral': 'Neutral',
+            'indicator.rsiTitle': 'RSI 14 (Tagesschlüsse): {rsi} – {state}',
+            'indicator.aboveSma': 'Kurs {distance} über SMA {period}',
+            'indicator.belowSma': 'Kurs {distance} unter SMA {period}',
+            'indicator.macd.above': 'über Signallinie',
+            'indicator.macd.below': 'unter Signallinie',
+            'scanner.status': { one: '{count} Instrument · {overbought} überkauft · {oversold} überverkauft', other: '{count} Instrumente · {overbought} überkauft · {oversold} überverkauft' },
+            'scanner.empty': 'Keine Treffer für diesen Filter.',
+            'scanner.failed': 'Kursverläufe konnten nicht geladen werden.',
+
+            'market.open': 'Geöffnet',
+            'market.pre': 'Pre-Market',
+            'market.post': 'Nachbörslich',
+            'market.break': 'Handelspause',
+            'market.closed': 'Geschlossen',
+            'market.alwaysOpen': 'Geöffnet · 24/7',
+            'market.closesIn': '{state} · schliesst in {countdown}',
+            'market.opensIn': '{state} · öffnet in {countdown}',
+            'market.countdownDays': '{days}T {hours}h',
+
+            'range.1D': '1T',
+            'range.5D': '5T',
+            'range.1M': '1M',
+            'range.6M': '6M',
+            'range.1Y': '1J',
+            'range.5Y': '5J',
+            'range.MAX': 'Max',
+
+            'detail.empty': 'Kein Instrument angegeben. Wähle einen Kurs unter {links}.',
+            'detail.previousClose': 'Vortagesschluss',
+            'detail.dayHigh': 'Tageshoch',
+            'detail.dayLow': 'Tagestief',
+            'detail.marketCap': 'Marktkapitalisierung',
+            'detail.volume': 'Volumen',
+            'detail.volume24h': '24h Volumen',
+            'detail.currency': 'Währung',
+            'chart.open': 'O',
+            'chart.high': 'H',
+            'chart.low': 'T',
+            'chart.close': 'S',
+            'chart.volume': 'Vol.',
+            'chart.volume24h': 'Vol. 24h',
+            'chart.empty': 'Keine Chartdaten für diesen Zeitraum.',
+            'chart.unavailable': 'Chartdaten momentan nicht verfügbar.',
+
+            'watchlist.add': 'Zur Watchlist hinzufügen',
+            'watchlist.remove': 'Von der Watchlist entfernen',
+            'watchlist.toggle': '{name} auf der Watchlist',
+            'watchlist.moveForward': 'Nach vorne',
+            'watchlist.moveBack': 'Nach hinten',
+            'watchlist.exported': { one: '{count} Eintrag exportiert.', other: '{count} Einträge exportiert.' },
+            'watchlist.nothingNew': 'Keine neuen Einträge gefunden.',
+            'watchlist.removedUnknown': { one: '{count} unbekannter Eintrag wurde entfernt.', other: '{count} unbekannte Einträge wurden entfernt.' },
+
+            'alert.type.price-above': 'Kurs über',
+            'alert.type.price-below': 'Kurs unter',
+            'alert.type.change-above': '24h-Änderung über',
+            'alert.type.change-below': '24h-Änderung unter',
+            'alert.type.day-high': 'Durchbricht Tageshoch',
+            'alert.type.day-low': 'Durchbricht Tagestief',
+            'alert.title': 'Kursalarm: {name}',
+            'alert.body': '{condition} – aktuell {price}',
+            'alert.region': 'Kursalarme',
+            'alert.snooze': '1 h pausieren',
+            'alert.resume': 'Fortsetzen',
+            'alert.reactivate': 'Reaktivieren',
+            'alert.manage': 'Alarme verwalten',
+            'alert.current': 'Aktuell {price}',
+            'alert.triggeredAt': 'Ausgelöst {time} bei {price}',
+            'alert.snoozedUntil': 'Pausiert bis {time}',
+            'alert.createdAt': 'Erstellt {time}',
+            'alert.permission.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen – Alarme erscheinen als Hinweis auf der Seite.',
+            'alert.permission.granted': 'Browser-Benachrichtigungen sind aktiv.',
+            'alert.permission.denied': 'Benachrichtigungen sind blockiert – Alarme erscheinen als Hinweis auf der Seite.',
+            'alert.permission.default': 'Ohne Freigabe erscheinen Alarme nur als Hinweis auf der geöffneten Seite.',
+
+            'portfolio.invalid': 'Bitte Menge und Kaufkurs grösser als 0 angeben.',
+            'portfolio.imported': { one: '{count} Position importiert.', other: '{count} Positionen importiert.' },
+            'portfolio.importedSkipped': {
+                one: '{count} Position importiert, {skipped} Zeilen übersprungen.',
+                other: '{count} Positionen importiert, {skipped} Zeilen übersprungen.'
+            },
+            'portfolio.remove': '{name} entfernen',
+
+            'markets.status': 'Top {count} · {asOf}',
+            'markets.failed': 'Marktdaten konnten nicht geladen werden.',
+            'markets.empty': 'Keine Marktdaten verfügbar.',
+            'markets.page': 'Seite {page} von {pages}',
+            'sentiment.extremeFear': 'Extreme Angst',
+            'sentiment.fear': 'Angst',
+            'sentiment.neutral': 'Neutral',
+            'sentiment.greed': 'Gier',
+            'sentiment.extremeGreed': 'Extreme Gier',
+
+            'tip.level.beginner': 'Anfänger',
+            'tip.level.intermediate': 'Fortgeschritten',
+            'tip.category.strategy': 'Strategie',
+            'tip.category.risk': 'Risk Management',
+            'tip.category.analysis': 'Analyse',
+            'tip.category.basics': 'Grundlagen',
+            'tip.category.psychology': 'Psychologie',
+            'tip.dca.title': '📈 Dollar-Cost Averaging (DCA)',
+            'tip.dca.content': 'Investiere regelmässig feste Beträge, unabhängig vom aktuellen Preis. Diese Strategie minimiert das Risiko von ungünstigen Einstiegszeitpunkten und glättet die Volatilität. Bei einem DCA-Plan kaufst du z.B. jeden Monat für 100€ Bitcoin - egal ob der Kurs bei 30.000€ oder 50.000€ steht.',
+            'tip.dca.link': 'Sparplan mit historischen Kursen testen',
+            'tip.diversification.title': '🎯 Diversifikation ist Key',
+            'tip.diversification.content': 'Setze nicht alles auf eine Karte. Verteile dein Portfolio auf verschiedene Indices und Asset-Klassen, um Risiken zu streuen und von verschiedenen Markttrends zu profitieren. Die 60-30-10 Regel: 60% etablierte Coins, 30% Mid-Caps, 10% High-Risk/High-Reward.',
+            'tip.technical.title': '📊 Technische Analyse nutzen',
+            'tip.technical.content': 'Lerne Charts zu lesen und erkenne Muster. RSI, MACD und Moving Averages sind essenzielle Tools für erfolgreiche Entry- und Exit-Points. Ein RSI über 70 signalisiert überkaufte Bedingungen, unter 30 überverkaufte - ideale Zeitpunkte für Trades.',
+            'tip.technical.link': 'Überkaufte und überverkaufte Märkte im Scanner finden',
+            'tip.stopLoss.title': '🛡️ Stop-Loss Orders setzen',
+            'tip.stopLoss.content': 'Schütze dein Kapital durch automatische Stop-Loss Orders. Definiere vorab, wieviel Verlust du bereit bist zu akzeptieren. Eine gängige Regel: Setze Stop-Loss 7-10% unter deinem Einstiegspreis bei volatilen Assets.',
+            'tip.affordable.title': '💰 Nur investieren was du verlieren kannst',
+            'tip.affordable.content': 'Krypto-Märkte sind volatil. Investiere niemals Geld, das du für deinen Lebensunterhalt brauchst oder dir geliehen hast. Eine Faustregel: Maximal 5-10% deines Gesamtvermögens in Krypto, abhängig von deiner Risikotoleranz.',
+            'tip.timing.title': '⏰ Market Timing vermeiden',
+            'tip.timing.content': "Den perfekten Zeitpunkt zu finden ist nahezu unmöglich. Konzentriere dich auf langfristige Trends statt auf kurzfristige Schwankungen. 'Time in the market beats timing the market' - dieses Prinzip gilt auch für Krypto.",
+            'tip.research.title': '🔍 Research vor Investment (DYOR)',
+            'tip.research.content': 'Do Your Own Research ist essentiell. Analysiere Whitepapers, Team-Background, Tokenomics und Use-Cases bevor du investierst. Prüfe: Wer ist im Team? Welches Problem löst das Projekt? Wie ist die Token-Distribution?'
+        }
+    },
+    'de-DE': {
+        label: 'Deutsch (DE)',
+        messages: {
+            'common.close': 'Schließen',
+            'market.closesIn': '{state} · schließt in {countdown}',
+            'portfolio.invalid': 'Bitte Menge und Kaufkurs größer als 0 angeben.',
+            'calc.invalid': 'Bitte Einstiegskurs, Kontogröße, Risiko und Stop-Loss größer als 0 angeben.',
+            'calc.leverage': 'Die Position ({notional}) ist größer als das Konto und nur mit Hebel oder Margin möglich.',
+            'dca.invalid': 'Bitte einen Sparbetrag größer als 0, Gebühren ab 0 und ein Ende nach dem Start angeben.',
+            'leverage.shortfall': 'Die nötige Margin ({margin}) ist größer als das Kontoguthaben – so ließe sich die Position nicht eröffnen.',
+            'tip.dca.content': 'Investiere regelmäßig feste Beträge, unabhängig vom aktuellen Preis. Diese Strategie minimiert das Risiko von ungünstigen Einstiegszeitpunkten und glättet die Volatilität. Bei einem DCA-Plan kaufst du z.B. jeden Monat für 100€ Bitcoin - egal ob der Kurs bei 30.000€ oder 50.000€ steht.'
+        }
+    },
+    'en': {
+        label: 'English',
+        messages: {
+            'common.loading': 'Loading…',
+            'common.close': 'Close',
+            'common.delete': 'Delete',
+            'common.or': 'or',
+            'nav.menu': 'Menu',
+            'nav.language': 'Language',
+            'nav.currency': 'Display currency',
+            'contact.sending': 'Sending…',
+
+            'asset.crypto': 'Crypto',
+            'asset.commodities': 'Commodities',
+            'asset.stocks': 'Stocks',
+
+            'status.asOf': 'As of {time}',
+            'status.asOfUnknown': 'As of —',
+            'card.details': 'Details for {name}',
+            'card.sinceVisit': 'Since last visit: {change}',
+            'card.sinceVisitTitle': 'Compared with {time}',
+            'card.marketCap': 'Market cap',
+            'card.volume24h': '24h volume',
+            'card.volume': 'Volume',
+            'card.high24h': '24h high',
+            'card.low24h': '24h low',
+            'card.pe': 'P/E',
+            'card.high52w': '52W high',
+            'card.contractValue': 'Contract value',
+            'card.tickValue': 'Tick value',
+
+            'fundamentals.title': 'Fundamentals',
+            'fundamentals.eps': 'EPS',
+            'fundamentals.dividendYield': 'Dividend yield',
+            'fundamentals.beta': 'Beta',
+            'fundamentals.range52w': '52W range',
+            'fundamentals.sector': 'Sector',
+            'fundamentals.industry': 'Industry',
+
+            'events.earnings': 'Earnings',
+            'events.exDividend': 'Ex-dividend',
+            'events.dividend': 'Dividend payment',
+            'calendar.status': { one: '{count} event in the next {weeks} weeks', other: '{count} events in the next {weeks} weeks' },
+            'calendar.empty': 'No events in the next {weeks} weeks.',
+            'calendar.failed': 'Events could not be loaded.',
+
+            'calc.livePrice': 'Live price {price} · {asOf}',
+            'calc.livePriceManual': 'Custom entry price · live price {price}',
+            'calc.noPrice': 'No live price available – please enter the entry price yourself.',
+            'calc.exposure': '{percent} of account',
+            'calc.invalid': 'Please enter an entry price, account size, risk and stop-loss greater than 0.',
+            'calc.stopSide.long': 'For a long position the stop-loss must be below the entry price.',
+            'calc.stopSide.short': 'For a short position the stop-loss must be above the entry price.',
+            'calc.tooSmall': 'A risk of {amount} does not cover a single share – raise the risk or tighten the stop-loss.',
+            'calc.leverage': 'The position ({notional}) is larger than the account and only possible with leverage or margin.',
+
+            'leverage.invalid': 'Please enter an entry price, quantity and leverage (1x or more); maintenance margin must be between 0 and 100 %.',
+            'leverage.balance': 'Please enter the account balance for cross margin.',
+            'leverage.shortfall': 'The required margin ({margin}) exceeds the account balance – the position could not be opened like this.',
+            'leverage.maintenanceAmount': 'Maintenance margin {amount}',
+            'leverage.noLiquidation': 'None',
+            'leverage.noLiquidationHint': 'The margin covers a price of 0.',
+            'leverage.distance': '{percent} from entry',
+            'leverage.fundingDetail': { one: '{count} payment · {percent} of margin', other: '{count} payments · {percent} of margin' },
+            'leverage.liquidated': 'Liquidated',
+
+            'contract.allMonths': 'All months',
+
+            'dca.range': 'Daily closes {from} – {to}',
+            'dca.clipped': 'Price data only available from {date} – the savings plan starts there.',
+            'dca.unavailable': 'Historical prices could not be loaded.',
+            'dca.invalid': 'Please enter an amount greater than 0, fees of at least 0 and an end after the start.',
+            'dca.fee': 'The fees per purchase ({fee}) are as high as the amount.',
+            'dca.noData': 'There is no price data for this period.',
+            'dca.noFx': 'No exchange rate available for {currency} – please try again later.',
+            'dca.invested': { one: '{amount} invested in {count} purchase', other: '{amount} invested in {count} purchases' },
+            'dca.averagePrice': 'Avg. price on purchase dates: {price}',
+            'dca.lumpSumValue': 'Lump sum: {value}',
+            'dca.readout': '{date} · Savings plan {value} · invested {invested} · lump sum {lumpSum}',
+            'dca.strategy.dca': 'Savings plan',
+            'dca.strategy.lumpSum': 'Lump sum',
+            'dca.years': { one: '{count} year', other: '{count} years' },
+
+            'indicator.state.overbought': 'Overbought',
+            'indicator.state.oversold': 'Oversold',
+            'indicator.state.neutral': 'Neutral',
+            'indicator.rsiTitle': 'RSI 14 (daily closes): {rsi} – {state}',
+            'indicator.aboveSma': 'Price {distance} above SMA {period}',
+            'indicator.belowSma': 'Price {distance} below SMA {period}',
+            'indicator.macd.above': 'above signal line',
+            'indicator.macd.below': 'below signal line',
+            'scanner.status': { one: '{count} instrument · {overbought} overbought · {oversold} oversold', other: '{count} instruments · {overbought} overbought · {oversold} oversold' },
+            'scanner.empty': 'No matches for this filter.',
+            'scanner.failed': 'Price histories could not be loaded.',
+
+            'market.open': 'Open',
+            'market.post': 'After hours',
+            'market.break': 'Trading break',
+            'market.closed': 'Closed',
+            'market.alwaysOpen': 'Open · 24/7',
+            'market.closesIn': '{state} · closes in {countdown}',
+            'market.opensIn': '{state} · opens in {countdown}',
+            'market.countdownDays': '{days}d {hours}h',
+
+            'range.1D': '1D',
+            'range.5D': '5D',
+            'range.1Y': '1Y',
+            'range.5Y': '5Y',
+
+            'detail.empty': 'No instrument selected. Pick a quote under {links}.',
+            'detail.previousClose': 'Previous close',
+            'detail.dayHigh': 'Day high',
+            'detail.dayLow': 'Day low',
+            'detail.marketCap': 'Market cap',
+            'detail.volume': 'Volume',
+            'detail.volume24h': '24h volume',
+            'detail.currency': 'Currency',
+            'chart.low': 'L',
+            'chart.close': 'C',
+            'chart.empty': 'No chart data for this period.',
+            'chart.unavailable': 'Chart data currently unavailable.',
+
+            'watchlist.add': 'Add to watchlist',
+            'watchlist.remove': 'Remove from watchlist',
+            'watchlist.toggle': '{name} on the watchlist',
+            'watchlist.moveForward': 'Move forward',
+            'watchlist.moveBack': 'Move back',
+            'watchlist.exported': { one: '{count} entry exported.', other: '{count} entries exported.' },
+            'watchlist.nothingNew': 'No new entries found.',
+            'watchlist.removedUnknown': { one: '{count} unknown entry was removed.', other: '{count} unknown entries were removed.' },
+
+            'alert.type.price-above': 'Price above',
+            'alert.type.price-below': 'Price below',
+            'alert.type.change-above': '24h change above',
+            'alert.type.change-below': '24h change below',
+            'alert.type.day-high': 'Breaks day high',
+            'alert.type.day-low': 'Breaks day low',
+            'alert.title': 'Price alert: {name}',
+            'alert.body': '{condition} – now {price}',
+            'alert.region': 'Price alerts',
+            'alert.snooze': 'Snooze 1 h',
+            'alert.resume': 'Resume',
+            'alert.reactivate': 'Reactivate',
+            'alert.manage': 'Manage alerts',
+            'alert.current': 'Now {price}',
+            'alert.triggeredAt': 'Triggered {time} at {price}',
+            'alert.snoozedUntil': 'Snoozed until {time}',
+            'alert.createdAt': 'Created {time}',
+            'alert.permission.unsupported': 'This browser does not support notifications – alerts appear as a notice on the page.',
+            'alert.permission.granted': 'Browser notifications are enabled.',
+            'alert.permission.denied': 'Notifications are blocked – alerts appear as a notice on the page.',
+            'alert.permission.default': 'Without permission, alerts only appear as a notice on the open page.',
+
+            'portfolio.invalid': 'Please enter a quantity and buy price greater than 0.',
+            'portfolio.imported': { one: '{count} position imported.', other: '{count} positions imported.' },
+            'portfolio.importedSkipped': {
+                one: '{count} position imported, {skipped} rows skipped.',
+                other: '{count} positions imported, {skipped} rows skipped.'
+            },
+            'portfolio.remove': 'Remove {name}',
+
+            'markets.failed': 'Market data could not be loaded.',
+            'markets.empty': 'No market data available.',
+            'markets.page': 'Page {page} of {pages}',
+            'sentiment.extremeFear': 'Extreme Fear',
+            'sentiment.fear': 'Fear',
+            'sentiment.neutral': 'Neutral',
+            'sentiment.greed': 'Greed',
+            'sentiment.extremeGreed': 'Extreme Greed',
+
+            'tip.level.beginner': 'Beginner',
+            'tip.level.intermediate': 'Intermediate',
+            'tip.category.strategy': 'Strategy',
+            'tip.category.analysis': 'Analysis',
+            'tip.category.basics': 'Basics',
+            'tip.category.psychology': 'Psychology',
+            'tip.diversification.title': '🎯 Diversification is key',
+            'tip.diversification.content': "Don't put all your eggs in one basket. Spread your portfolio across different indices and asset classes to reduce risk and benefit from different market trends. The 60-30-10 rule: 60% established coins, 30% mid caps, 10% high risk/high reward.",
+            'tip.dca.content': 'Invest fixed amounts at regular intervals, regardless of the current price. This strategy reduces the risk of bad entry points and smooths out volatility. With a DCA plan you might buy €100 of Bitcoin every month - whether the price is €30,000 or €50,000.',
+            'tip.dca.link': 'Backtest a savings plan with historical prices',
+            'tip.technical.title': '📊 Use technical analysis',
+            'tip.technical.content': 'Learn to read charts and spot patterns. RSI, MACD and moving averages are essential tools for good entry and exit points. An RSI above 70 signals overbought conditions, below 30 oversold - ideal moments for trades.',
+            'tip.technical.link': 'Find overbought and oversold markets in the scanner',
+            'tip.stopLoss.title': '🛡️ Set stop-loss orders',
+            'tip.stopLoss.content': 'Protect your capital with automatic stop-loss orders. Decide in advance how much loss you are willing to accept. A common rule: place the stop-loss 7-10% below your entry price for volatile assets.',
+            'tip.affordable.title': '💰 Only invest what you can afford to lose',
+            'tip.affordable.content': 'Crypto markets are volatile. Never invest money you need for living expenses or have borrowed. A rule of thumb: at most 5-10% of your total assets in crypto, depending on your risk tolerance.',
+            'tip.timing.title': '⏰ Avoid market timing',
+            'tip.timing.content': "Finding the perfect moment is nearly impossible. Focus on long-term trends rather than short-term swings. 'Time in the market beats timing the market' - this principle applies to crypto too.",
+            'tip.research.title': '🔍 Research before investing (DYOR)',
+            'tip.research.content': 'Do Your Own Research is essential. Analyse whitepapers, team background, tokenomics and use cases before you invest. Check: who is on the team? What problem does the project solve? How are the tokens distributed?'
+        }
+    }
+};
+
+let localeMemo = null;
+const numberFormatCache = new Map();
+const dateTimeFormatCache = new Map();
+
+// Wie die Währung: einmal pro Seitenaufruf gelesen, ein Wechsel lädt die Seite neu.
+function getLocale() {
+    if (!localeMemo) {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(LOCALE_KEY);
+        } catch {
+            // ignore
+        }
+        localeMemo = LOCALES[stored] ? stored : DEFAULT_LOCALE;
+    }
+    return localeMemo;
+}
+
+function setLocale(locale) {
+    if (!LOCALES[locale] || locale === getLocale()) return;
+    try {
+        localStorage.setItem(LOCALE_KEY, locale);
+    } catch {
+        // ignore
+    }
+    window.location.reload();
+}
+
+function t(key, params = {}) {
+    let message = LOCALES[getLocale()].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(getLocale()).select(Number(params.count));
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+function getCachedFormat(cache, Format, options) {
+    const cacheKey = `${getLocale()}|${JSON.stringify(options)}`;
+    if (!cache.has(cacheKey)) cache.set(cacheKey, new Format(getLocale(), options));
+    return cache.get(cacheKey);
+}
+
+function formatNumber(value, options = {}) {
+    return getCachedFormat(numberFormatCache, Intl.NumberFormat, options).format(value);
+}
+
+// Prozentwerte wie 1.84 (nicht 0.0184), standardmässig mit Vorzeichen: "+1.84%"
+function formatPercent(value, { decimals = 2, signed = true } = {}) {
+    return formatNumber(value / 100, {
+        style: 'percent',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        signDisplay: signed ? 'exceptZero' : 'auto'
+    });
+}
+
+function formatDateTime(value, options) {
+    return getCachedFormat(dateTimeFormatCache, Intl.DateTimeFormat, options).format(value);
+}
+
+// Auswahl in der Navigation, auf allen Seiten
+function mountLocaleSelector() {
+    const menu = document.querySelector('.nav-menu');
+    if (!menu || menu.querySelector('.locale-select')) return;
+
+    const select = document.createElement('select');
+    select.className = 'nav-select locale-select';
+    select.setAttribute('aria-label', t('nav.language'));
+    for (const [locale, { label }] of Object.entries(LOCALES)) {
+        select.add(new Option(label, locale, false, locale === getLocale()));
+    }
+    select.addEventListener('change', () => setLocale(select.value));
+
+    const item = document.createElement('li');
+    item.className = 'nav-locale';
+    item.appendChild(select);
+    menu.appendChild(item);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountLocaleSelector);
+} else {
+    mountLocaleSelector();
+}
@@ -0,0 +1,190 @@
+// Indikator-Scanner für RBC Excellence (scanner.html)
+// Alle Instrumente der vier Marktseiten mit RSI 14, Abstand zum SMA 50, MACD gegenüber der
+// Signallinie und Lage in den Bollinger-Bändern, aus denselben Tagesschlüsseln wie die Chips
+// auf den Cards (indicators.js). Filter nach Signal und Anlageklasse, sortierbar wie die
+// Kryptomarkt-Tabelle. Muss nach indicators.js geladen werden.
+
+const INDICATOR_SCANNER_KEY = 'rbc_indicator_scanner_v1';
+const INDICATOR_SCANNER_SIGNALS = ['all', 'overbought', 'oversold', 'neutral'];
+const INDICATOR_SCANNER_CLASSES = ['all', 'crypto', 'indices', 'commodities', 'stocks'];
+const INDICATOR_SCANNER_DEFAULTS = { signal: 'all', assetClass: 'all', sort: 'rsi', direction: 'desc' };
+
+// Sortierbare Spalten (th[data-sort]); Name und Klasse sortieren zuerst aufsteigend
+const INDICATOR_SCANNER_COLUMNS = ['name', 'assetClass', 'rsi', 'smaDistance', 'macdHistogram', 'bollingerPosition'];
+const INDICATOR_SCANNER_ASCENDING_FIRST = ['name', 'assetClass'];
+
+const indicatorScanner = {
+    failed: false,
+    ...loadIndicatorScannerSettings()
+};
+
+function loadIndicatorScannerSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(INDICATOR_SCANNER_KEY) || '{}') || {};
+    } catch {
+        // Defaults
+    }
+    // ?signal=oversold aus Links (z.B. dem Tipp zur technischen Analyse) geht vor
+    const signal = new URLSearchParams(window.location.search).get('signal') || stored.signal;
+    return {
+        signal: INDICATOR_SCANNER_SIGNALS.includes(signal) ? signal : INDICATOR_SCANNER_DEFAULTS.signal,
+        assetClass: INDICATOR_SCANNER_CLASSES.includes(stored.assetClass) ? stored.assetClass : INDICATOR_SCANNER_DEFAULTS.assetClass,
+        sort: INDICATOR_SCANNER_COLUMNS.includes(stored.sort) ? stored.sort : INDICATOR_SCANNER_DEFAULTS.sort,
+        direction: stored.direction === 'asc' ? 'asc' : 'desc'
+    };
+}
+
+function saveIndicatorScannerSettings() {
+    const { signal, assetClass, sort, direction } = indicatorScanner;
+    try {
+        localStorage.setItem(INDICATOR_SCANNER_KEY, JSON.stringify({ signal, assetClass, sort, direction }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function getScannerInstruments() {
+    return INDICATOR_SCANNER_CLASSES.slice(1).flatMap(assetClass => getInstruments(assetClass).map(instrument => ({
+        instrument,
+        assetClass,
+        key: assetClass === 'crypto' ? `cg:${instrument.ticker}` : `yahoo:${instrument.symbol}`
+    })));
+}
+
+// Eine Zeile pro Instrument mit Kursreihe; Reihen ohne genug Tage für den RSI fallen weg
+function getScannerRows() {
+    return getScannerInstruments().flatMap(({ instrument, assetClass, key }) => {
+        const signal = getIndicatorSignalForKey(key);
+        if (!signal) return [];
+        return [{
+            ...signal,
+            key,
+            instrument,
+            assetClass,
+            name: instrument.shortName || instrument.name,
+            currency: getCacheEntry(getIndicatorHistoryKey(key)).currency
+        }];
+    });
+}
+
+// Anlageklassen in der Reihenfolge des Filters statt alphabetisch
+function compareScannerClasses(a, b) {
+    return INDICATOR_SCANNER_CLASSES.indexOf(a) - INDICATOR_SCANNER_CLASSES.indexOf(b);
+}
+
+function createScannerSignalCell(row) {
+    const cell = document.createElement('td');
+    const chip = document.createElement('span');
+    chip.className = `signal-chip signal-${row.state}`;
+    chip.textContent = t(`indicator.state.${row.state}`);
+    cell.appendChild(chip);
+    return cell;
+}
+
+function createScannerRow(row) {
+    const smaCell = createTableCell(row.smaDistance !== null ? formatPercent(row.smaDistance, { decimals: 1 }) : '—', 'num');
+    smaCell.classList.toggle('positive', row.smaDistance > 0);
+    smaCell.classList.toggle('negative', row.smaDistance < 0);
+
+    const macdCell = createTableCell('—');
+    if (row.macdHistogram !== null) {
+        const isAbove = row.macdHistogram >= 0;
+        macdCell.textContent = `${isAbove ? '▲' : '▼'} ${t(isAbove ? 'indicator.macd.above' : 'indicator.macd.below')}`;
+        macdCell.className = isAbove ? 'positive' : 'negative';
+    }
+
+    const tr = document.createElement('tr');
+    tr.append(
+        createTableNameCell({
+            href: getDetailUrl(getInstrumentTicker(row.instrument), row.assetClass),
+            name: row.name,
+            symbol: getInstrumentTicker(row.instrument)
+        }),
+        createTableCell(t(`asset.${row.assetClass}`)),
+        createTableCell(formatMoney(row.price, row.currency, { decimals: getPriceDecimals(row.price) }), 'num'),
+        createTableCell(formatNumber(row.rsi, { maximumFractionDigits: 1 }), 'num'),
+        createScannerSignalCell(row),
+        smaCell,
+        macdCell,
+        createTableCell(row.bollingerPosition !== null ? formatPercent(row.bollingerPosition * 100, { decimals: 0, signed: false }) : '—', 'num')
+    );
+    return tr;
+}
+
+function renderIndicatorScanner() {
+    const root = document.querySelector('.indicator-scanner');
+    if (!root) return;
+
+    const { signal, assetClass, sort, direction } = indicatorScanner;
+    const allRows = getScannerRows();
+    const rows = allRows
+        .filter(row => (signal === 'all' || row.state === signal) && (assetClass === 'all' || row.assetClass === assetClass))
+        .sort((a, b) => compareTableRows(a, b, sort, direction, sort === 'assetClass' ? compareScannerClasses : undefined)
+            || compareTableRows(a, b, 'rsi', 'desc'));
+    root.querySelector('.market-table tbody').replaceChildren(...rows.map(createScannerRow));
+
+    root.querySelectorAll('.market-table th[data-sort]').forEach(header => {
+        if (header.dataset.sort === sort) header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+        else header.removeAttribute('aria-sort');
+    });
+
+    let status = t('common.loading');
+    if (allRows.length > 0) {
+        status = t('scanner.status', {
+            count: allRows.length,
+            overbought: allRows.filter(row => row.state === 'overbought').length,
+            oversold: allRows.filter(row => row.state === 'oversold').length
+        });
+        if (rows.length === 0) status = `${status} ${t('scanner.empty')}`;
+    } else if (indicatorScanner.failed) {
+        status = t('scanner.failed');
+    }
+    root.querySelector('.market-table-status').textContent = status;
+}
+
+async function refreshIndicatorScanner() {
+    const loaded = await loadIndicatorHistories(getScannerInstruments().map(({ key }) => key));
+    indicatorScanner.failed = loaded === 0;
+    renderIndicatorScanner();
+    return loaded;
+}
+
+function initIndicatorScanner(root) {
+    const signalSelect = root.querySelector('[name="signal"]');
+    const classSelect = root.querySelector('[name="assetClass"]');
+    signalSelect.value = indicatorScanner.signal;
+    classSelect.value = indicatorScanner.assetClass;
+
+    signalSelect.addEventListener('change', () => {
+        indicatorScanner.signal = signalSelect.value;
+        saveIndicatorScannerSettings();
+        renderIndicatorScanner();
+    });
+    classSelect.addEventListener('change', () => {
+        indicatorScanner.assetClass = classSelect.value;
+        saveIndicatorScannerSettings();
+        renderIndicatorScanner();
+    });
+
+    root.querySelectorAll('.market-table th[data-sort] button').forEach(button => {
+        button.addEventListener('click', () => {
+            const sort = button.closest('th').dataset.sort;
+            if (sort === indicatorScanner.sort) {
+                indicatorScanner.direction = indicatorScanner.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                indicatorScanner.sort = sort;
+                indicatorScanner.direction = INDICATOR_SCANNER_ASCENDING_FIRST.includes(sort) ? 'asc' : 'desc';
+            }
+            saveIndicatorScannerSettings();
+            renderIndicatorScanner();
+        });
+    });
+
+    renderIndicatorScanner();
+    document.addEventListener(FX_UPDATED_EVENT, () => renderIndicatorScanner());
+    scheduleRefresh('indicator-scanner', refreshIndicatorScanner, INDICATOR_REFRESH_INTERVAL_MS);
+}
+
+const indicatorScannerRoot = document.querySelector('.indicator-scanner');
+if (indicatorScannerRoot) initIndicatorScanner(indicatorScannerRoot);
@@ -0,0 +1,292 @@
+// Technische Indikatoren für RBC Excellence
+// SMA, EMA, RSI (Wilder), MACD und Bollinger-Bänder auf einer Kursreihe. Alle Funktionen liefern
+// ein Array gleicher Länge wie die Eingabe, mit null, solange die Periode noch nicht voll ist.
+// Darauf aufbauend: RSI/SMA-Chip auf jeder Kurs-Card (Tagesschlüsse über fetchDailyCloses, im
+// Live-Cache unter closes:<Key>), Overlays für den Detail-Chart (CHART_INDICATORS) und die Daten
+// für den Scanner (indicator-scanner.js). Muss nach live-data.js geladen werden.
+
+const INDICATOR_RSI_PERIOD = 14;
+const INDICATOR_RSI_OVERBOUGHT = 70;
+const INDICATOR_RSI_OVERSOLD = 30;
+const INDICATOR_TREND_PERIOD = 50;
+const INDICATOR_BOLLINGER_PERIOD = 20;
+const INDICATOR_BOLLINGER_WIDTH = 2;
+
+// ==================== BERECHNUNG ====================
+function calculateSma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, i) => {
+        sum += value;
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    });
+    return result;
+}
+
+// Startwert ist der SMA der ersten Periode; null-Werte am Anfang (z.B. MACD) werden übersprungen
+function calculateEma(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    const k = 2 / (period + 1);
+    let ema = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = ema;
+    for (let i = start + period; i < values.length; i++) {
+        ema = values[i] * k + ema * (1 - k);
+        result[i] = ema;
+    }
+    return result;
+}
+
+// RSI mit Wilder-Glättung (wie TradingView und die meisten Broker)
+function calculateRsi(values, period = INDICATOR_RSI_PERIOD) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) return result;
+
+    const toRsi = (gain, loss) => (loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss));
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const delta = values[i] - values[i - 1];
+        if (delta > 0) gain += delta;
+        else loss -= delta;
+    }
+    gain /= period;
+    loss /= period;
+    result[period] = toRsi(gain, loss);
+
+    for (let i = period + 1; i < values.length; i++) {
+        const delta = values[i] - values[i - 1];
+        gain = (gain * (period - 1) + Math.max(delta, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-delta, 0)) / period;
+        result[i] = toRsi(gain, loss);
+    }
+    return result;
+}
+
+function calculateMacd(values, { fast = 12, slow = 26, signal = 9 } = {}) {
+    const fastEma = calculateEma(values, fast);
+    const slowEma = calculateEma(values, slow);
+    const macd = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+    const signalLine = calculateEma(macd, signal);
+    const histogram = macd.map((value, i) => (value !== null && signalLine[i] !== null ? value - signalLine[i] : null));
+    return { macd, signal: signalLine, histogram };
+}
+
+function calculateBollinger(values, period = INDICATOR_BOLLINGER_PERIOD, width = INDICATOR_BOLLINGER_WIDTH) {
+    const middle = calculateSma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    middle.forEach((mean, i) => {
+        if (mean === null) return;
+        const variance = values.slice(i - period + 1, i + 1).reduce((sum, value) => sum + (value - mean) ** 2, 0) / period;
+        const deviation = Math.sqrt(variance) * width;
+        upper[i] = mean + deviation;
+        lower[i] = mean - deviation;
+    });
+    return { middle, upper, lower };
+}
+
+function getRsiState(rsi) {
+    if (rsi >= INDICATOR_RSI_OVERBOUGHT) return 'overbought';
+    if (rsi <= INDICATOR_RSI_OVERSOLD) return 'oversold';
+    return 'neutral';
+}
+
+// Kennzahlen am letzten Kurs der Reihe; null, solange die Reihe für den RSI zu kurz ist.
+// smaDistance in Prozent, bollingerPosition 0 = unteres, 1 = oberes Band (kann darüber hinaus).
+function getIndicatorSignal(closes) {
+    if (!Array.isArray(closes)) return null;
+    const last = values => values[values.length - 1] ?? null;
+    const rsi = last(calculateRsi(closes));
+    if (rsi === null) return null;
+
+    const price = last(closes);
+    const sma = last(calculateSma(closes, INDICATOR_TREND_PERIOD));
+    const { histogram } = calculateMacd(closes);
+    const bands = calculateBollinger(closes);
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    return {
+        price,
+        rsi,
+        state: getRsiState(rsi),
+        sma,
+        smaDistance: sma !== null ? (price / sma - 1) * 100 : null,
+        macdHistogram: last(histogram),
+        bollingerPosition: upper !== null && upper > lower ? (price - lower) / (upper - lower) : null
+    };
+}
+
+// ==================== KURSVERLAUF (TAGESSCHLÜSSE) ====================
+// Rund 150 Kalendertage reichen auch bei Aktien (gut 100 Handelstage) für SMA 50 und MACD.
+const INDICATOR_HISTORY_PREFIX = 'closes:';
+const INDICATOR_HISTORY_DAYS = 150;
+const INDICATOR_HISTORY_TTL_MS = 1000 * 60 * 60 * 6;
+const INDICATOR_REFRESH_INTERVAL_MS = 1000 * 60 * 30;
+
+function getIndicatorHistoryKey(key) {
+    return `${INDICATOR_HISTORY_PREFIX}${key}`;
+}
+
+async function loadIndicatorHistory(key, nowMs) {
+    const { source, symbol, ticker } = parseQuoteKey(key);
+    try {
+        const { points, currency } = await fetchDailyCloses(source, symbol, { fromMs: nowMs - INDICATOR_HISTORY_DAYS * DAY_MS });
+        if (!points.length) return 0;
+        setCacheEntry(getIndicatorHistoryKey(key), {
+            closes: points.map(([, close]) => Number(close.toPrecision(6))),
+            lastCloseMs: points[points.length - 1][0],
+            currency: currency || getQuoteCurrency(null, ticker),
+            fetchedAtMs: nowMs
+        });
+        return 1;
+    } catch (error) {
+        console.warn(`⚠️ Kursverlauf für ${key} konnte nicht geladen werden:`, error?.message || error);
+        return 0;
+    }
+}
+
+// Lädt die Tagesschlüsse aller keys, deren Cache älter als INDICATOR_HISTORY_TTL_MS ist.
+// Liefert die Anzahl geladener Reihen, null = alles aktuell (für scheduleRefresh).
+async function loadIndicatorHistories(keys) {
+    const nowMs = Date.now();
+    const due = keys.filter(key => {
+        const cached = getCacheEntry(getIndicatorHistoryKey(key));
+        return !cached || !(nowMs - Number(cached.fetchedAtMs) < INDICATOR_HISTORY_TTL_MS);
+    });
+    if (due.length === 0) return null;
+
+    // CoinGecko drosselt stärker als Yahoo, daher zwei getrennte Warteschlangen
+    const isCrypto = key => parseQuoteKey(key)?.source === 'crypto';
+    const results = await Promise.all([
+        mapWithConcurrency(due.filter(isCrypto), COINGECKO_SERIES_CONCURRENCY, key => loadIndicatorHistory(key, nowMs)),
+        mapWithConcurrency(due.filter(key => !isCrypto(key)), SYMBOL_FETCH_CONCURRENCY, key => loadIndicatorHistory(key, nowMs))
+    ]);
+    const loaded = results.flat().reduce((sum, count) => sum + count, 0);
+    console.log(`✅ Kursverläufe für Indikatoren: ${loaded}/${due.length}`);
+    return loaded;
+}
+
+// Tagesschlüsse aus dem Cache; der letzte Live-Kurs ersetzt den heutigen Schluss oder kommt
+// als neuer Tag dazu (umgerechnet in die Währung der Reihe). null ohne Reihe.
+function getIndicatorCloses(key) {
+    const history = getCacheEntry(getIndicatorHistoryKey(key));
+    if (!Array.isArray(history?.closes) || history.closes.length === 0) return null;
+
+    const closes = [...history.closes];
+    const quote = getCacheEntry(key);
+    if (!isValidQuote(quote)) return closes;
+
+    const quoteMs = Number.isFinite(Number(quote.marketTimeSec)) ? Number(quote.marketTimeSec) * 1000 : Number(quote.tsMs);
+    const price = convertAmount(quote.price, getQuoteCurrency(quote, parseQuoteKey(key)?.ticker), history.currency);
+    if (price === null || !(quoteMs >= history.lastCloseMs)) return closes;
+
+    if (Math.floor(quoteMs / DAY_MS) === Math.floor(history.lastCloseMs / DAY_MS)) closes[closes.length - 1] = price;
+    else closes.push(price);
+    return closes;
+}
+
+function getIndicatorSignalForKey(key) {
+    return getIndicatorSignal(getIndicatorCloses(key));
+}
+
+// ==================== SIGNALE AUF DEN CARDS ====================
+function getCardQuoteKey(card) {
+    const info = getCardMarketSymbol(card);
+    if (!info) return null;
+    return info.source === 'crypto' ? `cg:${info.symbol}` : `yahoo:${info.symbol}`;
+}
+
+function describeIndicatorSignal(signal) {
+    const rsi = formatNumber(signal.rsi, { maximumFractionDigits: 0 });
+    const parts = [t('indicator.rsiTitle', { rsi, state: t(`indicator.state.${signal.state}`) })];
+    if (signal.smaDistance !== null) {
+        const distance = formatPercent(Math.abs(signal.smaDistance), { decimals: 1, signed: false });
+        parts.push(t(signal.smaDistance >= 0 ? 'indicator.aboveSma' : 'indicator.belowSma', { distance, period: INDICATOR_TREND_PERIOD }));
+    }
+    if (signal.macdHistogram !== null) {
+        parts.push(`MACD ${t(signal.macdHistogram >= 0 ? 'indicator.macd.above' : 'indicator.macd.below')}`);
+    }
+    return parts.join(' · ');
+}
+
+function ensureSignalChip(card) {
+    let el = card.querySelector('.signal-chip');
+    if (el) return el;
+
+    el = document.createElement('div');
+    el.className = 'signal-chip';
+    const anchor = card.querySelector('.market-state') || card.querySelector('.price-status');
+    if (anchor) anchor.insertAdjacentElement('afterend', el);
+    else card.appendChild(el);
+    return el;
+}
+
+function renderSignalChip(card, signal) {
+    if (!signal) {
+        card.querySelector('.signal-chip')?.remove();
+        return;
+    }
+
+    const el = ensureSignalChip(card);
+    const parts = [`RSI ${formatNumber(signal.rsi, { maximumFractionDigits: 0 })}`];
+    if (signal.smaDistance !== null) parts.push(`${signal.smaDistance >= 0 ? '▲' : '▼'} SMA ${INDICATOR_TREND_PERIOD}`);
+    el.textContent = parts.join(' · ');
+    el.className = `signal-chip signal-${signal.state}`;
+    el.title = describeIndicatorSignal(signal);
+}
+
+// Aus dem Cache; nach jedem Kurs-Refresh der Cards (rbc:quotes-updated) neu.
+function renderIndicatorChips() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(card => {
+        const key = getCardQuoteKey(card);
+        renderSignalChip(card, key ? getIndicatorSignalForKey(key) : null);
+    });
+}
+
+async function updateIndicatorChips() {
+    const keys = [...new Set([...document.querySelectorAll(QUOTE_CARD_SELECTOR)].map(getCardQuoteKey).filter(Boolean))];
+    if (keys.length === 0) return null;
+    const loaded = await loadIndicatorHistories(keys);
+    renderIndicatorChips();
+    return loaded;
+}
+
+function initIndicatorChips() {
+    if (!document.querySelector(QUOTE_CARD_SELECTOR)) return;
+    renderIndicatorChips();
+    document.addEventListener(QUOTES_UPDATED_EVENT, () => renderIndicatorChips());
+    document.addEventListener(FX_UPDATED_EVENT, () => renderIndicatorChips());
+    scheduleRefresh('indicators', updateIndicatorChips, INDICATOR_REFRESH_INTERVAL_MS);
+}
+
+// ==================== CHART-OVERLAYS ====================
+// Für den Detail-Chart (detail.js), berechnet auf den Schlusskursen der angezeigten Kerzen.
+// overlays liefert die Linien im Format von price-chart.js.
+const CHART_INDICATORS = {
+    sma20: { label: 'SMA 20', color: '#f59e0b', overlays: closes => [{ values: calculateSma(closes, 20), color: '#f59e0b' }] },
+    sma50: { label: 'SMA 50', color: '#38bdf8', overlays: closes => [{ values: calculateSma(closes, 50), color: '#38bdf8' }] },
+    ema20: { label: 'EMA 20', color: '#a855f7', overlays: closes => [{ values: calculateEma(closes, 20), color: '#a855f7' }] },
+    bollinger: {
+        label: `BB ${INDICATOR_BOLLINGER_PERIOD}/${INDICATOR_BOLLINGER_WIDTH}`,
+        color: '#94a3b8',
+        overlays: closes => {
+            const { middle, upper, lower } = calculateBollinger(closes);
+            return [
+                { values: upper, color: '#94a3b8', dashed: true },
+                { values: middle, color: '#94a3b8' },
+                { values: lower, color: '#94a3b8', dashed: true }
+            ];
+        }
+    }
+};
+
+// Wie initLiveData erst beim DOMContentLoaded, wenn alle Cards der Seite stehen
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initIndicatorChips);
+} else {
+    initIndicatorChips();
+}
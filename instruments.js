@@ -0,0 +1,316 @@
+// Instrument-Katalog für RBC Excellence
+// Einzige Liste aller Instrumente: live-data.js leitet daraus die Symbole pro Quelle ab,
+// market-hours.js die Börse pro Symbol, und die Kurs-Cards auf krypto.html, indices.html,
+// futures.html und assets.html werden aus diesem Katalog erzeugt. Ein neues Instrument
+// braucht also nur einen Eintrag hier (plus ggf. Fixture in fixtures/quotes.json).
+//
+// Felder:
+//   symbol       Yahoo-Symbol bzw. CoinGecko-ID (Krypto)
+//   ticker       angezeigter Ticker (Default: symbol); Krypto: Ticker im Cache-Key `cg:`
+//   name         Name auf der Card, shortName für Listen, Alarme und Auswahlfelder
+//   class        'crypto' | 'indices' | 'commodities' | 'stocks' (= Quelle in live-data.js)
+//   exchange     Börse aus EXCHANGES in market-hours.js
+//   currency     Handelswährung, Fallback solange keine Quote im Cache liegt
+//                (Krypto ohne: CoinGecko liefert in der Anzeigewährung)
+//   page, group  Seite und Grid ([data-instrument-group]), in dem die Card erscheint
+//   icon/emoji   Font-Awesome-Klassen oder Emoji für die Card
+//   unit         Einheit unter dem Namen (Rohstoffe)
+//   description, components   Beschreibung und Schwergewichte (Indices)
+//   contract     Kontraktdaten (Rohstoff-Futures): exchange (Terminbörse), size (Einheiten pro
+//                Kontrakt) und unit, tick (kleinste Kursänderung in `quote`, USD oder USX = US-Cent
+//                je Einheit) und months (Kontraktmonate als Monatscodes F G H J K M N Q U V X Z)
+//
+// Muss nach i18n.js und vor script.js geladen werden (die Cards stehen dann schon im DOM,
+// wenn Animationen, Updater und Watchlist-Sterne sie suchen).
+
+// Monatscodes der Terminbörsen (F = Januar … Z = Dezember); alle zwölf = Kontrakte in jedem Monat
+const CONTRACT_MONTH_CODES = 'FGHJKMNQUVXZ';
+
+const INSTRUMENTS = [
+    // ==================== KRYPTO ====================
+    { symbol: 'bitcoin', ticker: 'BTC', name: 'Bitcoin', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fab fa-bitcoin' },
+    { symbol: 'ethereum', ticker: 'ETH', name: 'Ethereum', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fab fa-ethereum' },
+    { symbol: 'solana', ticker: 'SOL', name: 'Solana', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-sun' },
+    { symbol: 'binancecoin', ticker: 'BNB', name: 'BNB', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-coins' },
+    { symbol: 'ripple', ticker: 'XRP', name: 'XRP', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-gem' },
+    { symbol: 'dogecoin', ticker: 'DOGE', name: 'Dogecoin', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-dog' },
+    { symbol: 'toncoin', ticker: 'TON', name: 'Toncoin', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-paper-plane' },
+    { symbol: 'avalanche-2', ticker: 'AVAX', name: 'Avalanche', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-mountain' },
+    { symbol: 'chainlink', ticker: 'LINK', name: 'Chainlink', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-link' },
+    { symbol: 'tron', ticker: 'TRX', name: 'TRON', class: 'crypto', exchange: 'CRYPTO', page: 'krypto', group: 'top', icon: 'fas fa-circle' },
+
+    // ==================== INDICES ====================
+    {
+        symbol: '^GSPC', name: 'S&P 500', class: 'indices', exchange: 'NYSE', currency: 'USD', page: 'indices', group: 'global',
+        description: 'Die 500 grössten US-Unternehmen nach Marktkapitalisierung',
+        components: [['fab fa-apple', 'Apple'], ['fab fa-microsoft', 'Microsoft'], ['fab fa-amazon', 'Amazon'], ['fas fa-microchip', 'NVIDIA'], ['fab fa-google', 'Alphabet']]
+    },
+    {
+        symbol: '^IXIC', name: 'US 100 (Nasdaq)', class: 'indices', exchange: 'NYSE', currency: 'USD', page: 'indices', group: 'global',
+        description: 'Die 100 grössten Non-Financial Unternehmen an der Nasdaq',
+        components: [['fab fa-apple', 'Apple'], ['fab fa-microsoft', 'Microsoft'], ['fas fa-microchip', 'NVIDIA'], ['fas fa-car', 'Tesla'], ['fab fa-meta', 'Meta']]
+    },
+    {
+        symbol: '^DJI', name: 'Dow Jones', class: 'indices', exchange: 'NYSE', currency: 'USD', page: 'indices', group: 'global',
+        description: '30 bedeutende börsennotierte US-Unternehmen',
+        components: [['fab fa-microsoft', 'Microsoft'], ['fab fa-apple', 'Apple'], ['fas fa-plane', 'Boeing'], ['fas fa-university', 'Goldman Sachs'], ['fas fa-hamburger', "McDonald's"]]
+    },
+    {
+        symbol: '^GDAXI', name: 'DAX', class: 'indices', exchange: 'XETRA', currency: 'EUR', page: 'indices', group: 'global',
+        description: 'Die 40 grössten deutschen Unternehmen',
+        components: [['fas fa-briefcase', 'SAP'], ['fas fa-cogs', 'Siemens'], ['fas fa-building', 'Allianz'], ['fas fa-mobile-alt', 'Deutsche Telekom'], ['fas fa-car', 'BMW']]
+    },
+    {
+        symbol: '^FTSE', name: 'FTSE 100', class: 'indices', exchange: 'LSE', currency: 'GBP', page: 'indices', group: 'global',
+        description: 'Die 100 grössten Unternehmen an der Londoner Börse',
+        components: [['fas fa-pills', 'AstraZeneca'], ['fas fa-gas-pump', 'Shell'], ['fas fa-university', 'HSBC'], ['fas fa-shopping-basket', 'Unilever'], ['fas fa-oil-can', 'BP']]
+    },
+    {
+        symbol: '^N225', name: 'Nikkei 225', class: 'indices', exchange: 'TSE', currency: 'JPY', page: 'indices', group: 'global',
+        description: '225 führende japanische Unternehmen an der Tokioter Börse',
+        components: [['fas fa-car', 'Toyota'], ['fas fa-gamepad', 'Sony'], ['fas fa-microscope', 'Keyence'], ['fas fa-mobile-alt', 'SoftBank'], ['fas fa-tshirt', 'Fast Retailing']]
+    },
+    {
+        // Euro Stoxx 50: Berechnung zu Xetra-Zeiten
+        symbol: '^STOXX50E', name: 'Euro Stoxx 50', class: 'indices', exchange: 'XETRA', currency: 'EUR', page: 'indices', group: 'global',
+        description: '50 führende Blue-Chip Unternehmen der Eurozone',
+        components: [['fas fa-microscope', 'ASML'], ['fas fa-gem', 'LVMH'], ['fas fa-briefcase', 'SAP'], ['fas fa-oil-can', 'TotalEnergies'], ['fas fa-cogs', 'Siemens']]
+    },
+    {
+        symbol: '^SSMI', name: 'SMI', class: 'indices', exchange: 'SIX', currency: 'CHF', page: 'indices', group: 'global',
+        description: 'Swiss Market Index - die 20 grössten Schweizer Unternehmen',
+        components: [['fas fa-coffee', 'Nestlé'], ['fas fa-pills', 'Novartis'], ['fas fa-microscope', 'Roche'], ['fas fa-university', 'UBS'], ['fas fa-shield-alt', 'Zurich Insurance']]
+    },
+    {
+        symbol: '^HSI', name: 'Hang Seng', class: 'indices', exchange: 'HKEX', currency: 'HKD', page: 'indices', group: 'global',
+        description: 'Führender Index der Hongkonger Börse',
+        components: [['fas fa-gamepad', 'Tencent'], ['fab fa-amazon', 'Alibaba'], ['fas fa-utensils', 'Meituan'], ['fas fa-university', 'HSBC'], ['fas fa-mobile-alt', 'China Mobile']]
+    },
+
+    // ==================== ROHSTOFFE ====================
+    { symbol: 'GC=F', name: 'Gold (XAU/USD)', shortName: 'Gold', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'metals', icon: 'fas fa-medal', unit: 'pro Unze', contract: { exchange: 'COMEX', size: 100, unit: 'Feinunzen', tick: 0.1, quote: 'USD', months: 'GJMQVZ' } },
+    { symbol: 'SI=F', name: 'Silber (XAG/USD)', shortName: 'Silber', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'metals', icon: 'fas fa-circle', unit: 'pro Unze', contract: { exchange: 'COMEX', size: 5000, unit: 'Feinunzen', tick: 0.005, quote: 'USD', months: 'FHKNUZ' } },
+    { symbol: 'PL=F', name: 'Platin (XPT/USD)', shortName: 'Platin', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'metals', icon: 'fas fa-square', unit: 'pro Unze', contract: { exchange: 'NYMEX', size: 50, unit: 'Feinunzen', tick: 0.1, quote: 'USD', months: 'FJNV' } },
+    { symbol: 'PA=F', name: 'Palladium (XPD/USD)', shortName: 'Palladium', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'metals', icon: 'fas fa-circle', unit: 'pro Unze', contract: { exchange: 'NYMEX', size: 100, unit: 'Feinunzen', tick: 0.5, quote: 'USD', months: 'HMUZ' } },
+
+    { symbol: 'CL=F', name: 'WTI Crude Oil', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'energy', icon: 'fas fa-oil-can', unit: 'pro Barrel', contract: { exchange: 'NYMEX', size: 1000, unit: 'Barrel', tick: 0.01, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+    { symbol: 'BZ=F', name: 'Brent Crude Oil', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'energy', icon: 'fas fa-circle', unit: 'pro Barrel', contract: { exchange: 'NYMEX', size: 1000, unit: 'Barrel', tick: 0.01, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+    { symbol: 'NG=F', name: 'Natural Gas', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'energy', icon: 'fas fa-fire', unit: 'pro MMBtu', contract: { exchange: 'NYMEX', size: 10000, unit: 'MMBtu', tick: 0.001, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+    { symbol: 'RB=F', name: 'Gasoline', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'energy', icon: 'fas fa-gas-pump', unit: 'pro Gallon', contract: { exchange: 'NYMEX', size: 42000, unit: 'Gallonen', tick: 0.0001, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+
+    { symbol: 'ZW=F', name: 'Weizen (Wheat)', shortName: 'Weizen', class: 'commodities', exchange: 'CBOT_GRAINS', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-wheat-awn', unit: 'pro Bushel', contract: { exchange: 'CBOT', size: 5000, unit: 'Bushel', tick: 0.25, quote: 'USX', months: 'HKNUZ' } },
+    { symbol: 'ZC=F', name: 'Mais (Corn)', shortName: 'Mais', class: 'commodities', exchange: 'CBOT_GRAINS', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-seedling', unit: 'pro Bushel', contract: { exchange: 'CBOT', size: 5000, unit: 'Bushel', tick: 0.25, quote: 'USX', months: 'HKNUZ' } },
+    { symbol: 'ZS=F', name: 'Sojabohnen (Soybeans)', shortName: 'Sojabohnen', class: 'commodities', exchange: 'CBOT_GRAINS', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-leaf', unit: 'pro Bushel', contract: { exchange: 'CBOT', size: 5000, unit: 'Bushel', tick: 0.25, quote: 'USX', months: 'FHKNQUX' } },
+    { symbol: 'KC=F', name: 'Kaffee (Coffee)', shortName: 'Kaffee', class: 'commodities', exchange: 'ICE_COFFEE', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-coffee', unit: 'pro Pfund', contract: { exchange: 'ICE US', size: 37500, unit: 'Pfund', tick: 0.05, quote: 'USX', months: 'HKNUZ' } },
+    { symbol: 'SB=F', name: 'Zucker (Sugar)', shortName: 'Zucker', class: 'commodities', exchange: 'ICE_SUGAR', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-candy-cane', unit: 'pro Pfund', contract: { exchange: 'ICE US', size: 112000, unit: 'Pfund', tick: 0.01, quote: 'USX', months: 'HKNV' } },
+    { symbol: 'LE=F', name: 'Lebendvieh (Live Cattle)', shortName: 'Lebendvieh', class: 'commodities', exchange: 'CME_LIVESTOCK', currency: 'USD', page: 'futures', group: 'agri', icon: 'fas fa-drumstick-bite', unit: 'pro Pfund', contract: { exchange: 'CME', size: 40000, unit: 'Pfund', tick: 0.025, quote: 'USX', months: 'GJMQVZ' } },
+
+    { symbol: 'HG=F', name: 'Kupfer (Copper)', shortName: 'Kupfer', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'industrial', icon: 'fas fa-circle', unit: 'pro Pfund', contract: { exchange: 'COMEX', size: 25000, unit: 'Pfund', tick: 0.0005, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+    { symbol: 'ALI=F', name: 'Aluminium', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'industrial', icon: 'fas fa-cogs', unit: 'pro Tonne', contract: { exchange: 'COMEX', size: 25, unit: 'Tonnen', tick: 0.25, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+    { symbol: 'HRC=F', name: 'Stahl (Steel)', shortName: 'Stahl', class: 'commodities', exchange: 'CME_GLOBEX', currency: 'USD', page: 'futures', group: 'industrial', icon: 'fas fa-bolt', unit: 'pro Short Ton', contract: { exchange: 'NYMEX', size: 20, unit: 'Short Tons', tick: 1, quote: 'USD', months: CONTRACT_MONTH_CODES } },
+
+    // ==================== AKTIEN ====================
+    { symbol: 'AAPL', name: 'Apple Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fab fa-apple' },
+    { symbol: 'MSFT', name: 'Microsoft Corp.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fab fa-microsoft' },
+    { symbol: 'NVDA', name: 'NVIDIA Corp.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fas fa-microchip' },
+    { symbol: 'TSLA', name: 'Tesla Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fas fa-car' },
+    { symbol: 'META', name: 'Meta Platforms', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fab fa-meta' },
+    { symbol: 'GOOGL', name: 'Alphabet Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'tech', icon: 'fab fa-google' },
+
+    { symbol: 'NFLX', name: 'Netflix Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', icon: 'fas fa-play-circle' },
+    { symbol: 'AMZN', name: 'Amazon.com Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', icon: 'fab fa-amazon' },
+    { symbol: 'NKE', name: 'Nike Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', emoji: '👟' },
+    { symbol: 'KO', name: 'Coca-Cola Co.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', emoji: '🥤' },
+    { symbol: 'MCD', name: "McDonald's Corp.", class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', icon: 'fas fa-hamburger' },
+    { symbol: 'DIS', name: 'Walt Disney Co.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'consumer', emoji: '🏰' },
+
+    { symbol: 'JPM', name: 'JPMorgan Chase', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', icon: 'fas fa-university' },
+    { symbol: 'JNJ', name: 'Johnson & Johnson', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', icon: 'fas fa-pills' },
+    { symbol: 'V', name: 'Visa Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', emoji: '💳' },
+    { symbol: 'UNH', name: 'UnitedHealth Group', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', icon: 'fas fa-heartbeat' },
+    { symbol: 'BRK-B', ticker: 'BRK.B', name: 'Berkshire Hathaway', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', icon: 'fas fa-chart-line' },
+    { symbol: 'PFE', name: 'Pfizer Inc.', class: 'stocks', exchange: 'NYSE', currency: 'USD', page: 'assets', group: 'finance', emoji: '💉' }
+];
+
+function getInstruments(assetClass) {
+    return INSTRUMENTS.filter(instrument => instrument.class === assetClass);
+}
+
+// Yahoo-Symbol oder CoinGecko-ID -> Katalog-Eintrag
+function findInstrument(symbol) {
+    return INSTRUMENTS.find(instrument => instrument.symbol === symbol) || null;
+}
+
+function getInstrumentTicker(instrument) {
+    return instrument.ticker || instrument.symbol;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+// ==================== CARDS ====================
+// Kennzahlen unter dem Kurs pro Anlageklasse; Bindungen wie in renderCardFields (live-data.js)
+const INSTRUMENT_CARD_STATS = {
+    crypto: [
+        { label: 'card.marketCap', field: 'marketCap', format: 'marketCap' },
+        { label: 'card.volume24h', field: 'volume', format: 'volume' }
+    ],
+    indices: [
+        { label: 'card.high24h', field: 'high', format: 'money' },
+        { label: 'card.low24h', field: 'low', format: 'money' }
+    ],
+    commodities: [
+        { label: 'card.high24h', field: 'high', format: 'money' },
+        { label: 'card.low24h', field: 'low', format: 'money' },
+        { label: 'card.volume', field: 'volume', format: 'count' },
+        // Aus Kurs und Kontraktdaten (withContractValues in live-data.js)
+        { label: 'card.contractValue', field: 'contractValue', format: 'money', decimals: 0 },
+        { label: 'card.tickValue', field: 'tickValue', format: 'money' }
+    ],
+    stocks: [
+        { label: 'card.marketCap', field: 'marketCap', format: 'marketCap' },
+        { label: 'card.pe', field: 'pe', format: 'number', decimals: 1 },
+        { label: 'card.high52w', field: 'fiftyTwoWeekHigh', format: 'money' }
+    ]
+};
+
+// Aufklappbare Fundamentaldaten der Aktien-Cards (gefüllt über FUNDAMENTALDATEN in live-data.js).
+// `range`: zwei Felder als Spanne "tief – hoch".
+const INSTRUMENT_FUNDAMENTALS = [
+    { label: 'fundamentals.eps', field: 'eps', format: 'number', decimals: 2 },
+    { label: 'fundamentals.dividendYield', field: 'dividendYield', format: 'share', decimals: 2 },
+    { label: 'fundamentals.beta', field: 'beta', format: 'number', decimals: 2 },
+    { label: 'fundamentals.range52w', range: ['fiftyTwoWeekLow', 'fiftyTwoWeekHigh'], format: 'money' },
+    { label: 'fundamentals.sector', field: 'sector', format: 'text' },
+    { label: 'fundamentals.industry', field: 'industry', format: 'text' }
+];
+
+// Nächste Termine der Aktien-Cards (aus denselben Fundamentaldaten)
+const INSTRUMENT_EVENTS = [
+    { label: 'events.earnings', field: 'earningsDateSec', format: 'date' },
+    { label: 'events.exDividend', field: 'exDividendDateSec', format: 'date' },
+    { label: 'events.dividend', field: 'dividendDateSec', format: 'date' }
+];
+
+function renderFieldBinding({ field, format, decimals }) {
+    const decimalsAttr = decimals === undefined ? '' : ` data-decimals="${decimals}"`;
+    return `data-field="${field}" data-format="${format}"${decimalsAttr}`;
+}
+
+function renderInstrumentIcon(instrument) {
+    if (instrument.emoji) return escapeHtml(instrument.emoji);
+    const fallback = instrument.class === 'crypto' ? 'fas fa-coins' : 'fas fa-chart-line';
+    return `<i class="${escapeHtml(instrument.icon || fallback)}"></i>`;
+}
+
+// Card-Markup pro Anlageklasse (Klassen und Bindungen wie vorher im statischen HTML).
+// Funktioniert auch für Instrumente ausserhalb des Katalogs (Watchlist-Import), solange
+// symbol, name und class gesetzt sind.
+function createInstrumentCard(instrument) {
+    const name = escapeHtml(instrument.name || getInstrumentTicker(instrument));
+    const ticker = escapeHtml(getInstrumentTicker(instrument));
+    const icon = renderInstrumentIcon(instrument);
+    const stats = INSTRUMENT_CARD_STATS[instrument.class] || INSTRUMENT_CARD_STATS.stocks;
+    const badge = '<span class="badge" data-field="change" data-format="change">—</span>';
+    const card = document.createElement('div');
+
+    if (instrument.class === 'crypto') {
+        card.className = 'crypto-card';
+        card.innerHTML = `
+            <div class="crypto-header">
+                <div class="crypto-info">
+                    <span class="crypto-symbol">${icon}</span>
+                    <div>
+                        <h3>${name}</h3>
+                        <span class="crypto-ticker">${ticker}</span>
+                    </div>
+                </div>
+                ${badge}
+            </div>
+            <div class="crypto-price" data-field="price" data-format="money">—</div>
+            <div class="crypto-stats">
+                ${stats.map(stat => `<div class="stat"><span class="stat-label">${t(stat.label)}</span><span class="stat-value" ${renderFieldBinding(stat)}>—</span></div>`).join('')}
+            </div>`;
+        return card;
+    }
+
+    card.dataset.symbol = instrument.symbol;
+
+    if (instrument.class === 'indices') {
+        const description = instrument.description ? `<p class="index-desc">${escapeHtml(instrument.description)}</p>` : '';
+        const components = instrument.components?.length
+            ? `<ul class="index-components">${instrument.components.map(([componentIcon, componentName]) => `<li><span class="crypto-icon"><i class="${escapeHtml(componentIcon)}"></i></span> ${escapeHtml(componentName)}</li>`).join('')}</ul>`
+            : '';
+        card.className = 'index-card';
+        card.innerHTML = `
+            <div class="index-header">
+                <h3>${name}</h3>
+                ${badge}
+            </div>
+            <div class="index-value" data-field="price" data-format="money">—</div>
+            ${description}
+            ${components}
+            <div class="index-details">
+                ${stats.map(stat => `<div class="detail-item"><span class="detail-label">${t(stat.label)}:</span><span class="detail-value" ${renderFieldBinding(stat)}>—</span></div>`).join('')}
+            </div>`;
+        return card;
+    }
+
+    // Rohstoffe und Aktien: Rohstoffe zeigen die Einheit, Aktien den Ticker
+    const unit = escapeHtml(instrument.unit || getInstrumentTicker(instrument));
+    card.className = 'futures-card';
+    card.innerHTML = `
+        <div class="futures-header">
+            <div class="futures-info">
+                <div class="commodity-icon">${icon}</div>
+                <div>
+                    <h3>${name}</h3>
+                    <span class="futures-unit">${unit}</span>
+                </div>
+            </div>
+            ${badge}
+        </div>
+        <div class="futures-price" data-field="price" data-format="money">—</div>
+        <div class="futures-stats">
+            ${stats.map(stat => `<div class="stat-row"><span class="stat-label">${t(stat.label)}:</span><span class="stat-value" ${renderFieldBinding(stat)}>—</span></div>`).join('')}
+        </div>
+        ${instrument.class === 'stocks' ? renderEventsSection() + renderFundamentalsSection() : ''}`;
+    return card;
+}
+
+function renderEventsSection() {
+    return `
+        <div class="card-events">
+            ${INSTRUMENT_EVENTS.map(stat => `<div class="stat-row"><span class="stat-label"><i class="far fa-calendar" aria-hidden="true"></i> ${t(stat.label)}:</span><span class="stat-value" ${renderFieldBinding(stat)}>—</span></div>`).join('')}
+        </div>`;
+}
+
+function renderFundamentalsSection() {
+    const renderValue = stat => (stat.range
+        ? stat.range.map(field => `<span ${renderFieldBinding({ ...stat, field })}>—</span>`).join(' – ')
+        : `<span ${renderFieldBinding(stat)}>—</span>`);
+    return `
+        <details class="card-fundamentals" data-fundamentals>
+            <summary>${t('fundamentals.title')}</summary>
+            <div class="futures-stats">
+                ${INSTRUMENT_FUNDAMENTALS.map(stat => `<div class="stat-row"><span class="stat-label">${t(stat.label)}:</span><span class="stat-value">${renderValue(stat)}</span></div>`).join('')}
+            </div>
+            <p class="fundamentals-status"></p>
+        </details>`;
+}
+
+// <div class="futures-grid" data-instrument-group="metals"></div> -> alle Instrumente der
+// aktuellen Seite mit group 'metals', in Katalog-Reihenfolge
+function renderInstrumentGrids() {
+    const page = window.location.pathname.split('/').pop().replace(/\.html$/, '') || 'index';
+    document.querySelectorAll('[data-instrument-group]').forEach(grid => {
+        const instruments = INSTRUMENTS.filter(instrument => instrument.page === page && instrument.group === grid.dataset.instrumentGroup);
+        grid.replaceChildren(...instruments.map(createInstrumentCard));
+    });
+}
+
+// Sofort: Die Grids stehen vor den Scripts im Markup
+renderInstrumentGrids();
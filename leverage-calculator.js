@@ -0,0 +1,312 @@
+// Hebelrechner für RBC Excellence (futures.html)
+// Rechnet für einen Rohstoff aus den Cards oben Positionswert, Margin, Liquidationskurs und
+// G/V über ein Kursraster, dazu die Funding-Kosten über die Haltedauer. Der Einstieg ist der
+// Kurs der Card (.futures-price, gleicher Cache-Eintrag) und folgt ihm, bis er von Hand
+// geändert wird. Gerechnet wird in der Anzeigewährung. Muss nach live-data.js geladen werden.
+//
+// Modell wie bei linearen Perpetuals (USDT-margined): liquidiert wird, sobald die Margin
+// (isoliert) bzw. das ganze Konto (Cross) nach Verlust unter die Maintenance Margin auf den
+// aktuellen Positionswert fällt. Gebühren und Mark-/Last-Preis-Unterschiede bleiben aussen vor.
+//   Isoliert Long:  L = E * (1 - 1/H) / (1 - m)      Short: L = E * (1 + 1/H) / (1 + m)
+//   Cross Long:     L = (q*E - K) / (q * (1 - m))     Short: L = (q*E + K) / (q * (1 + m))
+// E = Einstieg, H = Hebel, m = Maintenance Margin, q = Menge, K = Kontoguthaben
+
+const LEVERAGE_CALCULATOR_KEY = 'rbc_leverage_calculator_v1';
+const LEVERAGE_CALCULATOR_DEFAULTS = {
+    symbol: 'GC=F',
+    side: 'long',
+    leverage: 10,
+    marginMode: 'isolated',
+    maintenancePercent: 0.5,
+    quantity: 10,
+    balance: 10000,
+    fundingRatePercent: 0.01,
+    holdingDays: 7
+};
+const LEVERAGE_PRESETS = [2, 5, 10, 20, 50, 100];
+const LEVERAGE_MAX = 125;
+// Funding wird bei den grossen Börsen alle 8 Stunden verrechnet
+const FUNDING_INTERVALS_PER_DAY = 3;
+// Kursraster in % vom Einstieg
+const LEVERAGE_PRICE_STEPS = [-20, -10, -5, -2, -1, -0.5, 0, 0.5, 1, 2, 5, 10, 20];
+
+const leverageCalculator = {
+    followsLivePrice: true,
+    ...loadLeverageCalculatorSettings()
+};
+
+function loadLeverageCalculatorSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(LEVERAGE_CALCULATOR_KEY) || '{}') || {};
+    } catch {
+        // Defaults
+    }
+    const positive = value => Number.isFinite(value) && value > 0;
+    const pick = (name, valid) => (valid(stored[name]) ? stored[name] : LEVERAGE_CALCULATOR_DEFAULTS[name]);
+    return {
+        symbol: pick('symbol', symbol => getInstruments('commodities').some(instrument => instrument.symbol === symbol)),
+        side: stored.side === 'short' ? 'short' : 'long',
+        leverage: pick('leverage', value => positive(value) && value >= 1 && value <= LEVERAGE_MAX),
+        marginMode: stored.marginMode === 'cross' ? 'cross' : 'isolated',
+        maintenancePercent: pick('maintenancePercent', value => Number.isFinite(value) && value >= 0 && value < 100),
+        quantity: pick('quantity', positive),
+        balance: convertStoredAmount(stored.balance, stored.currency) ?? LEVERAGE_CALCULATOR_DEFAULTS.balance,
+        fundingRatePercent: pick('fundingRatePercent', Number.isFinite),
+        holdingDays: pick('holdingDays', value => Number.isFinite(value) && value >= 0)
+    };
+}
+
+function saveLeverageCalculatorSettings() {
+    const { followsLivePrice, ...settings } = leverageCalculator;
+    try {
+        localStorage.setItem(LEVERAGE_CALCULATOR_KEY, JSON.stringify({ ...settings, currency: getDisplayCurrency() }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+// Liquidationskurs nach dem Modell oben; null, wenn die Position nicht liquidiert werden kann
+// (Cross Long mit Konto ≥ Positionswert).
+function getLiquidationPrice({ side, entry, leverage, marginMode, maintenance, quantity, balance }) {
+    let price;
+    if (marginMode === 'cross') {
+        price = side === 'short'
+            ? (quantity * entry + balance) / (quantity * (1 + maintenance))
+            : (quantity * entry - balance) / (quantity * (1 - maintenance));
+    } else {
+        price = side === 'short'
+            ? entry * (1 + 1 / leverage) / (1 + maintenance)
+            : entry * (1 - 1 / leverage) / (1 - maintenance);
+    }
+    return price > 0 ? price : null;
+}
+
+// Reine Rechnung ohne DOM; { error } bei unvollständigen Eingaben oder zu wenig Guthaben (Cross).
+function calculateLeveragedPosition(input) {
+    const { side, entry, leverage, marginMode, maintenancePercent, quantity, balance, fundingRatePercent, holdingDays } = input;
+    if (![entry, leverage, quantity].every(value => Number.isFinite(value) && value > 0)
+        || leverage < 1 || !(maintenancePercent >= 0 && maintenancePercent < 100)) {
+        return { error: 'invalid' };
+    }
+    if (marginMode === 'cross' && !(balance > 0)) return { error: 'balance' };
+
+    const direction = side === 'short' ? -1 : 1;
+    const maintenance = maintenancePercent / 100;
+    const notional = quantity * entry;
+    const margin = notional / leverage;
+    // Cross: Die Margin für die Eröffnung muss im Konto liegen
+    if (marginMode === 'cross' && margin > balance) return { error: 'shortfall', margin };
+    // Isoliert haftet nur die Margin, Cross das ganze Konto
+    const collateral = marginMode === 'cross' ? balance : margin;
+    const liquidationPrice = getLiquidationPrice({ side, entry, leverage, marginMode, maintenance, quantity, balance });
+    const isLiquidated = price => liquidationPrice !== null && (side === 'short' ? price >= liquidationPrice : price <= liquidationPrice);
+
+    // Positive Rate: Longs zahlen, Shorts erhalten
+    const fundingPeriods = Math.max(0, holdingDays || 0) * FUNDING_INTERVALS_PER_DAY;
+    const funding = -direction * notional * (fundingRatePercent || 0) / 100 * fundingPeriods;
+
+    return {
+        notional,
+        margin,
+        collateral,
+        maintenanceMargin: notional * maintenance,
+        liquidationPrice,
+        liquidationDistancePercent: liquidationPrice !== null ? (liquidationPrice - entry) / entry * 100 : null,
+        funding,
+        fundingPeriods,
+        fundingMarginPercent: funding / margin * 100,
+        grid: LEVERAGE_PRICE_STEPS.map(step => {
+            const price = entry * (1 + step / 100);
+            const liquidated = isLiquidated(price);
+            // Nach der Liquidation ist höchstens die haftende Margin weg
+            const pnl = liquidated ? -collateral : direction * quantity * (price - entry);
+            return { step, price, pnl, roe: pnl / margin * 100, liquidated };
+        })
+    };
+}
+
+// ==================== DARSTELLUNG ====================
+function getLeverageInstrumentUnit(symbol) {
+    // 'pro Unze' -> 'Unze'
+    return (findInstrument(symbol)?.unit || '').replace(/^pro\s+/, '');
+}
+
+function renderLeverageInputs(root) {
+    const form = root.querySelector('.calc-form');
+    form.querySelectorAll('.calc-currency').forEach(unit => {
+        unit.textContent = getDisplayCurrency();
+    });
+    form.querySelector('.leverage-quantity-unit').textContent = getLeverageInstrumentUnit(leverageCalculator.symbol);
+    form.querySelector('.leverage-balance').hidden = leverageCalculator.marginMode !== 'cross';
+
+    const live = getCachedDisplayPrice(`yahoo:${leverageCalculator.symbol}`);
+    if (leverageCalculator.followsLivePrice && live) form.querySelector('[name="entry"]').value = live.price.toFixed(getPriceDecimals(live.price));
+
+    const status = root.querySelector('.calc-price-status');
+    if (!live) {
+        status.textContent = getCacheEntry(`yahoo:${leverageCalculator.symbol}`) ? t('calc.noPrice') : t('common.loading');
+    } else {
+        const price = formatMoney(live.price, getDisplayCurrency(), { decimals: getPriceDecimals(live.price) });
+        status.textContent = leverageCalculator.followsLivePrice
+            ? t('calc.livePrice', { price, asOf: formatStandTime(live.tsMs) })
+            : t('calc.livePriceManual', { price });
+    }
+
+    root.querySelectorAll('.calc-presets [data-leverage]').forEach(button => {
+        button.setAttribute('aria-pressed', String(Number(button.dataset.leverage) === leverageCalculator.leverage));
+    });
+}
+
+function createLeverageGridRow(row, currency, decimals) {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('leverage-row-entry', row.step === 0);
+    tr.classList.toggle('leverage-row-liquidated', row.liquidated);
+    const cells = [
+        formatPercent(row.step, { decimals: row.step % 1 === 0 ? 0 : 1 }),
+        formatMoney(row.price, currency, { decimals }),
+        row.liquidated ? t('leverage.liquidated') : formatMoney(row.pnl, currency, { signed: true }),
+        formatPercent(row.roe, { decimals: 1 })
+    ];
+    cells.forEach((text, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.className = 'num';
+        if (index >= 2 && !row.liquidated) {
+            cell.classList.toggle('positive', row.pnl > 0);
+            cell.classList.toggle('negative', row.pnl < 0);
+        }
+        cell.textContent = text;
+        tr.appendChild(cell);
+    });
+    return tr;
+}
+
+function renderLeverageCalculator() {
+    const root = document.querySelector('.leverage-calculator');
+    if (!root) return;
+    renderLeverageInputs(root);
+
+    const form = root.querySelector('.calc-form');
+    const currency = getDisplayCurrency();
+    const entry = readFormNumber(form, 'entry');
+    const result = calculateLeveragedPosition({ ...leverageCalculator, entry });
+
+    const message = root.querySelector('.calc-message');
+    const results = root.querySelector('.calc-results');
+    const grid = root.querySelector('.calc-targets');
+    results.hidden = Boolean(result.error);
+    grid.hidden = Boolean(result.error);
+    message.hidden = !result.error || isWaitingForLivePrice(leverageCalculator.followsLivePrice, entry);
+    if (result.error) {
+        message.textContent = t(`leverage.${result.error}`, { margin: formatMoney(result.margin, currency) });
+        return;
+    }
+
+    const priceDecimals = getPriceDecimals(entry);
+    const { liquidationPrice } = result;
+    const values = {
+        notional: formatMoney(result.notional, currency),
+        margin: formatMoney(result.margin, currency),
+        maintenance: t('leverage.maintenanceAmount', { amount: formatMoney(result.maintenanceMargin, currency) }),
+        liquidation: liquidationPrice !== null ? formatMoney(liquidationPrice, currency, { decimals: getPriceDecimals(liquidationPrice) }) : t('leverage.noLiquidation'),
+        liquidationDistance: liquidationPrice !== null
+            ? t('leverage.distance', { percent: formatPercent(result.liquidationDistancePercent) })
+            : t('leverage.noLiquidationHint'),
+        funding: formatMoney(result.funding, currency, { signed: true }),
+        fundingDetail: t('leverage.fundingDetail', {
+            count: result.fundingPeriods,
+            percent: formatPercent(result.fundingMarginPercent, { decimals: 1 })
+        })
+    };
+    for (const [name, text] of Object.entries(values)) {
+        results.querySelector(`[data-result="${name}"]`).textContent = text;
+    }
+    const funding = results.querySelector('[data-result="funding"]');
+    funding.classList.toggle('positive', result.funding > 0);
+    funding.classList.toggle('negative', result.funding < 0);
+
+    const body = grid.querySelector('tbody');
+    body.innerHTML = '';
+    result.grid.forEach(row => body.appendChild(createLeverageGridRow(row, currency, priceDecimals)));
+}
+
+function initLeverageCalculator(root) {
+    const form = root.querySelector('.calc-form');
+    const field = name => form.querySelector(`[name="${name}"]`);
+    const instrumentSelect = field('instrument');
+
+    for (const instrument of getInstruments('commodities')) {
+        instrumentSelect.appendChild(new Option(`${instrument.shortName || instrument.name} (${instrument.symbol})`, instrument.symbol));
+    }
+    instrumentSelect.value = leverageCalculator.symbol;
+    field('side').value = leverageCalculator.side;
+    field('marginMode').value = leverageCalculator.marginMode;
+
+    // Zahlenfelder: Name im Formular -> Feld im Zustand
+    const numberFields = {
+        leverage: 'leverage',
+        maintenance: 'maintenancePercent',
+        quantity: 'quantity',
+        balance: 'balance',
+        funding: 'fundingRatePercent',
+        days: 'holdingDays'
+    };
+    for (const [name, key] of Object.entries(numberFields)) {
+        field(name).value = String(key === 'balance' ? Math.round(leverageCalculator.balance * 100) / 100 : leverageCalculator[key]);
+        field(name).addEventListener('input', () => {
+            leverageCalculator[key] = readFormNumber(form, name);
+            saveLeverageCalculatorSettings();
+            renderLeverageCalculator();
+        });
+    }
+
+    for (const name of ['side', 'marginMode']) {
+        field(name).addEventListener('change', () => {
+            leverageCalculator[name] = field(name).value;
+            saveLeverageCalculatorSettings();
+            renderLeverageCalculator();
+        });
+    }
+    instrumentSelect.addEventListener('change', () => {
+        leverageCalculator.symbol = instrumentSelect.value;
+        leverageCalculator.followsLivePrice = true;
+        field('entry').value = '';
+        saveLeverageCalculatorSettings();
+        renderLeverageCalculator();
+    });
+    field('entry').addEventListener('input', () => {
+        leverageCalculator.followsLivePrice = false;
+        renderLeverageCalculator();
+    });
+    form.querySelector('.calc-live-price').addEventListener('click', () => {
+        leverageCalculator.followsLivePrice = true;
+        renderLeverageCalculator();
+    });
+    form.addEventListener('submit', event => event.preventDefault());
+
+    const presets = root.querySelector('.calc-presets');
+    for (const leverage of LEVERAGE_PRESETS) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.leverage = String(leverage);
+        button.textContent = `${leverage}x`;
+        button.addEventListener('click', () => {
+            leverageCalculator.leverage = leverage;
+            field('leverage').value = String(leverage);
+            saveLeverageCalculatorSettings();
+            renderLeverageCalculator();
+        });
+        presets.querySelector('.calc-preset-group').appendChild(button);
+    }
+
+    // Einstieg folgt dem Kurs der Rohstoff-Cards oben
+    document.addEventListener(QUOTES_UPDATED_EVENT, event => {
+        if (event.detail.source === 'commodities') renderLeverageCalculator();
+    });
+    document.addEventListener(FX_UPDATED_EVENT, () => renderLeverageCalculator());
+    renderLeverageCalculator();
+}
+
+const leverageCalculatorRoot = document.querySelector('.leverage-calculator');
+if (leverageCalculatorRoot) initLeverageCalculator(leverageCalculatorRoot);
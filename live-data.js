@@ -1,7 +1,8 @@
 // Live Data API Integration for RBC Excellence
 // Verwendet kostenlose APIs ohne API-Keys
 
-// Yahoo Finance blockt Browser-CORS. Daher brauchen wir Proxy-Fallbacks.
+// Yahoo Finance blockt Browser-CORS. Bevorzugt läuft alles über den eigenen Relay
+// (server/quote-relay.js); öffentliche Proxies sind nur noch Fallback.
 // Wichtig: Öffentliche Proxies sind oft rate-limited/instabil -> wir:
 // - setzen Timeouts
 // - parsen auch text/plain Antworten robust
@@ -17,10 +18,53 @@ const CORS_PROXIES = [
     { name: 'cors-anywhere', type: 'path', base: 'https://cors-anywhere.herokuapp.com/' }
 ];
 
-let currentProxyIndex = 0;
+// Proxy-Health: pro Proxy werden die letzten Ergebnisse, Latenzen und der letzte Fehler
+// gespeichert (localStorage, überlebt Reloads). Daraus ergibt sich die Reihenfolge.
+// Proxies mit mehreren Fehlern in Folge werden per Circuit Breaker für eine Cooldown-Zeit
+// übersprungen; jede erneute Auslösung verdoppelt die Cooldown-Zeit.
+const PROXY_HEALTH_KEY = 'rbc_proxy_health_v1';
+const PROXY_HEALTH_SAMPLE_SIZE = 20;
+const PROXY_CIRCUIT_FAILURE_THRESHOLD = 3;
+const PROXY_CIRCUIT_COOLDOWN_MS = 1000 * 60 * 2;
+const PROXY_CIRCUIT_MAX_COOLDOWN_MS = 1000 * 60 * 30;
+
+// Hedging: erst der beste Proxy; der nächste startet erst, wenn der vorherige fehlschlägt
+// oder nach dieser Verzögerung (abgeleitet von der Median-Latenz) noch nicht geantwortet hat.
+const PROXY_HEDGE_DEFAULT_DELAY_MS = 1200;
+const PROXY_HEDGE_MIN_DELAY_MS = 600;
+const PROXY_HEDGE_MAX_DELAY_MS = 2500;
+
+let proxyHealth = null;
+
+// Eigener Quote-Relay (server/quote-relay.js): same-origin unter /api/, wird vor den
+// öffentlichen Proxies versucht. Auf Hosts ohne Relay (404 / kein JSON) wird er für den
+// Rest des Seitenaufrufs übersprungen.
+const RELAY_BASE = 'api/';
+const RELAY_UPSTREAMS = [
+    { origin: 'https://query1.finance.yahoo.com/', path: 'yahoo/' },
+    { origin: 'https://api.coingecko.com/', path: 'coingecko/' },
+    { origin: 'https://api.alternative.me/', path: 'alternative/' }
+];
+const RELAY_FETCH_TIMEOUT_MS = 6000;
+let relayAvailable = window.location.protocol !== 'file:';
 
 const PROXY_FETCH_TIMEOUT_MS = 4500;
 const SYMBOL_FETCH_CONCURRENCY = 4;
+// CoinGecko-Free-Tier ist streng rate-limited: market_chart nur gemächlich nacheinander.
+const COINGECKO_SERIES_CONCURRENCY = 2;
+
+// Yahoo-Quotes werden gebündelt geholt (v7/finance/quote, mehrere Symbole pro Request).
+// Nur Symbole, die im Batch fehlen, laufen einzeln über den Chart-Endpoint.
+const YAHOO_QUOTE_BATCH_SIZE = 20;
+// Der Batch-Endpoint verlangt Cookie + Crumb, klappt also nur über den Relay. Nach so vielen
+// fehlgeschlagenen Batches in Folge (z.B. 401 über die öffentlichen Proxies) wird direkt der
+// Chart-Endpoint genutzt. Die Sperre wird gespeichert, damit nicht jeder Seitenaufruf zuerst
+// zwei Batches verliert, und läuft nach der Cooldown-Zeit ab (dann wieder gebündelt).
+const YAHOO_QUOTE_BATCH_MAX_FAILURES = 2;
+const YAHOO_QUOTE_BATCH_KEY = 'rbc_yahoo_quote_batch_v1';
+const YAHOO_QUOTE_BATCH_COOLDOWN_MS = 1000 * 60 * 30;
+let yahooQuoteBatchFailures = 0;
+const YAHOO_FUNDAMENTALS_MODULES = 'price,summaryDetail,defaultKeyStatistics,assetProfile,calendarEvents';
 
 // Local cache: show last known prices instantly, then refresh to Live.
 const LIVE_CACHE_KEY = 'rbc_live_cache_v1';
@@ -71,9 +115,13 @@ async function readJsonResponse(proxy, response) {
     }
 }
 
-async function fetchWithTimeout(url, timeoutMs) {
+async function fetchWithTimeout(url, timeoutMs, signal) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
     try {
         return await fetch(url, { signal: controller.signal });
     } finally {
@@ -81,42 +129,240 @@ async function fetchWithTimeout(url, timeoutMs) {
     }
 }
 
-async function fetchJsonWithCorsFallback(targetUrl) {
-    const startIndex = currentProxyIndex;
-    const proxiesInOrder = [];
-    for (let offset = 0; offset < CORS_PROXIES.length; offset++) {
-        proxiesInOrder.push({ proxy: CORS_PROXIES[(startIndex + offset) % CORS_PROXIES.length], index: (startIndex + offset) % CORS_PROXIES.length });
+// ==================== PROXY HEALTH / CIRCUIT BREAKER ====================
+function loadProxyHealth() {
+    if (proxyHealth) return proxyHealth;
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PROXY_HEALTH_KEY) || '{}');
+        proxyHealth = (parsed && typeof parsed === 'object') ? parsed : {};
+    } catch {
+        proxyHealth = {};
     }
+    return proxyHealth;
+}
 
-    const attempts = proxiesInOrder.map(({ proxy, index }) => (async () => {
-        const proxyUrl = buildProxyUrl(proxy, targetUrl);
-        const response = await fetchWithTimeout(proxyUrl, PROXY_FETCH_TIMEOUT_MS);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status} ${response.statusText}`);
-        }
+function saveProxyHealth() {
+    try {
+        localStorage.setItem(PROXY_HEALTH_KEY, JSON.stringify(proxyHealth || {}));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function getProxyHealthRecord(proxy) {
+    const health = loadProxyHealth();
+    const record = health[proxy.name];
+    if (record && typeof record === 'object' && Array.isArray(record.outcomes) && Array.isArray(record.latencies)) {
+        return record;
+    }
+    health[proxy.name] = {
+        outcomes: [],
+        latencies: [],
+        consecutiveFailures: 0,
+        trips: 0,
+        openUntilMs: 0,
+        lastFailureMs: null,
+        lastFailureMessage: ''
+    };
+    return health[proxy.name];
+}
+
+function pushSample(list, value) {
+    list.push(value);
+    if (list.length > PROXY_HEALTH_SAMPLE_SIZE) list.splice(0, list.length - PROXY_HEALTH_SAMPLE_SIZE);
+}
+
+function median(values) {
+    if (!values.length) return undefined;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function getProxyStats(proxy) {
+    const record = getProxyHealthRecord(proxy);
+    const successes = record.outcomes.filter(Boolean).length;
+    return {
+        // Laplace-geglättet: unbekannte Proxies starten bei 50 %
+        successRate: (successes + 1) / (record.outcomes.length + 2),
+        medianLatencyMs: median(record.latencies),
+        lastFailureMs: record.lastFailureMs,
+        isOpen: record.openUntilMs > Date.now(),
+        openUntilMs: record.openUntilMs
+    };
+}
+
+function recordProxySuccess(proxy, latencyMs) {
+    const record = getProxyHealthRecord(proxy);
+    pushSample(record.outcomes, 1);
+    pushSample(record.latencies, Math.round(latencyMs));
+    record.consecutiveFailures = 0;
+    record.trips = 0;
+    record.openUntilMs = 0;
+    saveProxyHealth();
+}
+
+function recordProxyFailure(proxy, error) {
+    const record = getProxyHealthRecord(proxy);
+    const now = Date.now();
+    // Half-open (Cooldown abgelaufen, Circuit war schon ausgelöst): ein Fehler reicht
+    const wasTripped = record.trips > 0;
+
+    pushSample(record.outcomes, 0);
+    record.consecutiveFailures += 1;
+    record.lastFailureMs = now;
+    record.lastFailureMessage = String(error?.message || error || '').slice(0, 200);
+
+    if (wasTripped || record.consecutiveFailures >= PROXY_CIRCUIT_FAILURE_THRESHOLD) {
+        const cooldown = Math.min(PROXY_CIRCUIT_COOLDOWN_MS * (2 ** record.trips), PROXY_CIRCUIT_MAX_COOLDOWN_MS);
+        record.trips += 1;
+        record.openUntilMs = now + cooldown;
+        console.warn(`⛔ Proxy ${proxy.name} pausiert für ${Math.round(cooldown / 1000)}s`);
+    }
+    saveProxyHealth();
+}
+
+// Beste Proxies zuerst: erwartete Zeit bis zur Antwort = Median-Latenz / Erfolgsquote.
+// Proxies mit offenem Circuit fallen raus; sind alle offen, wird der versucht, dessen
+// Cooldown als nächstes endet (lieber ein Versuch als gar keine Daten).
+function rankProxies() {
+    const ranked = CORS_PROXIES
+        .map((proxy, index) => ({ proxy, index, stats: getProxyStats(proxy) }))
+        .map(entry => ({
+            ...entry,
+            expectedMs: (entry.stats.medianLatencyMs ?? PROXY_FETCH_TIMEOUT_MS / 2) / entry.stats.successRate
+        }));
+
+    const closed = ranked.filter(entry => !entry.stats.isOpen);
+    if (closed.length === 0) {
+        ranked.sort((a, b) => a.stats.openUntilMs - b.stats.openUntilMs);
+        return ranked.slice(0, 1).map(entry => entry.proxy);
+    }
+
+    closed.sort((a, b) => (a.expectedMs - b.expectedMs) || (a.index - b.index));
+    return closed.map(entry => entry.proxy);
+}
 
-        const data = await readJsonResponse(proxy, response);
-        currentProxyIndex = index;
-        return data;
-    })().catch((error) => {
-        console.warn(`⚠️ Proxy fehlgeschlagen (${proxy.name}):`, error?.message || error);
-        throw error;
-    }));
+function getHedgeDelayMs(proxy) {
+    const { medianLatencyMs } = getProxyStats(proxy);
+    if (!Number.isFinite(medianLatencyMs)) return PROXY_HEDGE_DEFAULT_DELAY_MS;
+    return Math.min(Math.max(medianLatencyMs * 1.5, PROXY_HEDGE_MIN_DELAY_MS), PROXY_HEDGE_MAX_DELAY_MS);
+}
+
+async function fetchJsonViaProxy(proxy, targetUrl, signal) {
+    const proxyUrl = buildProxyUrl(proxy, targetUrl);
+    const response = await fetchWithTimeout(proxyUrl, PROXY_FETCH_TIMEOUT_MS, signal);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return readJsonResponse(proxy, response);
+}
+
+// Startet die Proxies gestaffelt (siehe Hedging oben). Der erste Erfolg gewinnt und
+// bricht die übrigen ab; abgebrochene Requests zählen nicht als Fehler.
+function fetchJsonHedged(proxies, targetUrl) {
+    return new Promise((resolve, reject) => {
+        const controllers = [];
+        let nextIndex = 0;
+        let pending = 0;
+        let settled = false;
+        let hedgeTimer = null;
+        let lastError = null;
+
+        const launchNext = () => {
+            clearTimeout(hedgeTimer);
+            if (settled) return;
+            if (nextIndex >= proxies.length) {
+                if (pending === 0) {
+                    settled = true;
+                    reject(lastError || new Error('Alle CORS-Proxies sind fehlgeschlagen'));
+                }
+                return;
+            }
+
+            const proxy = proxies[nextIndex++];
+            const controller = new AbortController();
+            const startedAt = Date.now();
+            controllers.push(controller);
+            pending++;
+
+            fetchJsonViaProxy(proxy, targetUrl, controller.signal).then((data) => {
+                pending--;
+                if (settled) return;
+                settled = true;
+                clearTimeout(hedgeTimer);
+                recordProxySuccess(proxy, Date.now() - startedAt);
+                controllers.forEach(c => { if (c !== controller) c.abort(); });
+                resolve(data);
+            }, (error) => {
+                pending--;
+                if (settled) return;
+                console.warn(`⚠️ Proxy fehlgeschlagen (${proxy.name}):`, error?.message || error);
+                recordProxyFailure(proxy, error);
+                lastError = error;
+                launchNext();
+            });
+
+            hedgeTimer = setTimeout(launchNext, getHedgeDelayMs(proxy));
+        };
+
+        launchNext();
+    });
+}
+
+function buildRelayUrl(targetUrl) {
+    const upstream = RELAY_UPSTREAMS.find(u => targetUrl.startsWith(u.origin));
+    if (!upstream) return null;
+    return new URL(RELAY_BASE + upstream.path + targetUrl.slice(upstream.origin.length), document.baseURI).href;
+}
+
+async function fetchJsonViaRelay(targetUrl) {
+    const relayUrl = relayAvailable ? buildRelayUrl(targetUrl) : null;
+    if (!relayUrl) throw new Error('Relay nicht verfügbar');
+
+    const response = await fetchWithTimeout(relayUrl, RELAY_FETCH_TIMEOUT_MS);
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (response.status === 404 || response.status === 405 || (response.ok && !contentType.includes('json'))) {
+        // Kein Relay auf diesem Host (z.B. reines Static Hosting)
+        relayAvailable = false;
+        throw new Error('Relay nicht verfügbar');
+    }
+    if (!response.ok) {
+        throw new Error(`Relay HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+async function fetchJsonDirect(url) {
+    const response = await fetchWithTimeout(url, PROXY_FETCH_TIMEOUT_MS);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
 
-    if (typeof Promise.any === 'function') {
-        return Promise.any(attempts);
+// Für Upstreams, die selbst CORS erlauben (CoinGecko): Relay zuerst, sonst direkt.
+async function fetchJsonPreferRelay(targetUrl) {
+    if (relayAvailable) {
+        try {
+            return await fetchJsonViaRelay(targetUrl);
+        } catch (error) {
+            if (relayAvailable) console.warn('⚠️ Relay fehlgeschlagen:', error?.message || error);
+        }
     }
+    return fetchJsonDirect(targetUrl);
+}
 
-    // Fallback für ältere Browser: sequential
-    let lastError;
-    for (const attempt of attempts) {
+async function fetchJsonWithCorsFallback(targetUrl) {
+    if (relayAvailable) {
         try {
-            return await attempt;
+            return await fetchJsonViaRelay(targetUrl);
         } catch (error) {
-            lastError = error;
+            if (relayAvailable) console.warn('⚠️ Relay fehlgeschlagen:', error?.message || error);
         }
     }
-    throw lastError || new Error('Alle CORS-Proxies sind fehlgeschlagen');
+
+    return fetchJsonHedged(rankProxies(), targetUrl);
 }
 
 async function mapWithConcurrency(items, concurrency, mapper) {
@@ -139,35 +385,29 @@ async function mapWithConcurrency(items, concurrency, mapper) {
 }
 
 // Utility Funktionen
+// Zahlen und Beträge in der gewählten Sprache (i18n.js): de-CH "1’234.50", de-DE "1.234,50", en "1,234.50"
 function formatPrice(price, decimals = 2) {
-    if (!price || isNaN(price)) return '0.00';
-    const fixed = price.toFixed(decimals);
-    const parts = fixed.split('.');
-    // Schweizer Format: 1'000 statt 1,000
-    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, "'");
-    return parts.join('.');
+    if (!price || isNaN(price)) price = 0;
+    return formatNumber(price, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
 }
 
-function formatMarketCap(marketCap) {
-    if (!marketCap || isNaN(marketCap)) return '$0';
-    if (marketCap >= 1e12) {
-        return `$${(marketCap / 1e12).toFixed(2)}T`;
-    } else if (marketCap >= 1e9) {
-        return `$${(marketCap / 1e9).toFixed(2)}B`;
-    } else if (marketCap >= 1e6) {
-        return `$${(marketCap / 1e6).toFixed(2)}M`;
-    }
-    return `$${marketCap.toFixed(0)}`;
+// Stablecoins und Kleinstkurse brauchen mehr Nachkommastellen als die Cards.
+function getPriceDecimals(price) {
+    const abs = Math.abs(price);
+    if (abs >= 1) return 2;
+    if (abs >= 0.01) return 4;
+    return 8;
 }
 
-function formatVolume(volume) {
-    if (!volume || isNaN(volume)) return '$0';
-    if (volume >= 1e9) {
-        return `$${(volume / 1e9).toFixed(1)}B`;
-    } else if (volume >= 1e6) {
-        return `$${(volume / 1e6).toFixed(1)}M`;
-    }
-    return `$${volume.toFixed(0)}`;
+// Grosse Beträge kompakt: "$1.32T" (en), "1.32 Bio. $" (de-CH)
+function formatMarketCap(marketCap, currency = DEFAULT_CURRENCY) {
+    if (!marketCap || isNaN(marketCap)) return formatCurrencyAmount(0, getDisplayCurrency(), { decimals: 0 });
+    return formatMoney(marketCap, currency, { compact: true });
+}
+
+function formatVolume(volume, currency = DEFAULT_CURRENCY) {
+    if (!volume || isNaN(volume)) return formatCurrencyAmount(0, getDisplayCurrency(), { decimals: 0 });
+    return formatMoney(volume, currency, { decimals: 1, compact: true });
 }
 
 function lastFinite(values) {
@@ -179,15 +419,214 @@ function lastFinite(values) {
     return undefined;
 }
 
+function finiteValues(values) {
+    if (!Array.isArray(values)) return [];
+    return values.filter(v => typeof v === 'number' && Number.isFinite(v));
+}
+
 function updateBadge(element, change) {
     if (!element || isNaN(change)) return;
     
     const isPositive = change >= 0;
     element.className = `badge ${isPositive ? 'positive' : 'negative'}`;
-    element.textContent = `${isPositive ? '+' : ''}${change.toFixed(2)}%`;
+    element.textContent = formatPercent(change);
 }
 
-function loadLiveCache() {
+// ==================== EVENTS ====================
+// Seitenmodule (Portfolio, Rechner, Scanner, ...) abonnieren diese Events auf `document`,
+// statt dass live-data.js jedes Modul kennen muss:
+//   rbc:fx-updated            neue Devisenkurse im Cache -> Beträge neu umrechnen
+//   rbc:quotes-updated        Cards einer Quelle haben neue Kurse (event.detail.source)
+//   rbc:fundamentals-updated  Fundamentaldaten-Refresh fertig (auch wenn er fehlschlug)
+const FX_UPDATED_EVENT = 'rbc:fx-updated';
+const QUOTES_UPDATED_EVENT = 'rbc:quotes-updated';
+const FUNDAMENTALS_UPDATED_EVENT = 'rbc:fundamentals-updated';
+
+function dispatchLiveDataEvent(type, detail = {}) {
+    document.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// ==================== WÄHRUNG ====================
+// Alle Beträge werden in der gewählten Anzeigewährung dargestellt. Quotes behalten
+// ihre Originalwährung (Quote.currency, im Cache mitgespeichert) und werden erst beim
+// Formatieren umgerechnet, über Devisenkurse gegen USD (EURUSD=X usw., via Yahoo wie
+// jedes andere Symbol). CoinGecko liefert direkt in der Anzeigewährung.
+const CURRENCY_KEY = 'rbc_currency_v1';
+const DEFAULT_CURRENCY = 'USD';
+const DISPLAY_CURRENCIES = {
+    USD: { label: 'USD' },
+    CHF: { label: 'CHF' },
+    EUR: { label: 'EUR' }
+};
+
+// Alle Währungen, in denen Quotes vorkommen (Anzeigewährungen + Indices im Ausland)
+const FX_CURRENCIES = ['EUR', 'CHF', 'GBP', 'JPY', 'HKD'];
+const FX_REFRESH_INTERVAL_MS = 1000 * 60 * 5;
+
+// Yahoo meldet manche Futures und London-Aktien in Cent/Pence
+const MINOR_CURRENCY_UNITS = {
+    USX: { code: 'USD', factor: 100 },
+    GBp: { code: 'GBP', factor: 100 },
+    GBX: { code: 'GBP', factor: 100 }
+};
+
+// Fallback, solange noch keine Quote mit `currency` im Cache liegt (Handelswährung aus dem Katalog)
+const INSTRUMENT_CURRENCIES = Object.fromEntries(INSTRUMENTS
+    .filter(instrument => instrument.currency)
+    .map(instrument => [instrument.symbol, instrument.currency]));
+
+let displayCurrencyMemo = null;
+
+// Wird pro Seitenaufruf einmal gelesen; ein Wechsel lädt die Seite neu, damit alle
+// Beträge (und die CoinGecko-Requests) konsistent in einer Währung sind.
+function getDisplayCurrency() {
+    if (!displayCurrencyMemo) {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(CURRENCY_KEY);
+        } catch {
+            // ignore
+        }
+        displayCurrencyMemo = DISPLAY_CURRENCIES[stored] ? stored : DEFAULT_CURRENCY;
+    }
+    return displayCurrencyMemo;
+}
+
+function setDisplayCurrency(currency) {
+    if (!DISPLAY_CURRENCIES[currency] || currency === getDisplayCurrency()) return;
+    try {
+        localStorage.setItem(CURRENCY_KEY, currency);
+    } catch {
+        // ignore
+    }
+    flushLiveCache();
+    window.location.reload();
+}
+
+function getFxSymbol(currency) {
+    return `${currency}USD=X`;
+}
+
+function resolveCurrencyUnit(currency) {
+    if (MINOR_CURRENCY_UNITS[currency]) return MINOR_CURRENCY_UNITS[currency];
+    return { code: typeof currency === 'string' && currency ? currency.toUpperCase() : DEFAULT_CURRENCY, factor: 1 };
+}
+
+// USD pro Einheit der Währung, null wenn (noch) kein Kurs im Cache liegt
+function getUsdRate(currency) {
+    if (currency === 'USD') return 1;
+    const rate = getCacheEntry(`yahoo:${getFxSymbol(currency)}`)?.price;
+    return typeof rate === 'number' && Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+function hasFxRates() {
+    return FX_CURRENCIES.every(currency => getUsdRate(currency) !== null);
+}
+
+function convertAmount(value, fromCurrency, toCurrency = getDisplayCurrency()) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const source = resolveCurrencyUnit(fromCurrency);
+    const target = resolveCurrencyUnit(toCurrency).code;
+    const amount = value / source.factor;
+    if (source.code === target) return amount;
+
+    const sourceRate = getUsdRate(source.code);
+    const targetRate = getUsdRate(target);
+    if (sourceRate === null || targetRate === null) return null;
+    return amount * sourceRate / targetRate;
+}
+
+function getQuoteCurrency(quote, symbol) {
+    return quote?.currency || INSTRUMENT_CURRENCIES[symbol] || DEFAULT_CURRENCY;
+}
+
+// Ohne Devisenkurs bleibt der Betrag in der Originalwährung stehen, mit deren ISO-Code
+// statt Symbol (damit er nicht mit einem umgerechneten Betrag verwechselt wird).
+function toDisplayAmount(value, currency) {
+    const display = getDisplayCurrency();
+    const converted = convertAmount(value, currency, display);
+    if (converted !== null) return { amount: converted, currency: display, converted: true };
+    const unit = resolveCurrencyUnit(currency);
+    return { amount: value / unit.factor, currency: unit.code, converted: false };
+}
+
+// Betrag ohne Umrechnung; Intl setzt Symbol, Position und Abstände je nach Sprache.
+function formatCurrencyAmount(amount, currency, { decimals = 2, compact = false, signed = false, display = 'symbol' } = {}) {
+    const options = {
+        style: 'currency',
+        currency,
+        currencyDisplay: display,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        signDisplay: signed ? 'exceptZero' : 'auto'
+    };
+    if (compact) options.notation = 'compact';
+    try {
+        return formatNumber(amount, options);
+    } catch {
+        // Kein gültiger ISO-Code: Code einfach voranstellen
+        return `${currency} ${formatPrice(amount, decimals)}`;
+    }
+}
+
+function formatMoney(value, currency = DEFAULT_CURRENCY, { decimals = 2, compact = false, signed = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '—';
+    const { amount, currency: shownCurrency, converted } = toDisplayAmount(value, currency);
+    return formatCurrencyAmount(amount, shownCurrency, { decimals, compact, signed, display: converted ? 'symbol' : 'code' });
+}
+
+async function updateFxRates() {
+    const symbols = FX_CURRENCIES.map(getFxSymbol);
+    const quotes = await fetchQuotes('fx', symbols);
+    let updatedCount = 0;
+    for (const symbol of symbols) {
+        const quote = quotes[symbol];
+        if (!isValidQuote(quote)) continue;
+        setCacheEntry(`yahoo:${symbol}`, {
+            price: Number(quote.price),
+            change: Number(quote.change),
+            marketTimeSec: Number(quote.marketTimeSec),
+            currency: 'USD'
+        });
+        updatedCount++;
+    }
+    if (updatedCount < symbols.length) console.warn(`⚠️ Nur ${updatedCount}/${symbols.length} Devisenkurse geladen`);
+
+    // Cards und Seitenmodule rechnen ihre Beträge mit den neuen Kursen neu
+    if (updatedCount > 0) {
+        rerenderQuoteCards();
+        rerenderMarketGlobal();
+        dispatchLiveDataEvent(FX_UPDATED_EVENT);
+    }
+    return updatedCount;
+}
+
+// Auswahl in der Navigation (auf allen Seiten mit Live-Daten)
+function mountCurrencySelector() {
+    const menu = document.querySelector('.nav-menu');
+    if (!menu || menu.querySelector('.currency-select')) return;
+
+    const select = document.createElement('select');
+    select.className = 'nav-select currency-select';
+    select.setAttribute('aria-label', t('nav.currency'));
+    for (const [code, { label }] of Object.entries(DISPLAY_CURRENCIES)) {
+        select.add(new Option(label, code, false, code === getDisplayCurrency()));
+    }
+    select.addEventListener('change', () => setDisplayCurrency(select.value));
+
+    const item = document.createElement('li');
+    item.className = 'nav-currency';
+    item.appendChild(select);
+    menu.appendChild(item);
+}
+
+// Der Cache wird einmal gelesen und danach im Speicher gehalten; Schreibzugriffe eines
+// Refresh-Laufs werden gesammelt und als ein localStorage-Write weggeschrieben.
+const LIVE_CACHE_SAVE_DELAY_MS = 500;
+let liveCacheMemo = null;
+let liveCacheSaveTimer = null;
+
+function readLiveCacheFromStorage() {
     try {
         const raw = localStorage.getItem(LIVE_CACHE_KEY);
         if (!raw) return {};
@@ -209,14 +648,35 @@ function loadLiveCache() {
     }
 }
 
-function saveLiveCache(cache) {
+function loadLiveCache() {
+    if (!liveCacheMemo) liveCacheMemo = readLiveCacheFromStorage();
+    return liveCacheMemo;
+}
+
+function flushLiveCache() {
+    clearTimeout(liveCacheSaveTimer);
+    liveCacheSaveTimer = null;
+    if (!liveCacheMemo) return;
     try {
-        localStorage.setItem(LIVE_CACHE_KEY, JSON.stringify(cache));
+        localStorage.setItem(LIVE_CACHE_KEY, JSON.stringify(liveCacheMemo));
     } catch {
         // ignore (quota/privacy mode)
     }
 }
 
+function saveLiveCache(cache) {
+    liveCacheMemo = cache;
+    if (!liveCacheSaveTimer) {
+        liveCacheSaveTimer = setTimeout(flushLiveCache, LIVE_CACHE_SAVE_DELAY_MS);
+    }
+}
+
+// Anderer Tab hat den Cache geschrieben -> beim nächsten Zugriff neu lesen.
+window.addEventListener('storage', event => {
+    if (event.key === LIVE_CACHE_KEY && !liveCacheSaveTimer) liveCacheMemo = null;
+});
+window.addEventListener('pagehide', flushLiveCache);
+
 function setCacheEntry(key, data) {
     const cache = loadLiveCache();
     const prev = (cache[key] && typeof cache[key] === 'object') ? cache[key] : {};
@@ -240,6 +700,11 @@ function setCacheEntry(key, data) {
     next.tsMs = Date.now();
     cache[key] = next;
     saveLiveCache(cache);
+
+    // Jeder Refresh landet zusätzlich als Punkt in der Kurs-Historie (quote-history.js)
+    // und wird gegen die Kursalarme geprüft (alerts.js).
+    if (typeof recordQuotePoint === 'function') recordQuotePoint(key, data);
+    if (typeof evaluateAlerts === 'function') evaluateAlerts(key, next, prev);
 }
 
 function getCacheEntry(key) {
@@ -266,14 +731,14 @@ function ensureStatusElement(card, anchorSelector) {
 }
 
 function formatStandTime(tsMs) {
-    if (!Number.isFinite(tsMs)) return 'Stand: —';
+    if (!Number.isFinite(tsMs)) return t('status.asOfUnknown');
     try {
-        const d = new Date(tsMs);
-        const time = d.toLocaleTimeString('de-CH', { hour: '2-digit', minute: '2-digit' });
-        const date = d.toLocaleDateString('de-CH', { day: '2-digit', month: '2-digit', year: 'numeric' });
-        return `Stand: ${date} ${time}`;
+        const time = formatDateTime(tsMs, {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        return t('status.asOf', { time });
     } catch {
-        return 'Stand: —';
+        return t('status.asOfUnknown');
     }
 }
 
@@ -344,386 +809,1483 @@ function prepareBadgePlaceholders(selector) {
     });
 }
 
-function applyCachedDataForPage(currentPage) {
-    if (currentPage.startsWith('krypto')) {
-        document.querySelectorAll('.crypto-card').forEach(card => {
-            const ticker = card.querySelector('.crypto-ticker')?.textContent?.trim();
-            ensureStatusElement(card, '.crypto-price');
+// ==================== CARD-BINDINGS ====================
+// Cards deklarieren im Markup, welches Quote-Feld wo steht und wie es formatiert wird:
+//
+//   <div class="futures-price" data-field="price" data-format="money"></div>
+//   <span class="badge" data-field="change" data-format="change"></span>
+//   <span class="stat-value" data-field="pe" data-format="number" data-decimals="1"></span>
+//   <span class="stat-value" data-field="sector" data-format="text"></span>
+//
+// renderCardFields füllt damit Cache- und Live-Werte gleichermassen. Eine neue Kennzahl
+// braucht nur das Markup, solange der Provider das Feld in der Quote liefert (siehe
+// CACHED_QUOTE_FIELDS). Felder ohne Wert bleiben unverändert.
+const CARD_FIELD_SELECTOR = '[data-field]';
+
+// Beträge und Stückzahlen ≤ 0 gelten als fehlend (Yahoo liefert bei fehlenden Tageswerten teils 0).
+const CARD_FIELD_FORMATS = {
+    money: { positive: true, format: (value, currency, decimals = 2) => formatMoney(value, currency, { decimals }) },
+    marketCap: { positive: true, format: (value, currency) => formatMarketCap(value, currency) },
+    volume: { positive: true, format: (value, currency) => formatVolume(value, currency) },
+    count: {
+        positive: true,
+        format: value => formatNumber(value, value >= 1e6 ? { notation: 'compact', maximumFractionDigits: 1 } : { maximumFractionDigits: 0 })
+    },
+    number: {
+        format: (value, currency, decimals = 2) => formatNumber(value, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    },
+    percent: { format: (value, currency, decimals = 2) => formatPercent(value, { decimals }) },
+    // Wie percent, zusätzlich Klasse positive/negative (für Elemente, die kein Badge sind)
+    trend: { signed: true, format: (value, currency, decimals = 2) => formatPercent(value, { decimals }) },
+    // Anteil ohne Vorzeichen (z.B. BTC-Dominanz)
+    share: { format: (value, currency, decimals = 2) => formatPercent(value, { decimals, signed: false }) },
+    // Termin in Unix-Sekunden; ganze Tage (Yahoo: 00:00 UTC), daher ohne Zeitzonen-Verschiebung
+    date: {
+        positive: true,
+        format: value => formatDateTime(value * 1000, { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' })
+    }
+};
 
-            if (!ticker) {
-                setStatus(card, '—', false);
-                return;
-            }
+// Quote-Felder, die im Live-Cache landen (und damit auch für Cache-Werte bindbar sind)
+const CACHED_QUOTE_FIELDS = ['price', 'change', 'previousClose', 'high', 'low', 'marketTimeSec', 'marketCap', 'volume', 'pe', 'fiftyTwoWeekHigh'];
 
-            const cached = getCacheEntry(`cg:${ticker}`);
-            if (!cached) {
-                setStatus(card, 'Lädt…', false);
-                return;
+function toCacheQuote(quote, currency) {
+    const entry = { marketState: String(quote.marketState || ''), currency };
+    for (const field of CACHED_QUOTE_FIELDS) {
+        if (typeof quote[field] === 'number') entry[field] = quote[field];
+    }
+    return entry;
+}
+
+// origin: 'cache' oder 'live' (für markLiveUpdated). Liefert die Anzahl gefüllter Felder.
+function renderCardFields(card, quote, currency, origin) {
+    let rendered = 0;
+    card.querySelectorAll(CARD_FIELD_SELECTOR).forEach(el => {
+        const value = quote?.[el.dataset.field];
+        const formatName = el.dataset.format || 'number';
+        if (formatName === 'text') {
+            // Freitext (z.B. Sektor), unformatiert
+            if (typeof value !== 'string' || value.trim() === '') return;
+            el.textContent = value;
+            markLiveUpdated(el, origin);
+            rendered++;
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+        if (formatName === 'change') {
+            updateBadge(el, value);
+        } else {
+            const format = CARD_FIELD_FORMATS[formatName];
+            if (!format || (format.positive && value <= 0)) return;
+            const decimals = el.dataset.decimals !== undefined ? Number(el.dataset.decimals) : undefined;
+            el.textContent = format.format(value, currency, decimals);
+            if (format.signed) {
+                el.classList.toggle('positive', value >= 0);
+                el.classList.toggle('negative', value < 0);
             }
+        }
+        markLiveUpdated(el, origin);
+        rendered++;
+    });
+    return rendered;
+}
 
-            const priceEl = card.querySelector('.crypto-price');
-            const badge = card.querySelector('.badge');
-            const statValues = card.querySelectorAll('.stat-value');
+// Gebundene Felder vor dem ersten Laden neutralisieren (keine Hardcode-Werte aus dem HTML zeigen)
+function prepareCardFieldPlaceholders() {
+    preparePricePlaceholders('[data-field="price"]');
+    prepareBadgePlaceholders('[data-format="change"]');
+    prepareTextPlaceholders('[data-field]:not([data-field="price"]):not([data-format="change"])');
+}
 
-            if (priceEl && typeof cached.price === 'number' && Number.isFinite(cached.price)) {
-                priceEl.textContent = `$${formatPrice(cached.price)}`;
-                markLiveUpdated(priceEl, 'cache');
-            }
-            if (badge && typeof cached.change === 'number' && Number.isFinite(cached.change)) {
-                updateBadge(badge, cached.change);
-                markLiveUpdated(badge, 'cache');
-            }
-            if (statValues.length > 0 && typeof cached.marketCap === 'number' && Number.isFinite(cached.marketCap)) {
-                statValues[0].textContent = formatMarketCap(cached.marketCap);
-                markLiveUpdated(statValues[0], 'cache');
-            }
-            if (statValues.length > 1 && typeof cached.volume === 'number' && Number.isFinite(cached.volume)) {
-                statValues[1].textContent = formatVolume(cached.volume);
-                markLiveUpdated(statValues[1], 'cache');
-            }
+// Card-Typ und Symbol kommen aus getCardMarketSymbol; dieselbe Funktion für alle Seiten.
+function applyCachedCard(card) {
+    const info = getCardMarketSymbol(card);
+    ensureStatusElement(card, '[data-field="price"]');
 
-            setStatus(card, formatStandTime(Number(cached.tsMs)), false);
-        });
+    if (!info) {
+        setStatus(card, '—', false);
         return;
     }
 
-    if (currentPage.startsWith('indices')) {
-        document.querySelectorAll('.index-card[data-symbol]').forEach(card => {
-            const symbol = card.getAttribute('data-symbol');
-            ensureStatusElement(card, '.index-value');
+    const cached = getCacheEntry(info.source === 'crypto' ? `cg:${info.symbol}` : `yahoo:${info.symbol}`);
+    if (!cached) {
+        setStatus(card, t('common.loading'), false);
+        return;
+    }
 
-            if (!symbol) {
-                setStatus(card, '—', false);
-                return;
-            }
+    const currency = getQuoteCurrency(cached, info.symbol);
+    renderCardFields(card, withContractValues(info.symbol, cached, currency), currency, 'cache');
 
-            const cached = getCacheEntry(`yahoo:${symbol}`);
-            if (!cached) {
-                setStatus(card, 'Lädt…', false);
-                return;
-            }
+    const tsMs = Number.isFinite(Number(cached.marketTimeSec))
+        ? Number(cached.marketTimeSec) * 1000
+        : Number(cached.tsMs);
+    setStatus(card, formatStandTime(tsMs), false);
+}
 
-            const valueElement = card.querySelector('.index-value');
-            const badge = card.querySelector('.badge');
-            const detailValues = card.querySelectorAll('.detail-value');
+function applyCachedDataForPage() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(applyCachedCard);
+}
 
-            if (valueElement && typeof cached.price === 'number' && Number.isFinite(cached.price)) {
-                valueElement.textContent = formatPrice(cached.price, 2);
-                markLiveUpdated(valueElement, 'cache');
-            }
-            if (badge && typeof cached.change === 'number' && Number.isFinite(cached.change)) {
-                updateBadge(badge, cached.change);
-                markLiveUpdated(badge, 'cache');
-            }
-            if (detailValues.length >= 2) {
-                if (typeof cached.high === 'number' && Number.isFinite(cached.high)) {
-                    detailValues[0].textContent = formatPrice(cached.high, 2);
-                    markLiveUpdated(detailValues[0], 'cache');
-                }
-                if (typeof cached.low === 'number' && Number.isFinite(cached.low)) {
-                    detailValues[1].textContent = formatPrice(cached.low, 2);
-                    markLiveUpdated(detailValues[1], 'cache');
-                }
-            }
+// Yahoo-Cards, die vor den ersten Devisenkursen in der Originalwährung gerendert wurden,
+// umrechnen. Status (Live/Stand) bleibt, wie er ist.
+function rerenderQuoteCards() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(card => {
+        const info = getCardMarketSymbol(card);
+        const cached = info && info.source !== 'crypto' ? getCacheEntry(`yahoo:${info.symbol}`) : null;
+        if (!cached) return;
+        const currency = getQuoteCurrency(cached, info.symbol);
+        const origin = card.querySelector('[data-field="price"]')?.dataset.liveUpdated || 'cache';
+        renderCardFields(card, withContractValues(info.symbol, cached, currency), currency, origin);
+    });
+    applyCachedFundamentals();
+}
 
-            const tsMs = Number.isFinite(Number(cached.marketTimeSec))
-                ? Number(cached.marketTimeSec) * 1000
-                : Number(cached.tsMs);
-            setStatus(card, formatStandTime(tsMs), false);
-        });
-        return;
-    }
+// Ohne gespeicherte Devisenkurse (erster Aufruf) lohnt sich das Warten nur, wenn Yahoo-Cards
+// in einer anderen Währung notieren; CoinGecko liefert direkt in der Anzeigewährung.
+function cardsNeedFxRates() {
+    const display = getDisplayCurrency();
+    return [...document.querySelectorAll(QUOTE_CARD_SELECTOR)].some(card => {
+        const info = getCardMarketSymbol(card);
+        if (!info || info.source === 'crypto') return false;
+        const currency = getQuoteCurrency(getCacheEntry(`yahoo:${info.symbol}`), info.symbol);
+        return resolveCurrencyUnit(currency).code !== display;
+    });
+}
 
-    if (currentPage.startsWith('assets')) {
-        document.querySelectorAll('.futures-card[data-symbol]').forEach(card => {
-            const symbol = card.getAttribute('data-symbol');
-            ensureStatusElement(card, '.futures-price');
+// ==================== DATEN-PROVIDER ====================
+// Jede Datenquelle (CoinGecko, Yahoo, lokale Fixtures, ...) implementiert denselben
+// "Quote"-Vertrag, damit die DOM-Updates nicht wissen müssen, woher die Daten kommen:
+//
+//   provider.fetchQuotes(symbols, { onQuote }) -> Promise<{ [symbol]: Quote }>
+//
+//   Quote = { price, change, previousClose, high, low, marketTimeSec, marketState,
+//             marketCap, volume, pe, fiftyTwoWeekHigh, currency }
+//
+// Nur `price` ist Pflicht; alles andere ist optional. Symbole ohne Daten fehlen im
+// Resultat. `onQuote(symbol, quote)` wird pro Symbol aufgerufen, sobald es da ist
+// (damit Cards nicht auf den langsamsten Request warten müssen).
+//
+// Optional für Krypto: provider.fetchMarkets({ limit }) -> Promise<MarketRow[]> (Top N nach
+// Marktkapitalisierung, siehe crypto-markets.js)
+//
+//   MarketRow = { id, symbol, name, image, rank, price, change1h, change24h, change7d,
+//                 marketCap, volume, circulatingSupply, athChange, currency }
+//
+// Ebenfalls optional: provider.fetchGlobal() -> Promise<GlobalMarket> (Gesamtmarkt Krypto)
+//
+//   GlobalMarket = { totalMarketCap, totalVolume, marketCapChange, btcDominance,
+//                    ethDominance, marketTimeSec, currency }
+//
+// Optional für Aktien: provider.fetchFundamentals(symbols) -> Promise<{ [symbol]: Fundamentals }>
+//
+//   Fundamentals = { marketCap, pe, eps, dividendYield (in %), beta, fiftyTwoWeekLow,
+//                    fiftyTwoWeekHigh, sector, industry, currency,
+//                    earningsDateSec, exDividendDateSec, dividendDateSec (Termine, Unix-Sekunden) }
+const QUOTE_PROVIDERS = {};
+
+// Welcher Provider bedient welche Asset-Klasse.
+const SOURCE_PROVIDERS = {
+    crypto: 'coingecko',
+    stocks: 'yahoo',
+    indices: 'yahoo',
+    commodities: 'yahoo',
+    fx: 'yahoo',
+    sentiment: 'alternative'
+};
+
+// ?provider=mock schaltet die ganze Seite auf einen Provider um (bleibt gespeichert,
+// bis ?provider=live aufgerufen wird). Praktisch für Offline-Demos und Tests.
+const PROVIDER_OVERRIDE_KEY = 'rbc_provider_override';
+const MOCK_QUOTES_URL = 'fixtures/quotes.json';
+const MOCK_COIN_MARKETS_URL = 'fixtures/coin-markets.json';
+const MOCK_FUNDAMENTALS_URL = 'fixtures/fundamentals.json';
+
+// Symbole pro Asset-Klasse, abgeleitet aus INSTRUMENTS (instruments.js). CRYPTO_IDS:
+// CoinGecko-ID -> Ticker, der in .crypto-ticker steht (und im Cache-Key `cg:` landet).
+const CRYPTO_IDS = Object.fromEntries(getInstruments('crypto').map(instrument => [instrument.symbol, instrument.ticker]));
+
+const STOCK_SYMBOLS = getInstruments('stocks').map(instrument => instrument.symbol);
+
+// Yahoo-Symbol -> Kurzname
+const INDEX_SYMBOLS = Object.fromEntries(getInstruments('indices').map(instrument => [instrument.symbol, instrument.shortName || instrument.name]));
+
+const COMMODITY_SYMBOLS = Object.fromEntries(getInstruments('commodities').map(instrument => [instrument.symbol, instrument.shortName || instrument.name]));
+
+function registerQuoteProvider(name, provider) {
+    if (!name || !provider || typeof provider.fetchQuotes !== 'function') {
+        throw new Error(`Ungültiger Quote-Provider: ${name}`);
+    }
+    QUOTE_PROVIDERS[name] = provider;
+}
 
-            if (!symbol) {
-                setStatus(card, '—', false);
-                return;
+function getProviderOverride() {
+    try {
+        const param = new URLSearchParams(window.location.search).get('provider');
+        if (param !== null) {
+            if (param === '' || param === 'live') {
+                localStorage.removeItem(PROVIDER_OVERRIDE_KEY);
+                return null;
             }
+            localStorage.setItem(PROVIDER_OVERRIDE_KEY, param);
+            return param;
+        }
+        return localStorage.getItem(PROVIDER_OVERRIDE_KEY);
+    } catch {
+        return null;
+    }
+}
 
-            const cached = getCacheEntry(`yahoo:${symbol}`);
-            if (!cached) {
-                setStatus(card, 'Lädt…', false);
-                return;
-            }
+function getQuoteProvider(source) {
+    const override = getProviderOverride();
+    if (override && QUOTE_PROVIDERS[override]) return QUOTE_PROVIDERS[override];
 
-            const priceElement = card.querySelector('.futures-price');
-            const badge = card.querySelector('.badge');
-            const statValues = card.querySelectorAll('.stat-value');
+    const provider = QUOTE_PROVIDERS[SOURCE_PROVIDERS[source]];
+    if (!provider) throw new Error(`Kein Quote-Provider für "${source}" registriert`);
+    return provider;
+}
 
-            if (priceElement && typeof cached.price === 'number' && Number.isFinite(cached.price)) {
-                priceElement.textContent = `$${formatPrice(cached.price)}`;
-                markLiveUpdated(priceElement, 'cache');
-            }
-            if (badge && typeof cached.change === 'number' && Number.isFinite(cached.change)) {
-                updateBadge(badge, cached.change);
-                markLiveUpdated(badge, 'cache');
-            }
+async function fetchQuotes(source, symbols, options = {}) {
+    const provider = getQuoteProvider(source);
+    const quotes = await provider.fetchQuotes(symbols, options);
+    return quotes || {};
+}
 
-            // assets.html: Marktkappe / KGV / 52W Hoch
-            if (statValues.length > 0 && typeof cached.marketCap === 'number' && Number.isFinite(cached.marketCap)) {
-                statValues[0].textContent = formatMarketCap(cached.marketCap);
-                markLiveUpdated(statValues[0], 'cache');
-            }
-            if (statValues.length > 1 && typeof cached.pe === 'number' && Number.isFinite(cached.pe)) {
-                statValues[1].textContent = cached.pe.toFixed(1);
-                markLiveUpdated(statValues[1], 'cache');
-            }
-            if (statValues.length > 2 && typeof cached.fiftyTwoWeekHigh === 'number' && Number.isFinite(cached.fiftyTwoWeekHigh)) {
-                statValues[2].textContent = `$${formatPrice(cached.fiftyTwoWeekHigh)}`;
-                markLiveUpdated(statValues[2], 'cache');
-            }
+// Intraday-Serien für die Sparklines: { symbol: { points: [[tsMs, price], ...], previousClose } }.
+// Provider ohne fetchSeries liefern schlicht keine Sparklines.
+async function fetchSeries(source, symbols) {
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchSeries !== 'function') return {};
+    const series = await provider.fetchSeries(symbols);
+    return series || {};
+}
 
-            const tsMs = Number.isFinite(Number(cached.marketTimeSec))
-                ? Number(cached.marketTimeSec) * 1000
-                : Number(cached.tsMs);
-            setStatus(card, formatStandTime(tsMs), false);
-        });
-        return;
-    }
+// Top-N-Liste nach Marktkapitalisierung; Provider ohne fetchMarkets liefern eine leere Liste.
+async function fetchMarkets(source, options = {}) {
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchMarkets !== 'function') return [];
+    const rows = await provider.fetchMarkets(options);
+    return Array.isArray(rows) ? rows : [];
+}
 
-    if (currentPage.startsWith('futures')) {
-        document.querySelectorAll('.futures-card[data-symbol]').forEach(card => {
-            const symbol = card.getAttribute('data-symbol');
-            ensureStatusElement(card, '.futures-price');
+async function fetchGlobalMarket(source) {
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchGlobal !== 'function') return null;
+    return provider.fetchGlobal();
+}
 
-            if (!symbol) {
-                setStatus(card, '—', false);
-                return;
-            }
+async function fetchFundamentals(source, symbols) {
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchFundamentals !== 'function') return {};
+    const fundamentals = await provider.fetchFundamentals(symbols);
+    return fundamentals || {};
+}
 
-            const cached = getCacheEntry(`yahoo:${symbol}`);
-            if (!cached) {
-                setStatus(card, 'Lädt…', false);
-                return;
-            }
+// Zeiträume für Detail-Charts. Yahoo: range/interval des Chart-Endpoints; CoinGecko: `days`
+// für ohlc/market_chart (ohlc kennt nur feste Stufen, daher wird auf `ms` zugeschnitten).
+// Beschriftungen im Sprachkatalog (range.<id>)
+const CHART_RANGES = {
+    '1D': { ms: 1000 * 60 * 60 * 24, yahoo: { range: '1d', interval: '5m' }, coingeckoDays: 1 },
+    '5D': { ms: 1000 * 60 * 60 * 24 * 5, yahoo: { range: '5d', interval: '15m' }, coingeckoDays: 7 },
+    '1M': { ms: 1000 * 60 * 60 * 24 * 30, yahoo: { range: '1mo', interval: '60m' }, coingeckoDays: 30 },
+    '6M': { ms: 1000 * 60 * 60 * 24 * 182, yahoo: { range: '6mo', interval: '1d' }, coingeckoDays: 180 },
+    '1Y': { ms: 1000 * 60 * 60 * 24 * 365, yahoo: { range: '1y', interval: '1d' }, coingeckoDays: 365 },
+    '5Y': { ms: 1000 * 60 * 60 * 24 * 365 * 5, yahoo: { range: '5y', interval: '1wk' }, coingeckoDays: 'max' },
+    'MAX': { ms: Infinity, yahoo: { range: 'max', interval: '1mo' }, coingeckoDays: 'max' }
+};
+
+// OHLC-Kerzen für Detail-Charts:
+// { candles: [{ t, o, h, l, c, v }], previousClose, volumeIs24h, currency }
+// volumeIs24h: Volumen ist ein gleitendes 24h-Volumen statt Volumen pro Kerze (CoinGecko).
+// currency: Währung der Kurse (wie Quote.currency).
+async function fetchCandles(source, symbol, rangeId) {
+    const range = CHART_RANGES[rangeId];
+    if (!range) throw new Error(`Unbekannter Zeitraum: ${rangeId}`);
+
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchCandles !== 'function') return { candles: [] };
+    const result = await provider.fetchCandles(symbol, range);
+    return result || { candles: [] };
+}
 
-            const priceElement = card.querySelector('.futures-price');
-            const badge = card.querySelector('.badge');
-            const statValues = card.querySelectorAll('.stat-value');
+function trimCandlesToRange(candles, range, nowMs = Date.now()) {
+    if (!Number.isFinite(range.ms)) return candles;
+    return candles.filter(candle => candle.t >= nowMs - range.ms);
+}
 
-            if (priceElement && typeof cached.price === 'number' && Number.isFinite(cached.price)) {
-                priceElement.textContent = `$${formatPrice(cached.price)}`;
-                markLiveUpdated(priceElement, 'cache');
-            }
-            if (badge && typeof cached.change === 'number' && Number.isFinite(cached.change)) {
-                updateBadge(badge, cached.change);
-                markLiveUpdated(badge, 'cache');
-            }
-            if (statValues.length >= 2) {
-                if (typeof cached.high === 'number' && Number.isFinite(cached.high)) {
-                    statValues[0].textContent = `$${formatPrice(cached.high)}`;
-                    markLiveUpdated(statValues[0], 'cache');
-                }
-                if (typeof cached.low === 'number' && Number.isFinite(cached.low)) {
-                    statValues[1].textContent = `$${formatPrice(cached.low)}`;
-                    markLiveUpdated(statValues[1], 'cache');
-                }
-            }
+// Tagesschlusskurse für Backtests: { points: [[tsMs, close], ...], currency }, aufsteigend,
+// höchstens ein Punkt pro Tag. Anbieter ohne Historie liefern eine leere Liste.
+async function fetchDailyCloses(source, symbol, { fromMs, toMs = Date.now() }) {
+    const provider = getQuoteProvider(source);
+    if (typeof provider.fetchDailyCloses !== 'function') return { points: [] };
+    const result = await provider.fetchDailyCloses(symbol, { fromMs, toMs });
+    return result || { points: [] };
+}
 
-            const tsMs = Number.isFinite(Number(cached.marketTimeSec))
-                ? Number(cached.marketTimeSec) * 1000
-                : Number(cached.tsMs);
-            setStatus(card, formatStandTime(tsMs), false);
-        });
-    }
+// Letzter Punkt pro UTC-Tag (CoinGecko liefert bei kurzen Zeiträumen stündliche Punkte)
+function toDailyCloses(points) {
+    const byDay = new Map();
+    for (const point of points) byDay.set(Math.floor(point[0] / DAY_MS), point);
+    return [...byDay.values()].sort((a, b) => a[0] - b[0]);
 }
 
-// ==================== KRYPTO DATEN (CoinGecko API) ====================
-async function updateCryptoData() {
-    // Mix aus "Blue Chips" + sehr populären/trendenden Coins.
-    // Wichtig: CoinGecko-IDs müssen exakt stimmen.
-    const cryptoIds = {
-        'bitcoin': 'BTC',
-        'ethereum': 'ETH',
-        'solana': 'SOL',
-        'ripple': 'XRP',
-        'binancecoin': 'BNB',
-        'dogecoin': 'DOGE',
-        'toncoin': 'TON',
-        'tron': 'TRX',
-        'avalanche-2': 'AVAX',
-        'chainlink': 'LINK'
-    };
+function isValidQuote(quote) {
+    return Boolean(quote) && typeof quote.price === 'number' && Number.isFinite(quote.price) && quote.price > 0;
+}
 
-    let updatedCount = 0;
+// Intraday-Kurse [[tsMs, close], ...] aus einem Chart- oder Spark-Result; Bars ohne Kurs entfallen.
+function parseYahooSeries(result) {
+    const timestamps = result?.timestamp;
+    const closes = result?.indicators?.quote?.[0]?.close;
+    if (!Array.isArray(timestamps) || !Array.isArray(closes)) return [];
 
-    try {
-        const ids = Object.keys(cryptoIds).join(',');
-        const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true`;
-        
-        console.log('Lade Krypto-Daten von CoinGecko...');
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            console.error('CoinGecko API Error:', response.status, response.statusText);
-            return;
-        }
-        
-        const data = await response.json();
-        console.log('✅ CoinGecko Daten empfangen:', data);
-        
-        // Update jede Krypto-Card
-        document.querySelectorAll('.crypto-card').forEach(card => {
-            const tickerElement = card.querySelector('.crypto-ticker');
-            if (!tickerElement) return;
-            
-            const ticker = tickerElement.textContent.trim();
-            
-            // Finde die entsprechende Crypto ID
-            const cryptoId = Object.keys(cryptoIds).find(id => cryptoIds[id] === ticker);
-            
-            if (cryptoId && data[cryptoId]) {
-                const crypto = data[cryptoId];
-                
-                console.log(`Aktualisiere ${ticker}:`, crypto);
-                
-                // Update Preis
-                const priceElement = card.querySelector('.crypto-price');
-                if (priceElement && crypto.usd) {
-                    const newPrice = `$${formatPrice(crypto.usd)}`;
-                    priceElement.textContent = newPrice;
-                    markLiveUpdated(priceElement, 'live');
-                    console.log(`${ticker} Preis aktualisiert: ${newPrice}`);
-                    updatedCount++;
-                }
-                
-                // Update Prozent-Badge
-                const badge = card.querySelector('.badge');
-                if (badge && crypto.usd_24h_change !== undefined) {
-                    updateBadge(badge, crypto.usd_24h_change);
-                    markLiveUpdated(badge, 'live');
-                }
-                
-                // Update Marktkappe
-                const statValues = card.querySelectorAll('.stat-value');
-                if (statValues.length > 0 && crypto.usd_market_cap) {
-                    statValues[0].textContent = formatMarketCap(crypto.usd_market_cap);
-                    markLiveUpdated(statValues[0], 'live');
-                }
-                
-                // Update 24h Volumen
-                if (statValues.length > 1 && crypto.usd_24h_vol) {
-                    statValues[1].textContent = formatVolume(crypto.usd_24h_vol);
-                    markLiveUpdated(statValues[1], 'live');
-                }
+    const points = [];
+    timestamps.forEach((tsSec, i) => {
+        const close = closes[i];
+        if (typeof close === 'number' && Number.isFinite(close)) points.push([tsSec * 1000, close]);
+    });
+    return points;
+}
 
-                ensureStatusElement(card, '.crypto-price');
-                setStatus(card, 'Live', true);
-                setCacheEntry(`cg:${ticker}`, {
-                    price: Number(crypto.usd),
-                    change: Number(crypto.usd_24h_change),
-                    marketCap: Number(crypto.usd_market_cap),
-                    volume: Number(crypto.usd_24h_vol)
-                });
-            }
-        });
-        
-        console.log('✅ Krypto-Daten erfolgreich aktualisiert');
-    } catch (error) {
-        console.error('❌ Fehler beim Laden der Krypto-Daten:', error);
-    }
+function parseYahooChartResult(result) {
+    if (!result?.meta) return null;
+
+    const meta = result.meta;
+    const series = result.indicators?.quote?.[0];
+    const price = meta.regularMarketPrice ?? lastFinite(series?.close);
+    const previousClose = meta.chartPreviousClose || meta.previousClose;
+    const highs = finiteValues(series?.high);
+    const lows = finiteValues(series?.low);
+
+    return {
+        price,
+        previousClose,
+        change: previousClose ? ((price - previousClose) / previousClose) * 100 : undefined,
+        high: meta.regularMarketDayHigh ?? (highs.length ? Math.max(...highs) : undefined),
+        low: meta.regularMarketDayLow ?? (lows.length ? Math.min(...lows) : undefined),
+        marketTimeSec: meta.regularMarketTime,
+        marketState: meta.regularMarketState,
+        marketCap: meta.marketCap,
+        volume: meta.regularMarketVolume,
+        pe: meta.trailingPE,
+        fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
+        currency: meta.currency,
+        name: meta.shortName || meta.longName,
+        series: { points: parseYahooSeries(result), previousClose }
+    };
+}
 
-    return updatedCount;
+function parseYahooQuoteItem(item) {
+    if (!item) return null;
+
+    const price = item.regularMarketPrice;
+    const previousClose = item.regularMarketPreviousClose;
+    const change = Number.isFinite(item.regularMarketChangePercent)
+        ? item.regularMarketChangePercent
+        : (previousClose ? ((price - previousClose) / previousClose) * 100 : undefined);
+
+    return {
+        price,
+        previousClose,
+        change,
+        high: item.regularMarketDayHigh,
+        low: item.regularMarketDayLow,
+        marketTimeSec: item.regularMarketTime,
+        marketState: item.marketState,
+        marketCap: item.marketCap,
+        volume: item.regularMarketVolume,
+        pe: item.trailingPE,
+        fiftyTwoWeekHigh: item.fiftyTwoWeekHigh,
+        currency: item.currency,
+        name: item.shortName || item.longName
+    };
 }
 
-// ==================== AKTIEN DATEN (Yahoo Finance mit CORS Proxy) ====================
-async function updateStockData() {
-    const stocks = [
-        'AAPL', 'MSFT', 'NVDA', 'TSLA', 'META', 'GOOGL',
-        'NFLX', 'AMZN', 'NKE', 'KO', 'MCD', 'DIS',
-        'JPM', 'JNJ', 'V', 'UNH', 'BRK-B', 'PFE'
-    ];
+// quoteSummary: Zahlen kommen als { raw, fmt }, die Dividendenrendite als Anteil (0.0044 = 0.44 %).
+// Unbestätigte Quartalszahlen haben in earningsDate eine Spanne; genommen wird der erste Tag.
+function parseYahooFundamentals(result) {
+    if (!result) return null;
+    const raw = value => (Number.isFinite(value?.raw) ? value.raw : undefined);
+    const detail = result.summaryDetail || {};
+    const stats = result.defaultKeyStatistics || {};
+    const events = result.calendarEvents || {};
+    const dividendYield = raw(detail.dividendYield);
+
+    return {
+        marketCap: raw(result.price?.marketCap) ?? raw(detail.marketCap),
+        pe: raw(detail.trailingPE),
+        eps: raw(stats.trailingEps),
+        dividendYield: dividendYield === undefined ? undefined : dividendYield * 100,
+        beta: raw(detail.beta) ?? raw(stats.beta),
+        fiftyTwoWeekLow: raw(detail.fiftyTwoWeekLow),
+        fiftyTwoWeekHigh: raw(detail.fiftyTwoWeekHigh),
+        sector: result.assetProfile?.sector || undefined,
+        industry: result.assetProfile?.industry || undefined,
+        currency: result.price?.currency || detail.currency,
+        earningsDateSec: raw(events.earnings?.earningsDate?.[0]),
+        exDividendDateSec: raw(events.exDividendDate) ?? raw(detail.exDividendDate),
+        dividendDateSec: raw(events.dividendDate)
+    };
+}
 
-    console.log('Lade Aktien-Daten...');
-    
-    let updatedCount = 0;
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
 
-    try {
-        const results = await mapWithConcurrency(stocks, SYMBOL_FETCH_CONCURRENCY, async (ticker) => {
-            try {
-                const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&range=1d`;
-                const data = await fetchJsonWithCorsFallback(yahooUrl);
-                const result = data?.chart?.result?.[0];
-
-                if (!result?.meta) return 0;
-
-                const quote = result.indicators?.quote?.[0];
-                const seriesClose = lastFinite(quote?.close);
-                const seriesHigh = lastFinite(quote?.high);
-                const seriesLow = lastFinite(quote?.low);
-
-                const currentPrice = result.meta.regularMarketPrice ?? seriesClose;
-                if (!(typeof currentPrice === 'number' && Number.isFinite(currentPrice) && currentPrice > 0)) return 0;
-
-                const previousClose = result.meta.chartPreviousClose || result.meta.previousClose;
-                const change = previousClose ? ((currentPrice - previousClose) / previousClose) * 100 : 0;
-                const high = result.meta.regularMarketDayHigh ?? seriesHigh;
-                const low = result.meta.regularMarketDayLow ?? seriesLow;
-                const marketTimeSec = result.meta.regularMarketTime;
-                const marketState = result.meta.regularMarketState;
-                const marketCap = result.meta.marketCap;
-                const trailingPE = result.meta.trailingPE;
-                const fiftyTwoWeekHigh = result.meta.fiftyTwoWeekHigh;
+async function fetchYahooQuoteBatch(symbols) {
+    const yahooUrl = `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${symbols.map(encodeURIComponent).join(',')}`;
+    const data = await fetchJsonWithCorsFallback(yahooUrl);
+    const items = data?.quoteResponse?.result;
+    if (!Array.isArray(items)) throw new Error('Unexpected quote response');
 
-                // Finde die entsprechende Card via data-symbol
-                const card = document.querySelector(`.futures-card[data-symbol="${ticker}"]`);
-                if (!card) return 0;
+    // Yahoo liefert die Symbole nicht zwingend in Request-Reihenfolge zurück
+    const bySymbol = {};
+    for (const item of items) {
+        if (item?.symbol) bySymbol[String(item.symbol).toUpperCase()] = item;
+    }
 
-                const priceElement = card.querySelector('.futures-price');
-                if (priceElement && typeof currentPrice === 'number' && Number.isFinite(currentPrice)) {
-                    priceElement.textContent = `$${formatPrice(currentPrice)}`;
-                    markLiveUpdated(priceElement, 'live');
-                }
+    const quotes = {};
+    for (const symbol of symbols) {
+        const quote = parseYahooQuoteItem(bySymbol[symbol.toUpperCase()]);
+        if (isValidQuote(quote)) quotes[symbol] = quote;
+    }
+    return quotes;
+}
 
-                const badge = card.querySelector('.badge');
-                if (badge && previousClose) {
-                    updateBadge(badge, change);
-                    markLiveUpdated(badge, 'live');
-                }
+// 5-Minuten-Bars: liefert neben dem Kurs gleich die Intraday-Serie für die Sparkline.
+async function fetchYahooChartQuote(symbol) {
+    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=5m&range=1d`;
+    const data = await fetchJsonWithCorsFallback(yahooUrl);
+    const quote = parseYahooChartResult(data?.chart?.result?.[0]);
+    return isValidQuote(quote) ? quote : null;
+}
 
-                // assets.html: Marktkappe / KGV / 52W Hoch
-                const statValues = card.querySelectorAll('.stat-value');
-                if (statValues.length > 0 && typeof marketCap === 'number' && Number.isFinite(marketCap)) {
-                    statValues[0].textContent = formatMarketCap(marketCap);
-                    markLiveUpdated(statValues[0], 'live');
-                }
-                if (statValues.length > 1 && typeof trailingPE === 'number' && Number.isFinite(trailingPE)) {
-                    statValues[1].textContent = trailingPE.toFixed(1);
-                    markLiveUpdated(statValues[1], 'live');
-                }
-                if (statValues.length > 2 && typeof fiftyTwoWeekHigh === 'number' && Number.isFinite(fiftyTwoWeekHigh)) {
-                    statValues[2].textContent = `$${formatPrice(fiftyTwoWeekHigh)}`;
-                    markLiveUpdated(statValues[2], 'live');
-                }
+// Verlangt bei Yahoo Cookie + Crumb: zuverlässig nur über den Relay (server/quote-relay.js)
+async function fetchYahooFundamentals(symbol) {
+    const yahooUrl = `https://query1.finance.yahoo.com/v10/finance/quoteSummary/${encodeURIComponent(symbol)}?modules=${YAHOO_FUNDAMENTALS_MODULES}`;
+    const data = await fetchJsonWithCorsFallback(yahooUrl);
+    return parseYahooFundamentals(data?.quoteSummary?.result?.[0]);
+}
 
-                ensureStatusElement(card, '.futures-price');
-                const tsMs = Number.isFinite(marketTimeSec) ? marketTimeSec * 1000 : Date.now();
-                const isLive = marketState === 'REGULAR' || (Date.now() - tsMs) < 1000 * 60 * 3;
-                setStatus(card, isLive ? 'Live' : formatStandTime(tsMs), isLive);
-                setCacheEntry(`yahoo:${ticker}`, {
-                    price: Number(currentPrice),
-                    change: Number(change),
-                    high: Number(high),
-                    low: Number(low),
-                    marketTimeSec: Number(marketTimeSec),
-                    marketState: String(marketState || ''),
-                    marketCap: typeof marketCap === 'number' ? Number(marketCap) : undefined,
-                    pe: typeof trailingPE === 'number' ? Number(trailingPE) : undefined,
-                    fiftyTwoWeekHigh: typeof fiftyTwoWeekHigh === 'number' ? Number(fiftyTwoWeekHigh) : undefined
-                });
+async function fetchYahooSparkBatch(symbols) {
+    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/spark?symbols=${symbols.map(encodeURIComponent).join(',')}&range=1d&interval=5m`;
+    const data = await fetchJsonWithCorsFallback(yahooUrl);
+    const items = data?.spark?.result;
+    if (!Array.isArray(items)) throw new Error('Unexpected spark response');
+
+    const seriesBySymbol = {};
+    for (const item of items) {
+        const result = item?.response?.[0];
+        const points = parseYahooSeries(result);
+        if (!item?.symbol || points.length === 0) continue;
+
+        const symbol = symbols.find(s => s.toUpperCase() === String(item.symbol).toUpperCase());
+        if (symbol) {
+            seriesBySymbol[symbol] = {
+                points,
+                previousClose: result.meta?.chartPreviousClose || result.meta?.previousClose
+            };
+        }
+    }
+    return seriesBySymbol;
+}
 
+function isYahooQuoteBatchEnabled() {
+    if (yahooQuoteBatchFailures >= YAHOO_QUOTE_BATCH_MAX_FAILURES) return false;
+    try {
+        const stored = JSON.parse(localStorage.getItem(YAHOO_QUOTE_BATCH_KEY) || '{}') || {};
+        return !(stored.disabledUntil > Date.now());
+    } catch {
+        return true;
+    }
+}
+
+function recordYahooQuoteBatchResult(ok) {
+    yahooQuoteBatchFailures = ok ? 0 : yahooQuoteBatchFailures + 1;
+    try {
+        if (ok) {
+            localStorage.removeItem(YAHOO_QUOTE_BATCH_KEY);
+        } else if (yahooQuoteBatchFailures >= YAHOO_QUOTE_BATCH_MAX_FAILURES) {
+            localStorage.setItem(YAHOO_QUOTE_BATCH_KEY, JSON.stringify({ disabledUntil: Date.now() + YAHOO_QUOTE_BATCH_COOLDOWN_MS }));
+        }
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+// Yahoo Finance: gebündelte Quote-Requests, Chart-Endpoint pro Symbol als Fallback.
+registerQuoteProvider('yahoo', {
+    async fetchQuotes(symbols, { onQuote } = {}) {
+        const quotes = {};
+        const accept = (symbol, quote) => {
+            quotes[symbol] = quote;
+            if (onQuote) onQuote(symbol, quote);
+        };
+
+        if (isYahooQuoteBatchEnabled()) {
+            await Promise.all(chunk(symbols, YAHOO_QUOTE_BATCH_SIZE).map(async (batch) => {
+                try {
+                    const batchQuotes = await fetchYahooQuoteBatch(batch);
+                    recordYahooQuoteBatchResult(true);
+                    for (const [symbol, quote] of Object.entries(batchQuotes)) accept(symbol, quote);
+                } catch (error) {
+                    recordYahooQuoteBatchResult(false);
+                    console.warn('Yahoo Quote-Batch fehlgeschlagen, nutze Chart-Fallback:', error?.message || error);
+                }
+            }));
+        }
+
+        const missing = symbols.filter(symbol => !quotes[symbol]);
+        await mapWithConcurrency(missing, SYMBOL_FETCH_CONCURRENCY, async (symbol) => {
+            try {
+                const quote = await fetchYahooChartQuote(symbol);
+                if (!quote) return 0;
+
+                accept(symbol, quote);
                 return 1;
             } catch (error) {
-                console.warn(`Fehler bei ${ticker}:`, error?.message || error);
+                console.warn(`Fehler bei ${symbol}:`, error?.message || error);
                 return 0;
             }
         });
 
-        updatedCount = results.reduce((sum, v) => sum + (v || 0), 0);
+        return quotes;
+    },
+
+    // Intraday-Serien: Spark-Endpoint gebündelt, Chart-Endpoint pro Symbol als Fallback.
+    async fetchSeries(symbols) {
+        const seriesBySymbol = {};
+        await Promise.all(chunk(symbols, YAHOO_QUOTE_BATCH_SIZE).map(async (batch) => {
+            try {
+                Object.assign(seriesBySymbol, await fetchYahooSparkBatch(batch));
+            } catch (error) {
+                console.warn('Yahoo Spark-Batch fehlgeschlagen, nutze Chart-Fallback:', error?.message || error);
+            }
+        }));
+
+        const missing = symbols.filter(symbol => !seriesBySymbol[symbol]);
+        await mapWithConcurrency(missing, SYMBOL_FETCH_CONCURRENCY, async (symbol) => {
+            try {
+                const quote = await fetchYahooChartQuote(symbol);
+                if (quote?.series?.points.length) seriesBySymbol[symbol] = quote.series;
+            } catch (error) {
+                console.warn(`Fehler bei Serie ${symbol}:`, error?.message || error);
+            }
+        });
+
+        return seriesBySymbol;
+    },
+
+    async fetchFundamentals(symbols) {
+        const fundamentalsBySymbol = {};
+        await mapWithConcurrency(symbols, SYMBOL_FETCH_CONCURRENCY, async (symbol) => {
+            try {
+                const fundamentals = await fetchYahooFundamentals(symbol);
+                if (fundamentals) fundamentalsBySymbol[symbol] = fundamentals;
+            } catch (error) {
+                console.warn(`Fehler bei Fundamentaldaten ${symbol}:`, error?.message || error);
+            }
+        });
+        return fundamentalsBySymbol;
+    },
+
+    async fetchCandles(symbol, range) {
+        const { range: yahooRange, interval } = range.yahoo;
+        const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${yahooRange}&interval=${interval}`;
+        const data = await fetchJsonWithCorsFallback(yahooUrl);
+        const result = data?.chart?.result?.[0];
+        if (!result) throw new Error('Unexpected chart response');
+
+        const timestamps = Array.isArray(result.timestamp) ? result.timestamp : [];
+        const series = result.indicators?.quote?.[0] || {};
+        const candles = [];
+        timestamps.forEach((tsSec, i) => {
+            const c = series.close?.[i];
+            if (typeof c !== 'number' || !Number.isFinite(c)) return;
+            const o = Number.isFinite(series.open?.[i]) ? series.open[i] : c;
+            candles.push({
+                t: tsSec * 1000,
+                o,
+                h: Number.isFinite(series.high?.[i]) ? series.high[i] : Math.max(o, c),
+                l: Number.isFinite(series.low?.[i]) ? series.low[i] : Math.min(o, c),
+                c,
+                v: Number.isFinite(series.volume?.[i]) ? series.volume[i] : 0
+            });
+        });
+
+        return { candles, previousClose: result.meta?.chartPreviousClose, volumeIs24h: false, currency: result.meta?.currency };
+    },
+
+    // Tagesschlüsse über period1/period2 statt range, damit auch lange Zeiträume täglich bleiben
+    // (range=5y/max liefert nur Wochen- oder Monatskerzen)
+    async fetchDailyCloses(symbol, { fromMs, toMs }) {
+        const period1 = Math.floor(fromMs / 1000);
+        const period2 = Math.ceil(toMs / 1000);
+        const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d`;
+        const data = await fetchJsonWithCorsFallback(yahooUrl);
+        const result = data?.chart?.result?.[0];
+        if (!result) throw new Error('Unexpected chart response');
+        return { points: toDailyCloses(parseYahooSeries(result)), currency: result.meta?.currency };
+    }
+});
+
+// CoinGecko: ein Request für alle Coins (CORS erlaubt, daher Relay oder direkt, kein Proxy).
+// Symbole sind CoinGecko-IDs (z.B. "bitcoin"). Kurse kommen direkt in der Anzeigewährung.
+registerQuoteProvider('coingecko', {
+    async fetchQuotes(ids, { onQuote } = {}) {
+        const currency = getDisplayCurrency();
+        const vs = currency.toLowerCase();
+        const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids.join(',')}&vs_currencies=${vs}&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true&include_last_updated_at=true`;
+        const data = await fetchJsonPreferRelay(url);
+        const quotes = {};
+        for (const id of ids) {
+            const coin = data?.[id];
+            if (!coin) continue;
+
+            const quote = {
+                price: coin[vs],
+                change: coin[`${vs}_24h_change`],
+                marketCap: coin[`${vs}_market_cap`],
+                volume: coin[`${vs}_24h_vol`],
+                marketTimeSec: coin.last_updated_at,
+                currency
+            };
+            if (!isValidQuote(quote)) continue;
+
+            quotes[id] = quote;
+            if (onQuote) onQuote(id, quote);
+        }
+        return quotes;
+    },
+
+    // Top N aus /coins/markets (max. 250 pro Seite, daher ein Request)
+    async fetchMarkets({ limit = 100 } = {}) {
+        const currency = getDisplayCurrency();
+        const perPage = Math.min(250, Math.max(1, Math.round(limit)));
+        const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=${currency.toLowerCase()}&order=market_cap_desc&per_page=${perPage}&page=1&sparkline=false&price_change_percentage=1h,24h,7d`;
+        const data = await fetchJsonPreferRelay(url);
+        if (!Array.isArray(data)) throw new Error('Unexpected markets response');
+        return data.map(item => parseCoinGeckoMarket(item, currency)).filter(Boolean);
+    },
+
+    // Gesamtmarkt aus /global (Beträge in der Anzeigewährung, Dominanz in Prozent)
+    async fetchGlobal() {
+        const currency = getDisplayCurrency();
+        const vs = currency.toLowerCase();
+        const data = (await fetchJsonPreferRelay('https://api.coingecko.com/api/v3/global'))?.data;
+        if (!data?.total_market_cap) throw new Error('Unexpected global response');
+        return {
+            totalMarketCap: data.total_market_cap[vs],
+            totalVolume: data.total_volume?.[vs],
+            marketCapChange: data.market_cap_change_percentage_24h_usd,
+            btcDominance: data.market_cap_percentage?.btc,
+            ethDominance: data.market_cap_percentage?.eth,
+            marketTimeSec: data.updated_at,
+            currency
+        };
+    },
+
+    // 24h-Verlauf pro Coin (market_chart liefert bei days=1 automatisch 5-Minuten-Punkte).
+    // Vergleichswert ist der Kurs vor 24h, passend zur 24h-Veränderung im Badge.
+    async fetchSeries(ids) {
+        const currency = getDisplayCurrency();
+        const seriesBySymbol = {};
+        await mapWithConcurrency(ids, COINGECKO_SERIES_CONCURRENCY, async (id) => {
+            try {
+                const url = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}/market_chart?vs_currency=${currency.toLowerCase()}&days=1`;
+                const data = await fetchJsonPreferRelay(url);
+                const points = (Array.isArray(data?.prices) ? data.prices : [])
+                    .filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+                if (points.length > 0) seriesBySymbol[id] = { points, previousClose: points[0][1], currency };
+            } catch (error) {
+                console.warn(`Fehler bei Serie ${id}:`, error?.message || error);
+            }
+        });
+        return seriesBySymbol;
+    },
+
+    // Kerzen aus /ohlc (ohne Volumen); das Volumen kommt aus market_chart (gleitend 24h)
+    // und wird der jeweils letzten Messung vor Kerzenende zugeordnet.
+    async fetchCandles(id, range) {
+        const base = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}`;
+        const days = range.coingeckoDays;
+        const currency = getDisplayCurrency();
+        const vs = currency.toLowerCase();
+        const [ohlc, chart] = await Promise.all([
+            fetchJsonPreferRelay(`${base}/ohlc?vs_currency=${vs}&days=${days}`),
+            fetchJsonPreferRelay(`${base}/market_chart?vs_currency=${vs}&days=${days}`).catch(() => null)
+        ]);
+        if (!Array.isArray(ohlc)) throw new Error('Unexpected ohlc response');
+
+        const volumes = Array.isArray(chart?.total_volumes) ? chart.total_volumes : [];
+        let volumeIndex = 0;
+        const candles = ohlc
+            .filter(row => Array.isArray(row) && row.slice(0, 5).every(Number.isFinite))
+            .map(([t, o, h, l, c]) => {
+                while (volumeIndex + 1 < volumes.length && volumes[volumeIndex + 1][0] <= t) volumeIndex++;
+                const v = volumes[volumeIndex]?.[0] <= t ? volumes[volumeIndex][1] : 0;
+                return { t, o, h, l, c, v: Number.isFinite(v) ? v : 0 };
+            });
+
+        const trimmed = trimCandlesToRange(candles, range);
+        return { candles: trimmed, previousClose: trimmed[0]?.o, volumeIs24h: true, currency };
+    },
+
+    // market_chart zählt `days` ab heute; ab 90 Tagen kommt automatisch ein Punkt pro Tag.
+    // Die öffentliche API liefert je nach Plan nur das letzte Jahr, dann beginnt die Liste später.
+    async fetchDailyCloses(id, { fromMs, toMs }) {
+        const currency = getDisplayCurrency();
+        const days = Math.max(1, Math.ceil((Date.now() - fromMs) / DAY_MS));
+        const url = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}/market_chart?vs_currency=${currency.toLowerCase()}&days=${days}`;
+        const data = await fetchJsonPreferRelay(url);
+        if (!Array.isArray(data?.prices)) throw new Error('Unexpected market_chart response');
+        const points = data.prices.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1])
+            && p[0] >= fromMs && p[0] <= toMs);
+        return { points: toDailyCloses(points), currency };
+    }
+});
+
+// Crypto Fear & Greed Index von alternative.me (0–100, einmal täglich neu berechnet).
+// Einziges Symbol ist 'fng'; der Indexwert steht als `price` in der Quote.
+registerQuoteProvider('alternative', {
+    async fetchQuotes(symbols, { onQuote } = {}) {
+        if (!symbols.includes('fng')) return {};
+        const data = await fetchJsonPreferRelay('https://api.alternative.me/fng/?limit=1');
+        const entry = data?.data?.[0];
+        const quote = { price: Number(entry?.value), marketTimeSec: Number(entry?.timestamp) };
+        if (!isValidQuote(quote)) return {};
+
+        if (onQuote) onQuote('fng', quote);
+        return { fng: quote };
+    }
+});
+
+// Ein Eintrag aus /coins/markets -> MarketRow
+function parseCoinGeckoMarket(item, currency) {
+    const price = Number(item?.current_price);
+    if (!item?.id || !Number.isFinite(price)) return null;
+    // CoinGecko liefert fehlende Werte als null (Number(null) wäre 0)
+    const optional = value => (value === null || value === undefined || !Number.isFinite(Number(value)) ? undefined : Number(value));
+    return {
+        id: item.id,
+        symbol: String(item.symbol || '').toUpperCase(),
+        name: item.name || item.id,
+        image: item.image || undefined,
+        rank: optional(item.market_cap_rank),
+        price,
+        change1h: optional(item.price_change_percentage_1h_in_currency),
+        change24h: optional(item.price_change_percentage_24h_in_currency ?? item.price_change_percentage_24h),
+        change7d: optional(item.price_change_percentage_7d_in_currency),
+        marketCap: optional(item.market_cap),
+        volume: optional(item.total_volume),
+        circulatingSupply: optional(item.circulating_supply),
+        athChange: optional(item.ath_change_percentage),
+        currency
+    };
+}
+
+// Lokale Fixtures (fixtures/quotes.json), für Offline-Demos und Tests.
+// Alternativ kann eine Seite window.RBC_MOCK_QUOTES vor live-data.js setzen.
+let mockQuotesPromise = null;
+
+function loadMockQuotes() {
+    if (window.RBC_MOCK_QUOTES && typeof window.RBC_MOCK_QUOTES === 'object') {
+        return Promise.resolve(window.RBC_MOCK_QUOTES);
+    }
+    if (!mockQuotesPromise) {
+        mockQuotesPromise = fetch(MOCK_QUOTES_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                return response.json();
+            })
+            .catch(error => {
+                mockQuotesPromise = null;
+                throw error;
+            });
+    }
+    return mockQuotesPromise;
+}
+
+registerQuoteProvider('mock', {
+    async fetchQuotes(symbols, { onQuote } = {}) {
+        const fixtures = await loadMockQuotes();
+        const nowSec = Math.floor(Date.now() / 1000);
+        const quotes = {};
+        for (const symbol of symbols) {
+            const fixture = fixtures?.[symbol];
+            if (!isValidQuote(fixture)) continue;
+
+            const quote = { marketTimeSec: nowSec, ...fixture };
+            quotes[symbol] = quote;
+            if (onQuote) onQuote(symbol, quote);
+        }
+        return quotes;
+    },
+
+    async fetchSeries(symbols) {
+        const fixtures = await loadMockQuotes();
+        const seriesBySymbol = {};
+        for (const symbol of symbols) {
+            if (isValidQuote(fixtures?.[symbol])) seriesBySymbol[symbol] = buildMockSeries(fixtures[symbol]);
+        }
+        return seriesBySymbol;
+    },
+
+    // Gesamtmarkt unter dem Schlüssel "crypto-global" (Format wie GlobalMarket)
+    async fetchGlobal() {
+        const fixtures = await loadMockQuotes();
+        const global = fixtures?.['crypto-global'];
+        return global ? { marketTimeSec: Math.floor(Date.now() / 1000), ...global } : null;
+    },
+
+    // fixtures/coin-markets.json hat das Format von /coins/markets (Kurse in USD)
+    async fetchMarkets({ limit = 100 } = {}) {
+        const response = await fetch(MOCK_COIN_MARKETS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        const data = await response.json();
+        return (Array.isArray(data) ? data : [])
+            .slice(0, limit)
+            .map(item => parseCoinGeckoMarket(item, 'USD'))
+            .filter(Boolean);
+    },
+
+    // fixtures/fundamentals.json hat das Format von quoteSummary (ein result pro Symbol)
+    async fetchFundamentals(symbols) {
+        const response = await fetch(MOCK_FUNDAMENTALS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        const data = await response.json();
+        return Object.fromEntries(symbols
+            .filter(symbol => data?.[symbol])
+            .map(symbol => [symbol, rollMockEventDates(parseYahooFundamentals(data[symbol]))]));
+    },
+
+    async fetchCandles(symbol, range) {
+        const fixtures = await loadMockQuotes();
+        if (!isValidQuote(fixtures?.[symbol])) return { candles: [] };
+        return { ...buildMockCandles(fixtures[symbol], range), currency: fixtures[symbol].currency };
+    },
+
+    async fetchDailyCloses(symbol, { fromMs, toMs }) {
+        const fixtures = await loadMockQuotes();
+        if (!isValidQuote(fixtures?.[symbol])) return { points: [] };
+        return { points: buildMockDailyCloses(fixtures[symbol], fromMs, toMs), currency: fixtures[symbol].currency };
+    }
+});
+
+// Vergangene Fixture-Termine um ganze Quartale (13 Wochen, gleicher Wochentag) nach vorne
+// schieben, damit Cards und Kalender in der Demo nicht veralten.
+const MOCK_EVENT_ROLL_SEC = 60 * 60 * 24 * 7 * 13;
+
+function rollMockEventDates(fundamentals, nowMs = Date.now()) {
+    const todaySec = Math.floor(nowMs / DAY_MS) * DAY_MS / 1000;
+    for (const field of FUNDAMENTALS_EVENT_FIELDS) {
+        if (!Number.isFinite(fundamentals[field]) || fundamentals[field] >= todaySec) continue;
+        const quarters = Math.ceil((todaySec - fundamentals[field]) / MOCK_EVENT_ROLL_SEC);
+        fundamentals[field] += quarters * MOCK_EVENT_ROLL_SEC;
+    }
+    return fundamentals;
+}
+
+// Deterministische Kerzen, die beim Fixture-Kurs enden. Anzahl/Abstand je nach Zeitraum.
+function buildMockCandles(fixture, range, nowMs = Date.now()) {
+    const count = 120;
+    const spanMs = Number.isFinite(range.ms) ? range.ms : 1000 * 60 * 60 * 24 * 365 * 10;
+    const stepMs = spanMs / count;
+    const drift = Math.min(0.5, spanMs / (1000 * 60 * 60 * 24 * 365) * 0.08 + 0.01);
+    const startPrice = fixture.price * (1 - drift * Math.sign(Number(fixture.change) || 1));
+
+    const candles = [];
+    let previous = startPrice;
+    for (let i = 0; i < count; i++) {
+        const progress = (i + 1) / count;
+        const trend = startPrice + (fixture.price - startPrice) * progress;
+        const close = i === count - 1 ? fixture.price : trend * (1 + Math.sin(i * 0.9 + fixture.price) * drift * 0.15);
+        const open = previous;
+        const wick = Math.abs(close - open) * 0.5 + trend * 0.002;
+        candles.push({
+            t: Math.round(nowMs - (count - 1 - i) * stepMs),
+            o: open,
+            h: Math.max(open, close) + wick,
+            l: Math.min(open, close) - wick,
+            c: close,
+            v: Math.round(1e6 * (1.5 + Math.sin(i * 1.7)))
+        });
+        previous = close;
+    }
+    return { candles, previousClose: startPrice, volumeIs24h: false };
+}
+
+// Deterministische Tagesschlüsse, die heute beim Fixture-Kurs enden: Aufwärtstrend von rund
+// 12 % pro Jahr mit zwei überlagerten Zyklen, damit ein Sparplan Hochs und Tiefs erwischt.
+// Der kurze Zyklus läuft bis eine Woche vor heute voll und hat je Instrument eine eigene Phase,
+// damit die Indikatoren (RSI, MACD) in der Demo nicht überall dasselbe zeigen.
+function buildMockDailyCloses(fixture, fromMs, toMs, nowMs = Date.now()) {
+    const points = [];
+    const today = Math.floor(nowMs / DAY_MS);
+    for (let day = Math.ceil(fromMs / DAY_MS); day <= Math.min(today, Math.floor(toMs / DAY_MS)); day++) {
+        const years = (today - day) / 365;
+        const cycle = 1 + Math.sin(day / 90 + fixture.price) * 0.15 * Math.min(1, years)
+            + Math.sin(day / 13 + fixture.price * 7) * 0.03 * Math.min(1, (today - day) / 7);
+        points.push([day * DAY_MS, fixture.price * Math.exp(-0.12 * years) * cycle]);
+    }
+    return points;
+}
+
+// Deterministischer Tagesverlauf vom Vortagesschluss zum Fixture-Kurs (5-Minuten-Punkte).
+function buildMockSeries(fixture, nowMs = Date.now()) {
+    const count = 78;
+    const price = fixture.price;
+    const open = fixture.previousClose || price / (1 + (Number(fixture.change) || 0) / 100);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const progress = i / (count - 1);
+        const wave = Math.sin(i * 0.45 + price) * Math.abs(price - open) * 0.6 * (1 - progress);
+        points.push([nowMs - (count - 1 - i) * SPARKLINE_BUCKET_MS, open + (price - open) * progress + wave]);
+    }
+    return { points, previousClose: open };
+}
+
+// ==================== KRYPTO DATEN (CoinGecko API) ====================
+async function updateCryptoData(ids = Object.keys(CRYPTO_IDS)) {
+    let updatedCount = 0;
+    const sparkItems = [];
+
+    try {
+        console.log('Lade Krypto-Daten...');
+        const quotes = await fetchQuotes('crypto', ids);
+        console.log('✅ Krypto-Daten empfangen:', quotes);
+
+        // Update jede Krypto-Card
+        document.querySelectorAll('.crypto-card').forEach(card => {
+            const tickerElement = card.querySelector('.crypto-ticker');
+            if (!tickerElement) return;
+
+            const ticker = tickerElement.textContent.trim();
+
+            // Finde die entsprechende Crypto ID
+            const cryptoId = Object.keys(CRYPTO_IDS).find(id => CRYPTO_IDS[id] === ticker);
+            const quote = cryptoId ? quotes[cryptoId] : undefined;
+            if (!quote) return;
+            const currency = getQuoteCurrency(quote);
+
+            renderCardFields(card, quote, currency, 'live');
+            updatedCount++;
+
+            ensureStatusElement(card, '[data-field="price"]');
+            setStatus(card, t('common.live'), true);
+            setCacheEntry(`cg:${ticker}`, toCacheQuote(quote, currency));
+            updateSinceLastVisit(card, `cg:${ticker}`, Number(quote.price), currency);
+            sparkItems.push({ symbol: cryptoId, key: `cg:${ticker}`, card, quote });
+        });
+
+        await refreshSparklines('crypto', sparkItems);
+        if (updatedCount > 0) dispatchLiveDataEvent(QUOTES_UPDATED_EVENT, { source: 'crypto' });
+
+        console.log('✅ Krypto-Daten erfolgreich aktualisiert');
+    } catch (error) {
+        console.error('❌ Fehler beim Laden der Krypto-Daten:', error);
+    }
+
+    return updatedCount;
+}
+
+// ==================== KRYPTO-MARKTÜBERSICHT ====================
+// Boxen mit [data-market-global] zeigen den Gesamtmarkt (fetchGlobal), [data-market-sentiment]
+// den Fear & Greed Index. Gebunden wird wie bei den Cards über data-field/data-format; jede
+// Box bekommt ihren eigenen Status (Live / Stand) und zeigt bis zum ersten Laden den Cache.
+const MARKET_GLOBAL_SELECTOR = '[data-market-global]';
+const MARKET_SENTIMENT_SELECTOR = '[data-market-sentiment]';
+const MARKET_GLOBAL_CACHE_KEY = 'cg:global';
+const MARKET_SENTIMENT_CACHE_KEY = 'fng:index';
+const MARKET_GLOBAL_REFRESH_INTERVAL_MS = 1000 * 60 * 2;
+const MARKET_SENTIMENT_REFRESH_INTERVAL_MS = 1000 * 60 * 60;
+const MARKET_GLOBAL_FIELDS = ['totalMarketCap', 'totalVolume', 'marketCapChange', 'btcDominance', 'ethDominance', 'marketTimeSec'];
+
+// Herkunft der zuletzt gezeigten Gesamtmarkt-Werte, damit der Neuaufbau nach neuen
+// Devisenkursen den Live-Status nicht auf "Stand" zurücksetzt
+let marketGlobalOrigin = 'cache';
+
+// Obergrenzen (exklusiv) der Stufen wie bei alternative.me; Text aus dem Sprachkatalog (sentiment.*)
+const MARKET_SENTIMENT_LEVELS = [
+    { below: 25, id: 'extremeFear' },
+    { below: 47, id: 'fear' },
+    { below: 55, id: 'neutral' },
+    { below: 76, id: 'greed' },
+    { below: Infinity, id: 'extremeGreed' }
+];
+
+function getSentimentLevel(value) {
+    return MARKET_SENTIMENT_LEVELS.find(level => value < level.below).id;
+}
+
+function renderSentimentGauge(box, value) {
+    const level = getSentimentLevel(value);
+    const label = box.querySelector('.sentiment-label');
+    if (label) {
+        label.textContent = t(`sentiment.${level}`);
+        label.dataset.level = level;
+    }
+    const marker = box.querySelector('.sentiment-marker');
+    if (marker) marker.style.left = `${Math.min(100, Math.max(0, value))}%`;
+    box.querySelector('.sentiment-gauge')?.setAttribute('aria-valuenow', String(Math.round(value)));
+}
+
+function renderMarketBoxes(selector, data, origin) {
+    let rendered = 0;
+    document.querySelectorAll(selector).forEach(box => {
+        ensureStatusElement(box, '.info-value');
+        if (!data) {
+            setStatus(box, t('common.loading'), false);
+            return;
+        }
+        if (renderCardFields(box, data, data.currency || DEFAULT_CURRENCY, origin) === 0) return;
+        if (selector === MARKET_SENTIMENT_SELECTOR) renderSentimentGauge(box, data.price);
+        else marketGlobalOrigin = origin;
+
+        const tsMs = Number.isFinite(Number(data.marketTimeSec)) ? Number(data.marketTimeSec) * 1000 : Number(data.tsMs);
+        if (origin === 'live') setStatus(box, t('common.live'), true);
+        else setStatus(box, formatStandTime(tsMs), false);
+        rendered++;
+    });
+    return rendered;
+}
+
+// Beträge in Fremdwährung (z.B. Mock-Daten in USD) nach neuen Devisenkursen neu umrechnen
+function rerenderMarketGlobal() {
+    const entry = getCacheEntry(MARKET_GLOBAL_CACHE_KEY);
+    if (entry) renderMarketBoxes(MARKET_GLOBAL_SELECTOR, entry, marketGlobalOrigin);
+}
+
+function applyCachedMarketOverview() {
+    renderMarketBoxes(MARKET_GLOBAL_SELECTOR, getCacheEntry(MARKET_GLOBAL_CACHE_KEY), 'cache');
+    renderMarketBoxes(MARKET_SENTIMENT_SELECTOR, getCacheEntry(MARKET_SENTIMENT_CACHE_KEY), 'cache');
+}
+
+async function updateCryptoGlobalData() {
+    try {
+        const global = await fetchGlobalMarket('crypto');
+        if (!global || !Number.isFinite(Number(global.totalMarketCap))) return 0;
+
+        const entry = { currency: global.currency };
+        for (const field of MARKET_GLOBAL_FIELDS) {
+            if (Number.isFinite(Number(global[field]))) entry[field] = Number(global[field]);
+        }
+        setCacheEntry(MARKET_GLOBAL_CACHE_KEY, entry);
+        console.log('✅ Krypto-Gesamtmarkt aktualisiert');
+        return renderMarketBoxes(MARKET_GLOBAL_SELECTOR, entry, 'live');
+    } catch (error) {
+        console.error('❌ Fehler beim Laden des Krypto-Gesamtmarkts:', error);
+        return 0;
+    }
+}
+
+async function updateMarketSentiment() {
+    try {
+        const quote = (await fetchQuotes('sentiment', ['fng'])).fng;
+        if (!isValidQuote(quote)) return 0;
+
+        const entry = { price: Number(quote.price), marketTimeSec: Number(quote.marketTimeSec) };
+        setCacheEntry(MARKET_SENTIMENT_CACHE_KEY, entry);
+        console.log('✅ Fear & Greed Index aktualisiert:', entry.price);
+        return renderMarketBoxes(MARKET_SENTIMENT_SELECTOR, entry, 'live');
+    } catch (error) {
+        console.error('❌ Fehler beim Laden des Fear & Greed Index:', error);
+        return 0;
+    }
+}
+
+// ==================== MARKTSTATUS (market-hours.js) ====================
+// Chip pro Card: Geöffnet / Pre-Market / Geschlossen inkl. Countdown.
+// Ohne market-hours.js bleibt alles beim alten Verhalten (kein Chip, kein Pausieren).
+const MARKET_STATE_TICK_MS = 30000;
+const QUOTE_CARD_SELECTOR = '.crypto-card, .index-card[data-symbol], .futures-card[data-symbol]';
+
+// Symbole, die in dieser Seitensitzung schon einmal live geladen wurden. Geschlossene
+// Märkte werden danach nicht mehr gepollt.
+const liveLoadedSymbols = new Set();
+
+function getSymbolMarketSession(symbol, source) {
+    if (typeof getMarketSessionForSymbol !== 'function') return null;
+    return getMarketSessionForSymbol(symbol, source);
+}
+
+function getCardMarketSymbol(card) {
+    // Watchlist-Cards tragen ihren Cache-Key; so lösen auch importierte Symbole ausserhalb des
+    // Katalogs auf (unbekannte Yahoo-Symbole gelten wie in parseQuoteKey als Aktie).
+    if (card.dataset.watchKey) {
+        const parsed = parseQuoteKey(card.dataset.watchKey);
+        return parsed ? { symbol: parsed.ticker, source: parsed.source } : null;
+    }
+
+    if (card.classList.contains('crypto-card')) {
+        const ticker = card.querySelector('.crypto-ticker')?.textContent.trim();
+        return ticker ? { symbol: ticker, source: 'crypto' } : null;
+    }
+
+    const symbol = card.dataset.symbol;
+    if (!symbol) return null;
+    if (STOCK_SYMBOLS.includes(symbol)) return { symbol, source: 'stocks' };
+    if (COMMODITY_SYMBOLS[symbol]) return { symbol, source: 'commodities' };
+    if (INDEX_SYMBOLS[symbol]) return { symbol, source: 'indices' };
+    return null;
+}
+
+// Cache-Key -> Quelle + Symbol, wie die Updater es erwarten (Krypto: CoinGecko-ID)
+// 'cg:BTC' -> { source: 'crypto', symbol: 'bitcoin', ticker: 'BTC' }
+// 'yahoo:GC=F' -> { source: 'commodities', symbol: 'GC=F', ticker: 'GC=F' }
+function parseQuoteKey(key) {
+    const [prefix, ticker] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+    if (!ticker) return null;
+
+    if (prefix === 'cg') {
+        const coinId = Object.keys(CRYPTO_IDS).find(id => CRYPTO_IDS[id] === ticker);
+        return coinId ? { source: 'crypto', symbol: coinId, ticker } : null;
+    }
+    if (prefix !== 'yahoo') return null;
+
+    let source = 'stocks';
+    if (INDEX_SYMBOLS[ticker]) source = 'indices';
+    else if (COMMODITY_SYMBOLS[ticker]) source = 'commodities';
+    return { source, symbol: ticker, ticker };
+}
+
+// Freitext ('BTC', 'bitcoin', '^SSMI', 'cg:BTC', 'yahoo:GC=F') -> Cache-Key
+function resolveQuoteKey(token) {
+    const value = String(token || '').trim();
+    if (!value) return null;
+    if (/^(cg|yahoo):/.test(value)) return parseQuoteKey(value) ? value : null;
+
+    const ticker = value.toUpperCase();
+    if (Object.values(CRYPTO_IDS).includes(ticker)) return `cg:${ticker}`;
+    if (CRYPTO_IDS[value.toLowerCase()]) return `cg:${CRYPTO_IDS[value.toLowerCase()]}`;
+    // Yahoo-Symbole: Buchstaben/Ziffern plus ^ = . - (z.B. ^SSMI, GC=F, BRK-B, NESN.SW)
+    return /^[A-Z0-9^=.-]{1,20}$/.test(ticker) ? `yahoo:${ticker}` : null;
+}
+
+function getQuoteKeyName(key) {
+    const parsed = parseQuoteKey(key);
+    if (!parsed) return key;
+    return INDEX_SYMBOLS[parsed.ticker] || COMMODITY_SYMBOLS[parsed.ticker] || parsed.ticker;
+}
+
+// Wie auf den Cards: in der Anzeigewährung, ausgehend von der Währung der Quote im Cache.
+function formatQuoteKeyPrice(key, value) {
+    return formatMoney(value, getQuoteCurrency(getCacheEntry(key), parseQuoteKey(key)?.ticker));
+}
+
+// <select> mit allen bekannten Instrumenten, gruppiert nach Anlageklasse; value = Cache-Key
+function fillInstrumentSelect(select) {
+    const groups = [
+        [t('asset.crypto'), Object.values(CRYPTO_IDS).map(ticker => [`cg:${ticker}`, ticker])],
+        [t('asset.indices'), Object.entries(INDEX_SYMBOLS).map(([symbol, name]) => [`yahoo:${symbol}`, `${name} (${symbol})`])],
+        [t('asset.commodities'), Object.entries(COMMODITY_SYMBOLS).map(([symbol, name]) => [`yahoo:${symbol}`, `${name} (${symbol})`])],
+        [t('asset.stocks'), STOCK_SYMBOLS.map(symbol => [`yahoo:${symbol}`, symbol])]
+    ];
+    for (const [label, options] of groups) {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const [key, text] of options) group.appendChild(new Option(text, key));
+        select.appendChild(group);
+    }
+}
+
+function ensureMarketStateElement(card) {
+    let el = card.querySelector('.market-state');
+    if (el) return el;
+
+    el = document.createElement('div');
+    el.className = 'market-state';
+    const status = card.querySelector('.price-status');
+    if (status) status.insertAdjacentElement('afterend', el);
+    else card.appendChild(el);
+    return el;
+}
+
+function updateMarketStateElement(card, session) {
+    if (!session) return;
+    const el = ensureMarketStateElement(card);
+    el.textContent = describeMarketSession(session);
+    el.className = `market-state state-${session.state}`;
+}
+
+function updateMarketStates() {
+    let updatedCount = 0;
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(card => {
+        const info = getCardMarketSymbol(card);
+        const session = info ? getSymbolMarketSession(info.symbol, info.source) : null;
+        if (!session) return;
+        updateMarketStateElement(card, session);
+        updatedCount++;
+    });
+    return updatedCount;
+}
+
+// Nur Symbole abfragen, deren Markt gerade handelt – plus alle, die noch nie live
+// geladen wurden (sonst bliebe nach einem Reload am Wochenende nur der Cache stehen).
+function selectSymbolsToRefresh(source, symbols) {
+    return symbols.filter(symbol => {
+        if (!liveLoadedSymbols.has(symbol)) return true;
+        const session = getSymbolMarketSession(symbol, source);
+        return typeof isMarketActive !== 'function' || isMarketActive(session);
+    });
+}
+
+function setYahooCardStatus(card, anchorSelector, quote, symbol, source) {
+    ensureStatusElement(card, anchorSelector);
+    const tsMs = Number.isFinite(quote.marketTimeSec) ? quote.marketTimeSec * 1000 : Date.now();
+    const isRecent = quote.marketState === 'REGULAR' || (Date.now() - tsMs) < 1000 * 60 * 3;
+    // Laut Handelskalender geschlossen -> nie "Live", auch wenn der Zeitstempel frisch wirkt.
+    const session = getSymbolMarketSession(symbol, source);
+    const isLive = isRecent && (!session || session.state === 'open');
+    setStatus(card, isLive ? t('common.live') : formatStandTime(tsMs), isLive);
+    updateMarketStateElement(card, session);
+}
+
+// ==================== DETAILANSICHT ====================
+// Jede Kurs-Card führt auf detail.html (?coin=<CoinGecko-ID> bzw. ?symbol=<Yahoo-Symbol>).
+const DETAIL_PAGE_URL = 'detail.html';
+
+function getDetailUrl(symbol, source) {
+    if (source === 'crypto') {
+        const coinId = Object.keys(CRYPTO_IDS).find(id => CRYPTO_IDS[id] === symbol) || symbol.toLowerCase();
+        return `${DETAIL_PAGE_URL}?coin=${encodeURIComponent(coinId)}`;
+    }
+    return `${DETAIL_PAGE_URL}?symbol=${encodeURIComponent(symbol)}`;
+}
+
+function linkCardsToDetail() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(card => {
+        const info = getCardMarketSymbol(card);
+        if (!info || card.dataset.detailUrl) return;
+
+        card.dataset.detailUrl = getDetailUrl(info.symbol, info.source);
+        card.classList.add('is-clickable');
+        card.setAttribute('role', 'link');
+        card.setAttribute('tabindex', '0');
+        const title = card.querySelector('h3')?.textContent.trim() || info.symbol;
+        card.setAttribute('aria-label', t('card.details', { name: title }));
+
+        card.addEventListener('click', event => {
+            // Eigene Links/Buttons in der Card behalten ihr Verhalten
+            if (event.target.closest('a, button, input, select, label, details')) return;
+            window.location.href = card.dataset.detailUrl;
+        });
+        card.addEventListener('keydown', event => {
+            if (event.key !== 'Enter' || event.target !== card) return;
+            window.location.href = card.dataset.detailUrl;
+        });
+    });
+}
+
+// ==================== SEIT LETZTEM BESUCH (quote-history.js) ====================
+function ensureSinceVisitElement(card) {
+    let el = card.querySelector('.since-visit');
+    if (el) return el;
+
+    el = document.createElement('div');
+    el.className = 'since-visit';
+    const anchor = card.querySelector('.market-state') || card.querySelector('.price-status');
+    if (anchor) anchor.insertAdjacentElement('afterend', el);
+    else card.appendChild(el);
+    return el;
+}
+
+function updateSinceLastVisit(card, key, price, currency) {
+    if (typeof getChangeSinceLastVisit !== 'function') return;
+
+    getChangeSinceLastVisit(key, price, currency).then(result => {
+        if (!result) return;
+        const el = ensureSinceVisitElement(card);
+        const isPositive = result.change >= 0;
+        el.textContent = t('card.sinceVisit', { change: formatPercent(result.change) });
+        el.className = `since-visit ${isPositive ? 'positive' : 'negative'}`;
+        el.title = t('card.sinceVisitTitle', { time: formatStandTime(result.sinceMs) });
+    });
+}
+
+// ==================== SPARKLINES ====================
+// Intraday-Verlauf pro Card. Die komplette Serie wird nur alle SPARKLINE_REFETCH_MS geholt;
+// dazwischen hängt jeder Refresh den aktuellen Kurs an (innerhalb eines 5-Minuten-Buckets
+// wird der letzte Punkt ersetzt). Serien liegen im Live-Cache ('spark:<key>') und werden
+// beim Seitenaufruf sofort gezeichnet.
+const SPARKLINE_CACHE_PREFIX = 'spark:';
+const SPARKLINE_REFETCH_MS = 1000 * 60 * 15;
+const SPARKLINE_BUCKET_MS = 1000 * 60 * 5;
+const SPARKLINE_WINDOW_MS = 1000 * 60 * 60 * 24;
+const SPARKLINE_MAX_POINTS = 96;
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 32;
+
+// Auf maxPoints ausdünnen, der letzte Punkt bleibt immer erhalten.
+function downsampleSeries(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    const step = (points.length - 1) / (maxPoints - 1);
+    const sampled = [];
+    for (let i = 0; i < maxPoints; i++) sampled.push(points[Math.round(i * step)]);
+    return sampled;
+}
+
+function appendSparklinePoint(points, tsMs, price) {
+    const next = points.slice();
+    const last = next[next.length - 1];
+    if (last && tsMs < last[0]) return next;
+
+    const point = [tsMs, price];
+    if (last && Math.floor(last[0] / SPARKLINE_BUCKET_MS) === Math.floor(tsMs / SPARKLINE_BUCKET_MS)) {
+        next[next.length - 1] = point;
+    } else {
+        next.push(point);
+    }
+
+    const cutoffMs = tsMs - SPARKLINE_WINDOW_MS;
+    while (next.length > 2 && (next[0][0] < cutoffMs || next.length > SPARKLINE_MAX_POINTS)) next.shift();
+    return next;
+}
+
+function ensureSparklineElement(card) {
+    let el = card.querySelector('.sparkline');
+    if (el) return el;
+
+    el = document.createElement('div');
+    el.className = 'sparkline';
+    el.setAttribute('aria-hidden', 'true');
+    const status = card.querySelector('.price-status');
+    const anchor = card.querySelector('[data-field="price"]');
+    if (status) status.insertAdjacentElement('beforebegin', el);
+    else if (anchor) anchor.insertAdjacentElement('afterend', el);
+    else card.appendChild(el);
+    return el;
+}
+
+function renderSparkline(card, entry) {
+    const points = entry?.points;
+    if (!card || !Array.isArray(points) || points.length < 2) return;
+
+    const prices = points.map(p => p[1]);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const range = max - min || 1;
+    const pad = 2;
+    const coords = prices.map((price, i) => {
+        const x = (i / (prices.length - 1)) * SPARKLINE_WIDTH;
+        const y = pad + (1 - (price - min) / range) * (SPARKLINE_HEIGHT - pad * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    // Richtung gegenüber Vortagesschluss (Krypto: Kurs vor 24h), sonst gegenüber dem ersten Punkt
+    const baseline = Number.isFinite(entry.previousClose) ? entry.previousClose : prices[0];
+    const isPositive = prices[prices.length - 1] >= baseline;
+
+    const el = ensureSparklineElement(card);
+    el.className = `sparkline ${isPositive ? 'positive' : 'negative'}`;
+    el.innerHTML = `<svg viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" preserveAspectRatio="none">`
+        + `<polyline points="${coords.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5" `
+        + 'stroke-linejoin="round" stroke-linecap="round" vector-effect="non-scaling-stroke"/></svg>';
+}
+
+function storeSparkline(key, points, previousClose, fetchedAtMs, currency) {
+    const entry = {
+        points: points.map(([tsMs, price]) => [tsMs, Number(price.toPrecision(6))]),
+        previousClose: Number.isFinite(previousClose) ? previousClose : undefined,
+        fetchedAtMs,
+        currency
+    };
+    setCacheEntry(`${SPARKLINE_CACHE_PREFIX}${key}`, entry);
+    return entry;
+}
+
+// items: [{ symbol, key, card, quote }] aus einem Refresh-Lauf
+async function refreshSparklines(source, items) {
+    const nowMs = Date.now();
+    const quoteTimeMs = quote => (Number.isFinite(quote.marketTimeSec) ? quote.marketTimeSec * 1000 : nowMs);
+    // Krypto-Serien nach einem Währungswechsel nicht mit Kursen in der neuen Währung mischen
+    const isUsable = (cached, item) => Boolean(cached?.points)
+        && (cached.currency || DEFAULT_CURRENCY) === (item.quote.currency || DEFAULT_CURRENCY);
+
+    const applySeries = (item, series, fetchedAtMs) => {
+        const sampled = downsampleSeries(series.points, SPARKLINE_MAX_POINTS);
+        const points = appendSparklinePoint(sampled, quoteTimeMs(item.quote), item.quote.price);
+        const entry = storeSparkline(item.key, points, series.previousClose, fetchedAtMs, item.quote.currency);
+        renderSparkline(item.card, entry);
+    };
+
+    const toFetch = [];
+    for (const item of items) {
+        const cached = getCacheEntry(`${SPARKLINE_CACHE_PREFIX}${item.key}`);
+        if (item.quote.series?.points.length) {
+            // Kam über den Chart-Endpoint -> Serie ist schon da
+            applySeries(item, item.quote.series, nowMs);
+        } else if (isUsable(cached, item) && nowMs - Number(cached.fetchedAtMs) < SPARKLINE_REFETCH_MS) {
+            applySeries(item, cached, cached.fetchedAtMs);
+        } else {
+            toFetch.push({ item, cached });
+        }
+    }
+    if (toFetch.length === 0) return;
+
+    let seriesBySymbol = {};
+    try {
+        seriesBySymbol = await fetchSeries(source, toFetch.map(({ item }) => item.symbol));
+    } catch (error) {
+        console.warn('⚠️ Sparklines konnten nicht geladen werden:', error?.message || error);
+    }
+
+    for (const { item, cached } of toFetch) {
+        const series = seriesBySymbol[item.symbol];
+        if (series?.points?.length) applySeries(item, series, nowMs);
+        else if (isUsable(cached, item)) applySeries(item, cached, cached.fetchedAtMs);
+    }
+}
+
+// Sofort beim Seitenaufruf: zuletzt gespeicherte Sparklines zeichnen.
+function applyCachedSparklines() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(card => {
+        const info = getCardMarketSymbol(card);
+        if (!info) return;
+        const key = info.source === 'crypto' ? `cg:${info.symbol}` : `yahoo:${info.symbol}`;
+        renderSparkline(card, getCacheEntry(`${SPARKLINE_CACHE_PREFIX}${key}`));
+    });
+}
+
+// ==================== AKTIEN DATEN (Yahoo Finance mit CORS Proxy) ====================
+async function updateStockData(tickers = STOCK_SYMBOLS) {
+    console.log('Lade Aktien-Daten...');
+
+    let updatedCount = 0;
+    const sparkItems = [];
+
+    try {
+        const symbols = selectSymbolsToRefresh('stocks', tickers);
+        if (symbols.length === 0) {
+            console.log('⏸️ Alle Märkte geschlossen, Refresh pausiert');
+            return null;
+        }
+
+        await fetchQuotes('stocks', symbols, {
+            onQuote(ticker, quote) {
+                // Finde die entsprechende Card via data-symbol
+                const card = document.querySelector(`.futures-card[data-symbol="${ticker}"]`);
+                if (!card) return;
+                const currency = getQuoteCurrency(quote, ticker);
+
+                renderCardFields(card, quote, currency, 'live');
+                setYahooCardStatus(card, '[data-field="price"]', quote, ticker, 'stocks');
+                setCacheEntry(`yahoo:${ticker}`, toCacheQuote(quote, currency));
+                updateSinceLastVisit(card, `yahoo:${ticker}`, Number(quote.price), currency);
+                sparkItems.push({ symbol: ticker, key: `yahoo:${ticker}`, card, quote });
+
+                liveLoadedSymbols.add(ticker);
+                updatedCount++;
+            }
+        });
+
+        await refreshSparklines('stocks', sparkItems);
+        if (updatedCount > 0) dispatchLiveDataEvent(QUOTES_UPDATED_EVENT, { source: 'stocks' });
+
         console.log('✅ Aktien-Daten aktualisiert');
     } catch (error) {
         console.error('❌ Fehler beim Laden der Aktien-Daten:', error);
@@ -732,96 +2294,123 @@ async function updateStockData() {
     return updatedCount;
 }
 
+// ==================== FUNDAMENTALDATEN ====================
+// Aktien-Cards haben einen aufklappbaren Bereich [data-fundamentals] mit EPS, Dividendenrendite,
+// Beta, 52W-Spanne und Sektor (dazu Marktkapitalisierung und KGV oben in der Card) sowie die
+// nächsten Termine (Quartalszahlen, Ex-Dividende, Zahltag; auch für stock-calendar.js).
+// Die Werte ändern sich höchstens täglich: eigener Cache-Key pro Symbol, neu geholt einmal am Tag.
+const FUNDAMENTALS_SELECTOR = '[data-fundamentals]';
+const FUNDAMENTALS_TTL_MS = 1000 * 60 * 60 * 24;
+const FUNDAMENTALS_REFRESH_INTERVAL_MS = 1000 * 60 * 30;
+const FUNDAMENTALS_EVENT_FIELDS = ['earningsDateSec', 'exDividendDateSec', 'dividendDateSec'];
+const FUNDAMENTALS_FIELDS = ['marketCap', 'pe', 'eps', 'dividendYield', 'beta', 'fiftyTwoWeekLow', 'fiftyTwoWeekHigh', 'sector', 'industry', 'currency', ...FUNDAMENTALS_EVENT_FIELDS];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function getFundamentalsCacheKey(symbol) {
+    return `fundamentals:${symbol}`;
+}
+
+function getFundamentalsCards() {
+    return [...document.querySelectorAll('.futures-card[data-symbol]')].filter(card => card.querySelector(FUNDAMENTALS_SELECTOR));
+}
+
+function setFundamentalsStatus(card, text) {
+    const status = card.querySelector('.fundamentals-status');
+    if (status) status.textContent = text;
+}
+
+// Vergangene Termine (vor dem heutigen UTC-Tag) fallen weg; die Card zeigt dann "—"
+function withoutPastEvents(entry, nowMs = Date.now()) {
+    const todaySec = Math.floor(nowMs / DAY_MS) * DAY_MS / 1000;
+    const upcoming = { ...entry };
+    for (const field of FUNDAMENTALS_EVENT_FIELDS) {
+        if (!(Number(upcoming[field]) >= todaySec)) delete upcoming[field];
+    }
+    return upcoming;
+}
+
+// Auf die ganze Card, damit auch Marktkapitalisierung, KGV und 52W-Hoch oben gefüllt werden,
+// wenn der Kurs-Endpoint sie nicht liefert
+function renderFundamentals(card, entry) {
+    renderCardFields(card, withoutPastEvents(entry), getQuoteCurrency(entry, card.dataset.symbol), 'cache');
+    setFundamentalsStatus(card, formatStandTime(Number(entry.tsMs)));
+}
+
+function applyCachedFundamentals() {
+    getFundamentalsCards().forEach(card => {
+        const entry = getCacheEntry(getFundamentalsCacheKey(card.dataset.symbol));
+        if (entry) renderFundamentals(card, entry);
+        else setFundamentalsStatus(card, t('common.loading'));
+    });
+}
+
+async function updateFundamentals() {
+    const cards = getFundamentalsCards();
+    const nowMs = Date.now();
+    const due = [...new Set(cards.map(card => card.dataset.symbol))].filter(symbol => {
+        const cached = getCacheEntry(getFundamentalsCacheKey(symbol));
+        return !cached || !(nowMs - Number(cached.tsMs) < FUNDAMENTALS_TTL_MS);
+    });
+    if (due.length === 0) return null;
+
+    try {
+        const fundamentalsBySymbol = await fetchFundamentals('stocks', due);
+        let updatedCount = 0;
+        for (const [symbol, fundamentals] of Object.entries(fundamentalsBySymbol)) {
+            if (!fundamentals) continue;
+            const key = getFundamentalsCacheKey(symbol);
+            const entry = {};
+            for (const field of FUNDAMENTALS_FIELDS) {
+                if (fundamentals[field] !== undefined && fundamentals[field] !== null) entry[field] = fundamentals[field];
+            }
+            setCacheEntry(key, entry);
+            cards.filter(card => card.dataset.symbol === symbol).forEach(card => renderFundamentals(card, getCacheEntry(key)));
+            updatedCount++;
+        }
+        console.log(`✅ Fundamentaldaten aktualisiert: ${updatedCount}/${due.length}`);
+        dispatchLiveDataEvent(FUNDAMENTALS_UPDATED_EVENT);
+        return updatedCount;
+    } catch (error) {
+        console.error('❌ Fehler beim Laden der Fundamentaldaten:', error);
+        dispatchLiveDataEvent(FUNDAMENTALS_UPDATED_EVENT);
+        return 0;
+    }
+}
+
 // ==================== INDICES DATEN ====================
-async function updateIndicesData() {
-    const indices = {
-        '^GSPC': 'S&P 500',
-        '^IXIC': 'US 100 (Nasdaq)',
-        '^DJI': 'Dow Jones',
-        '^GDAXI': 'DAX',
-        '^FTSE': 'FTSE 100',
-        '^N225': 'Nikkei 225',
-        '^STOXX50E': 'Euro Stoxx 50',
-        '^SSMI': 'SMI',
-        '^HSI': 'Hang Seng'
-    };
-    
+async function updateIndicesData(indexSymbols = Object.keys(INDEX_SYMBOLS)) {
     console.log('Lade Indices-Daten...');
-    
+
     let updatedCount = 0;
+    const sparkItems = [];
 
     try {
-        const entries = Object.entries(indices);
-        const results = await mapWithConcurrency(entries, SYMBOL_FETCH_CONCURRENCY, async ([symbol, name]) => {
-            try {
-                const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
-                const data = await fetchJsonWithCorsFallback(yahooUrl);
-                const result = data?.chart?.result?.[0];
-                if (!result?.meta) return 0;
-
-                const quote = result.indicators?.quote?.[0];
-                const seriesClose = lastFinite(quote?.close);
-                const seriesHigh = lastFinite(quote?.high);
-                const seriesLow = lastFinite(quote?.low);
-
-                const currentPrice = result.meta.regularMarketPrice ?? seriesClose;
-                if (!(typeof currentPrice === 'number' && Number.isFinite(currentPrice) && currentPrice > 0)) return 0;
-
-                const previousClose = result.meta.chartPreviousClose || result.meta.previousClose;
-                const change = previousClose ? ((currentPrice - previousClose) / previousClose) * 100 : 0;
-                const high = result.meta.regularMarketDayHigh ?? seriesHigh;
-                const low = result.meta.regularMarketDayLow ?? seriesLow;
-                const marketTimeSec = result.meta.regularMarketTime;
-                const marketState = result.meta.regularMarketState;
+        const symbols = selectSymbolsToRefresh('indices', indexSymbols);
+        if (symbols.length === 0) {
+            console.log('⏸️ Alle Märkte geschlossen, Refresh pausiert');
+            return null;
+        }
 
+        await fetchQuotes('indices', symbols, {
+            onQuote(symbol, quote) {
                 const card = document.querySelector(`.index-card[data-symbol="${symbol}"]`);
-                if (!card) return 0;
+                if (!card) return;
+                const currency = getQuoteCurrency(quote, symbol);
 
-                const valueElement = card.querySelector('.index-value');
-                if (valueElement && typeof currentPrice === 'number' && Number.isFinite(currentPrice)) {
-                    valueElement.textContent = formatPrice(currentPrice, 2);
-                    markLiveUpdated(valueElement, 'live');
-                }
-
-                const badge = card.querySelector('.badge');
-                if (badge && previousClose) {
-                    updateBadge(badge, change);
-                    markLiveUpdated(badge, 'live');
-                }
+                renderCardFields(card, quote, currency, 'live');
+                setYahooCardStatus(card, '[data-field="price"]', quote, symbol, 'indices');
+                setCacheEntry(`yahoo:${symbol}`, toCacheQuote(quote, currency));
+                updateSinceLastVisit(card, `yahoo:${symbol}`, Number(quote.price), currency);
+                sparkItems.push({ symbol, key: `yahoo:${symbol}`, card, quote });
 
-                const detailValues = card.querySelectorAll('.detail-value');
-                if (detailValues.length >= 2) {
-                    if (typeof high === 'number' && Number.isFinite(high) && high > 0) {
-                        detailValues[0].textContent = formatPrice(high, 2);
-                        markLiveUpdated(detailValues[0], 'live');
-                    }
-                    if (typeof low === 'number' && Number.isFinite(low) && low > 0) {
-                        detailValues[1].textContent = formatPrice(low, 2);
-                        markLiveUpdated(detailValues[1], 'live');
-                    }
-                }
-
-                ensureStatusElement(card, '.index-value');
-                const tsMs = Number.isFinite(marketTimeSec) ? marketTimeSec * 1000 : Date.now();
-                const isLive = marketState === 'REGULAR' || (Date.now() - tsMs) < 1000 * 60 * 3;
-                setStatus(card, isLive ? 'Live' : formatStandTime(tsMs), isLive);
-                setCacheEntry(`yahoo:${symbol}`, {
-                    price: Number(currentPrice),
-                    change: Number(change),
-                    high: Number(high),
-                    low: Number(low),
-                    marketTimeSec: Number(marketTimeSec),
-                    marketState: String(marketState || '')
-                });
-
-                return 1;
-            } catch (error) {
-                console.warn(`Fehler bei ${name}:`, error?.message || error);
-                return 0;
+                liveLoadedSymbols.add(symbol);
+                updatedCount++;
             }
         });
 
-        updatedCount = results.reduce((sum, v) => sum + (v || 0), 0);
+        await refreshSparklines('indices', sparkItems);
+        if (updatedCount > 0) dispatchLiveDataEvent(QUOTES_UPDATED_EVENT, { source: 'indices' });
+
         console.log('✅ Indices-Daten aktualisiert');
     } catch (error) {
         console.error('❌ Fehler beim Laden der Indices-Daten:', error);
@@ -831,100 +2420,54 @@ async function updateIndicesData() {
 }
 
 // ==================== ROHSTOFFE/FUTURES DATEN ====================
-async function updateCommoditiesData() {
-    const commodities = {
-        'GC=F': 'Gold',
-        'SI=F': 'Silber',
-        'PL=F': 'Platin',
-        'PA=F': 'Palladium',
-        'CL=F': 'WTI Crude Oil',
-        'BZ=F': 'Brent Crude Oil',
-        'NG=F': 'Natural Gas',
-        'RB=F': 'Gasoline',
-        'ZW=F': 'Weizen',
-        'ZS=F': 'Sojabohnen',
-        'KC=F': 'Kaffee',
-        'SB=F': 'Zucker',
-        'LE=F': 'Lebendvieh',
-        'HG=F': 'Kupfer'
+// Kontraktwert (Kurs × Kontraktgrösse) und Wert eines Ticks aus den Kontraktdaten im Katalog
+// (instrument.contract). Beide in der Währung der Quote, damit renderCardFields sie wie den
+// Kurs umrechnet; bei US-Cent-Quotes (USX) ebenfalls in Cent.
+function withContractValues(symbol, quote, currency) {
+    const contract = findInstrument(symbol)?.contract;
+    if (!contract || !quote) return quote;
+    const unit = resolveCurrencyUnit(currency);
+    const tickValue = convertAmount(contract.tick * contract.size, contract.quote, unit.code);
+    return {
+        ...quote,
+        contractValue: Number.isFinite(quote.price) ? quote.price * contract.size : undefined,
+        tickValue: tickValue !== null ? tickValue * unit.factor : undefined
     };
+}
 
+async function updateCommoditiesData(commoditySymbols = Object.keys(COMMODITY_SYMBOLS)) {
     console.log('Lade Rohstoff-Daten...');
 
     let updatedCount = 0;
+    const sparkItems = [];
 
     try {
-        const entries = Object.entries(commodities);
-        const results = await mapWithConcurrency(entries, SYMBOL_FETCH_CONCURRENCY, async ([symbol, name]) => {
-            try {
-                const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
-                const data = await fetchJsonWithCorsFallback(yahooUrl);
-                const result = data?.chart?.result?.[0];
-                if (!result?.meta) return 0;
-
-                const quote = result.indicators?.quote?.[0];
-                const seriesClose = lastFinite(quote?.close);
-                const seriesHigh = lastFinite(quote?.high);
-                const seriesLow = lastFinite(quote?.low);
-
-                const currentPrice = result.meta.regularMarketPrice ?? seriesClose;
-                if (!(typeof currentPrice === 'number' && Number.isFinite(currentPrice) && currentPrice > 0)) return 0;
-
-                const previousClose = result.meta.chartPreviousClose || result.meta.previousClose;
-                const change = previousClose ? ((currentPrice - previousClose) / previousClose) * 100 : 0;
-                const high = result.meta.regularMarketDayHigh ?? seriesHigh;
-                const low = result.meta.regularMarketDayLow ?? seriesLow;
-                const marketTimeSec = result.meta.regularMarketTime;
-                const marketState = result.meta.regularMarketState;
+        const symbols = selectSymbolsToRefresh('commodities', commoditySymbols);
+        if (symbols.length === 0) {
+            console.log('⏸️ Alle Märkte geschlossen, Refresh pausiert');
+            return null;
+        }
 
+        await fetchQuotes('commodities', symbols, {
+            onQuote(symbol, quote) {
                 const card = document.querySelector(`.futures-card[data-symbol="${symbol}"]`);
-                if (!card) return 0;
+                if (!card) return;
+                const currency = getQuoteCurrency(quote, symbol);
 
-                const priceElement = card.querySelector('.futures-price');
-                if (priceElement && typeof currentPrice === 'number' && Number.isFinite(currentPrice)) {
-                    priceElement.textContent = `$${formatPrice(currentPrice)}`;
-                    markLiveUpdated(priceElement, 'live');
-                }
-
-                const badge = card.querySelector('.badge');
-                if (badge && previousClose) {
-                    updateBadge(badge, change);
-                    markLiveUpdated(badge, 'live');
-                }
-
-                const statValues = card.querySelectorAll('.stat-value');
-                if (statValues.length >= 2) {
-                    if (typeof high === 'number' && Number.isFinite(high)) {
-                        statValues[0].textContent = `$${formatPrice(high)}`;
-                        markLiveUpdated(statValues[0], 'live');
-                    }
-                    if (typeof low === 'number' && Number.isFinite(low)) {
-                        statValues[1].textContent = `$${formatPrice(low)}`;
-                        markLiveUpdated(statValues[1], 'live');
-                    }
-                }
-
-                ensureStatusElement(card, '.futures-price');
-                const tsMs = Number.isFinite(marketTimeSec) ? marketTimeSec * 1000 : Date.now();
-                const isLive = marketState === 'REGULAR' || (Date.now() - tsMs) < 1000 * 60 * 3;
-                setStatus(card, isLive ? 'Live' : formatStandTime(tsMs), isLive);
-                setCacheEntry(`yahoo:${symbol}`, {
-                    price: Number(currentPrice),
-                    change: Number(change),
-                    high: Number(high),
-                    low: Number(low),
-                    marketTimeSec: Number(marketTimeSec),
-                    marketState: String(marketState || '')
-                });
+                renderCardFields(card, withContractValues(symbol, quote, currency), currency, 'live');
+                setYahooCardStatus(card, '[data-field="price"]', quote, symbol, 'commodities');
+                setCacheEntry(`yahoo:${symbol}`, toCacheQuote(quote, currency));
+                updateSinceLastVisit(card, `yahoo:${symbol}`, Number(quote.price), currency);
+                sparkItems.push({ symbol, key: `yahoo:${symbol}`, card, quote });
 
-                return 1;
-            } catch (error) {
-                console.warn(`Fehler bei ${name}:`, error?.message || error);
-                return 0;
+                liveLoadedSymbols.add(symbol);
+                updatedCount++;
             }
         });
 
-        updatedCount = results.reduce((sum, v) => sum + (v || 0), 0);
+        await refreshSparklines('commodities', sparkItems);
+        if (updatedCount > 0) dispatchLiveDataEvent(QUOTES_UPDATED_EVENT, { source: 'commodities' });
+
         console.log('✅ Rohstoff-Daten aktualisiert');
     } catch (error) {
         console.error('❌ Fehler beim Laden der Rohstoff-Daten:', error);
@@ -933,6 +2476,198 @@ async function updateCommoditiesData() {
     return updatedCount;
 }
 
+// ==================== KURSE OHNE CARDS ====================
+// Für Seiten ohne Kurs-Cards (Kursalarme, Portfolio): Kurse holen und nur in den Cache
+// schreiben. tickers wie in den Cache-Keys (Krypto: 'BTC'); geschlossene Märkte werden wie
+// bei den Cards nach dem ersten Laden nicht mehr abgefragt. null = nichts zu tun.
+async function refreshCachedQuotes(source, tickers) {
+    const due = source === 'crypto' ? tickers : selectSymbolsToRefresh(source, tickers);
+    if (due.length === 0) return null;
+
+    const toSymbol = ticker => (source === 'crypto' ? parseQuoteKey(`cg:${ticker}`)?.symbol : ticker);
+    const quotes = await fetchQuotes(source, due.map(toSymbol).filter(Boolean));
+    let updated = 0;
+    for (const ticker of due) {
+        const quote = quotes[toSymbol(ticker)];
+        if (!isValidQuote(quote)) continue;
+        liveLoadedSymbols.add(ticker);
+        setCacheEntry(source === 'crypto' ? `cg:${ticker}` : `yahoo:${ticker}`, toCacheQuote(quote, getQuoteCurrency(quote, ticker)));
+        updated++;
+    }
+    return updated;
+}
+
+// Letzter Kurs aus dem Cache in der Anzeigewährung (für Rechner, die einen Einstieg vorschlagen).
+// null ohne Kurs oder solange der Devisenkurs fehlt.
+function getCachedDisplayPrice(key) {
+    const cached = getCacheEntry(key);
+    if (!cached) return null;
+    const price = convertAmount(cached.price, getQuoteCurrency(cached, parseQuoteKey(key)?.ticker));
+    return price !== null && price > 0 ? { price, tsMs: cached.tsMs } : null;
+}
+
+// ==================== RECHNER-FORMULARE ====================
+// Gemeinsam für Positionsrechner, Hebelrechner und DCA-Backtest.
+
+// Zahlenfeld lesen; Komma als Dezimaltrenner erlaubt, leer = NaN
+function readFormNumber(form, name) {
+    const raw = String(form.querySelector(`[name="${name}"]`).value).trim();
+    return raw === '' ? NaN : Number(raw.replace(',', '.'));
+}
+
+// Beträge werden in der Anzeigewährung beim Speichern abgelegt (`currency` daneben); nach
+// einem Währungswechsel auf die neue umrechnen. null ohne gültigen Wert, gespeicherte
+// Währung oder Devisenkurs (dann gilt der Default des Formulars).
+function convertStoredAmount(value, currency, { allowZero = false } = {}) {
+    const valid = Number.isFinite(value) && (allowZero ? value >= 0 : value > 0);
+    return valid && currency ? convertAmount(value, currency) : null;
+}
+
+// Solange der erste Live-Kurs für den Einstieg noch lädt, steht das in der Statuszeile
+// statt als Fehler
+function isWaitingForLivePrice(followsLivePrice, entry) {
+    return followsLivePrice && !Number.isFinite(entry);
+}
+
+// ==================== TABELLEN ====================
+// Bausteine der Markttabellen (Kryptomarkt, Indikator-Scanner, Kontraktspezifikationen).
+
+function createTableCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+}
+
+// Name und Symbol als Link (.market-coin), optional mit Logo
+function createTableNameCell({ href, name, symbol, image }) {
+    const cell = document.createElement('td');
+    const link = document.createElement('a');
+    link.className = 'market-coin';
+    link.href = href;
+    if (image) {
+        const img = document.createElement('img');
+        img.src = image;
+        img.alt = '';
+        img.width = 20;
+        img.height = 20;
+        img.loading = 'lazy';
+        link.appendChild(img);
+    }
+    const nameElement = document.createElement('span');
+    nameElement.className = 'market-coin-name';
+    nameElement.textContent = name;
+    const symbolElement = document.createElement('span');
+    symbolElement.className = 'market-coin-symbol';
+    symbolElement.textContent = symbol;
+    link.append(nameElement, symbolElement);
+    cell.appendChild(link);
+    return cell;
+}
+
+// Sortierung nach row[sort]: Texte nach Sprache, Zahlen numerisch, oder eigenes compare
+// (aufsteigend). Fehlende Werte (z.B. kein 7d-Wert, noch kein SMA 50) stehen in beiden
+// Richtungen unten.
+function compareTableRows(a, b, sort, direction, compare) {
+    const av = a[sort];
+    const bv = b[sort];
+    const aMissing = av === undefined || av === null;
+    const bMissing = bv === undefined || bv === null;
+    if (aMissing || bMissing) return Number(aMissing) - Number(bMissing);
+
+    let result = av - bv;
+    if (compare) result = compare(av, bv);
+    else if (typeof av === 'string') result = av.localeCompare(String(bv), getLocale());
+    return direction === 'asc' ? result : -result;
+}
+
+// ==================== REFRESH SCHEDULER ====================
+// Ein zentraler Scheduler statt setInterval pro Seite:
+// - pausiert, solange der Tab im Hintergrund ist (document.hidden), und lädt sofort
+//   neu, wenn er wieder sichtbar wird
+// - startet einen Lauf nie, solange der vorherige noch läuft
+// - Backoff bei Fehlschlägen (kein einziges Update): Intervall * 2^Fehler, gedeckelt
+// - ein Task kann null liefern ("nichts zu tun", z.B. Markt geschlossen): dann bleibt
+//   es beim normalen Intervall
+// Intervalle pro Quelle: Krypto handelt 24/7 und bewegt sich schneller als Rohstoffe.
+const REFRESH_INTERVALS_MS = {
+    crypto: 30000,
+    stocks: 60000,
+    indices: 60000,
+    commodities: 120000
+};
+const REFRESH_MAX_BACKOFF_MS = 1000 * 60 * 10;
+// Wird der Tab schnell hin- und hergeschaltet, nicht bei jedem Wechsel neu laden.
+const REFRESH_MIN_GAP_MS = 5000;
+
+const refreshJobs = [];
+
+function getRefreshDelayMs(job) {
+    if (job.failures === 0) return job.intervalMs;
+    return Math.min(job.intervalMs * (2 ** job.failures), REFRESH_MAX_BACKOFF_MS);
+}
+
+function scheduleNextRefresh(job, delayMs = getRefreshDelayMs(job)) {
+    clearTimeout(job.timerId);
+    job.timerId = null;
+    if (document.hidden) return; // visibilitychange plant neu
+    job.timerId = setTimeout(() => runRefreshJob(job), delayMs);
+}
+
+async function runRefreshJob(job) {
+    if (job.running) return undefined;
+
+    clearTimeout(job.timerId);
+    job.timerId = null;
+    job.running = true;
+    let result;
+    try {
+        result = await job.task();
+    } catch (error) {
+        console.error(`❌ Refresh "${job.name}" fehlgeschlagen:`, error);
+    }
+    job.running = false;
+    job.lastRunMs = Date.now();
+
+    if (result === null) {
+        // Bewusst nichts geladen (z.B. alle Märkte geschlossen): kein Fehler, kein Backoff.
+    } else if (Number(result) > 0) {
+        job.failures = 0;
+    } else {
+        job.failures += 1;
+        console.warn(`⏳ Refresh "${job.name}" ohne Daten, nächster Versuch in ${Math.round(getRefreshDelayMs(job) / 1000)}s`);
+    }
+
+    scheduleNextRefresh(job);
+    return result;
+}
+
+// Registriert eine Quelle und startet den ersten Lauf sofort.
+// Liefert das Resultat des ersten Laufs (Anzahl aktualisierter Werte).
+function scheduleRefresh(name, task, intervalMs = REFRESH_INTERVALS_MS[name] || 60000) {
+    const job = { name, task, intervalMs, failures: 0, running: false, lastRunMs: 0, timerId: null };
+    refreshJobs.push(job);
+    return runRefreshJob(job);
+}
+
+document.addEventListener('visibilitychange', () => {
+    for (const job of refreshJobs) {
+        if (document.hidden) {
+            clearTimeout(job.timerId);
+            job.timerId = null;
+            continue;
+        }
+        if (job.running) continue;
+
+        const sinceLastRun = Date.now() - job.lastRunMs;
+        if (sinceLastRun >= REFRESH_MIN_GAP_MS) {
+            runRefreshJob(job);
+        } else {
+            scheduleNextRefresh(job, getRefreshDelayMs(job) - sinceLastRun);
+        }
+    }
+});
+
 // ==================== INITIALISIERUNG ====================
 async function initLiveData() {
     const pathname = window.location.pathname;
@@ -951,18 +2686,8 @@ async function initLiveData() {
 
     // Pro-Element Platzhalter setzen (damit NICHTS Hardcoded sichtbar ist, selbst wenn nur
     // ein Teil der Requests erfolgreich ist).
-    if (currentPage.startsWith('krypto')) {
-        preparePricePlaceholders('.crypto-card .crypto-price');
-        prepareBadgePlaceholders('.crypto-card .badge');
-        prepareTextPlaceholders('.crypto-card .stat-value');
-    } else if (currentPage.startsWith('indices')) {
-        preparePricePlaceholders('.index-card[data-symbol] .index-value');
-        prepareBadgePlaceholders('.index-card[data-symbol] .badge');
-        prepareTextPlaceholders('.index-card[data-symbol] .detail-value');
-    } else if (currentPage.startsWith('assets') || currentPage.startsWith('futures')) {
-        preparePricePlaceholders('.futures-card[data-symbol] .futures-price');
-        prepareBadgePlaceholders('.futures-card[data-symbol] .badge');
-        prepareTextPlaceholders('.futures-card[data-symbol] .stat-value');
+    if (['krypto', 'indices', 'assets', 'futures', 'watchlist'].some(page => currentPage.startsWith(page))) {
+        prepareCardFieldPlaceholders();
     }
 
     // Jetzt kann die Seiten-Loading-Klasse weg – die Preise sind bereits neutralisiert.
@@ -970,34 +2695,72 @@ async function initLiveData() {
         document.body.classList.remove('live-loading');
     }
 
+    mountCurrencySelector();
+
     // Sofort: zuletzt bekannte Werte (Cache) anzeigen + Stand/Lädt pro Box.
-    applyCachedDataForPage(currentPage);
+    applyCachedDataForPage();
+    applyCachedFundamentals();
+    applyCachedMarketOverview();
+    applyCachedSparklines();
+    linkCardsToDetail();
+
+    // Marktstatus-Chips sofort setzen; der Countdown läuft über den Scheduler mit.
+    if (typeof getMarketSessionForSymbol === 'function' && document.querySelector(QUOTE_CARD_SELECTOR)) {
+        scheduleRefresh('market-state', updateMarketStates, MARKET_STATE_TICK_MS);
+    }
+
+    // Devisenkurse für die Umrechnung. Ohne gespeicherte Kurse (erster Aufruf) nur dann
+    // darauf warten, wenn Cards sonst zuerst in der Originalwährung erscheinen würden;
+    // alles andere rechnet updateFxRates nach, sobald die Kurse da sind.
+    const fxReady = scheduleRefresh('fx', updateFxRates, FX_REFRESH_INTERVAL_MS);
+    if (!hasFxRates() && cardsNeedFxRates()) await fxReady;
+
+    // Krypto-Marktübersicht, unabhängig von der Seite (nicht awaited: eigener Takt)
+    if (document.querySelector(MARKET_GLOBAL_SELECTOR)) {
+        scheduleRefresh('crypto-global', updateCryptoGlobalData, MARKET_GLOBAL_REFRESH_INTERVAL_MS);
+    }
+    if (document.querySelector(MARKET_SENTIMENT_SELECTOR)) {
+        scheduleRefresh('sentiment', updateMarketSentiment, MARKET_SENTIMENT_REFRESH_INTERVAL_MS);
+    }
 
     // Lade Daten basierend auf der aktuellen Seite
     if (currentPage.startsWith('krypto')) {
-        const updated = await updateCryptoData();
-        setInterval(updateCryptoData, 60000);
+        const updated = await scheduleRefresh('crypto', updateCryptoData);
         document.body.classList.toggle('live-ready', updated > 0);
         document.body.classList.toggle('live-failed', updated === 0);
     } 
     else if (currentPage.startsWith('assets')) {
-        const updated = await updateStockData();
-        setInterval(updateStockData, 60000);
+        const updated = await scheduleRefresh('stocks', updateStockData);
         document.body.classList.toggle('live-ready', updated > 0);
         document.body.classList.toggle('live-failed', updated === 0);
     } 
     else if (currentPage.startsWith('indices')) {
-        const updated = await updateIndicesData();
-        setInterval(updateIndicesData, 60000);
+        const updated = await scheduleRefresh('indices', updateIndicesData);
         document.body.classList.toggle('live-ready', updated > 0);
         document.body.classList.toggle('live-failed', updated === 0);
     } 
     else if (currentPage.startsWith('futures')) {
-        const updated = await updateCommoditiesData();
-        setInterval(updateCommoditiesData, 60000);
+        const updated = await scheduleRefresh('commodities', updateCommoditiesData);
         document.body.classList.toggle('live-ready', updated > 0);
         document.body.classList.toggle('live-failed', updated === 0);
     }
+    else if (currentPage.startsWith('watchlist') && typeof getWatchlistGroups === 'function') {
+        // Gleiche Updater wie auf den Einzelseiten, nur mit den Symbolen der Watchlist
+        const updaters = {
+            crypto: updateCryptoData,
+            stocks: updateStockData,
+            indices: updateIndicesData,
+            commodities: updateCommoditiesData
+        };
+        const jobs = Object.entries(getWatchlistGroups())
+            .filter(([, symbols]) => symbols.length > 0)
+            .map(([source, symbols]) => scheduleRefresh(`watchlist-${source}`, () => updaters[source](symbols), REFRESH_INTERVALS_MS[source]));
+        if (jobs.length > 0) {
+            const updated = (await Promise.all(jobs)).reduce((sum, count) => sum + (Number(count) || 0), 0);
+            document.body.classList.toggle('live-ready', updated > 0);
+            document.body.classList.toggle('live-failed', updated === 0);
+        }
+    }
     else if (currentPage === 'index.html' || currentPage === '') {
         // Auf der Startseite alle Daten laden (wenn dort Previews sind)
         updateCryptoData();
@@ -1007,12 +2770,17 @@ async function initLiveData() {
         // Seiten ohne Live-Daten: nichts zu tun.
     }
 
+    // Fundamentaldaten erst nach den Kursen (eigener Takt, meist aus dem Cache)
+    if (document.querySelector(FUNDAMENTALS_SELECTOR)) {
+        scheduleRefresh('fundamentals', updateFundamentals, FUNDAMENTALS_REFRESH_INTERVAL_MS);
+    }
+
     // Hinweis: Wir stellen keine Hardcode-Fallbacks wieder her.
     // Wenn Live-Daten nicht verfügbar sind, bleiben Werte neutral als "—".
 
     // Zeige Hinweis wenn nicht über Server geladen
     if (window.location.protocol === 'file:') {
-        console.warn('⚠️ Seite wird von Datei geladen. Für beste Ergebnisse, starte den Server mit START_SERVER.bat');
+        console.warn('⚠️ Seite wird von Datei geladen. Für beste Ergebnisse, starte den Relay mit: node server/quote-relay.js');
     }
 }
 
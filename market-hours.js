@@ -0,0 +1,327 @@
+// Börsenzeiten & Handelskalender für RBC Excellence
+// Wird von live-data.js genutzt: Marktstatus pro Card (offen / Pre-Market / nachbörslich /
+// geschlossen inkl. Countdown) und Polling-Pause für geschlossene Märkte.
+// Die Börse pro Symbol steht im Instrument-Katalog (instruments.js, vorher laden).
+//
+// Zeiten sind Ortszeit der jeweiligen Börse (IANA-Zeitzone, Sommerzeit via Intl).
+// Sessions sind Minuten ab Mitternacht des Handelstags; negative Werte beginnen am
+// Vorabend (CME Globex: Handelstag Montag startet Sonntag 17:00 CT).
+//
+// Feiertage/verkürzte Tage: Quelle sind die offiziellen Börsenkalender. Die Listen
+// decken 2026 und 2027 ab und müssen jährlich ergänzt werden.
+
+const US_HOLIDAYS = [
+    '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+    '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+    '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+    '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+];
+
+const EXCHANGES = {
+    NYSE: {
+        name: 'NYSE / Nasdaq',
+        timeZone: 'America/New_York',
+        sessions: [[570, 960]],   // 09:30–16:00
+        pre: [240, 570],          // 04:00–09:30
+        post: [960, 1200],        // 16:00–20:00
+        holidays: US_HOLIDAYS,
+        earlyCloses: { '2026-11-27': 780, '2026-12-24': 780, '2027-11-26': 780 }
+    },
+    XETRA: {
+        name: 'Xetra',
+        timeZone: 'Europe/Berlin',
+        sessions: [[540, 1050]],  // 09:00–17:30
+        pre: [480, 540],          // Pre-Trading 08:00–09:00
+        holidays: [
+            '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-01', '2026-12-24', '2026-12-25', '2026-12-31',
+            '2027-01-01', '2027-03-26', '2027-03-29', '2027-12-24', '2027-12-31'
+        ]
+    },
+    LSE: {
+        name: 'London Stock Exchange',
+        timeZone: 'Europe/London',
+        sessions: [[480, 990]],   // 08:00–16:30
+        pre: [470, 480],          // Eröffnungsauktion 07:50–08:00
+        holidays: [
+            '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+            '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+        ],
+        earlyCloses: { '2026-12-24': 750, '2026-12-31': 750, '2027-12-24': 750, '2027-12-31': 750 }
+    },
+    SIX: {
+        name: 'SIX Swiss Exchange',
+        timeZone: 'Europe/Zurich',
+        sessions: [[540, 1050]],  // 09:00–17:30 (inkl. Schlussauktion)
+        pre: [360, 540],          // Pre-Opening 06:00–09:00
+        holidays: [
+            '2026-01-01', '2026-01-02', '2026-04-03', '2026-04-06', '2026-05-01', '2026-05-14', '2026-05-25',
+            '2026-12-24', '2026-12-25', '2026-12-31',
+            '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-06', '2027-05-17', '2027-12-24', '2027-12-31'
+        ]
+    },
+    TSE: {
+        name: 'Tokyo Stock Exchange',
+        timeZone: 'Asia/Tokyo',
+        sessions: [[540, 690], [750, 930]], // 09:00–11:30, 12:30–15:30
+        pre: [480, 540],                    // Pre-Opening 08:00–09:00
+        holidays: [
+            '2026-01-01', '2026-01-02', '2026-01-12', '2026-02-11', '2026-02-23', '2026-03-20', '2026-04-29',
+            '2026-05-04', '2026-05-05', '2026-05-06', '2026-07-20', '2026-08-11', '2026-09-21', '2026-09-22',
+            '2026-09-23', '2026-10-12', '2026-11-03', '2026-11-23', '2026-12-31',
+            '2027-01-01', '2027-01-11', '2027-02-11', '2027-02-23', '2027-03-22', '2027-04-29', '2027-05-03',
+            '2027-05-04', '2027-05-05', '2027-07-19', '2027-08-11', '2027-09-20', '2027-09-23', '2027-10-11',
+            '2027-11-03', '2027-11-23', '2027-12-31'
+        ]
+    },
+    HKEX: {
+        name: 'Hong Kong Exchanges',
+        timeZone: 'Asia/Hong_Kong',
+        sessions: [[570, 720], [780, 960]], // 09:30–12:00, 13:00–16:00
+        pre: [540, 570],                    // Pre-Opening 09:00–09:30
+        post: [960, 970],                   // Schlussauktion 16:00–16:10
+        holidays: [
+            '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-04-03', '2026-04-06', '2026-04-07',
+            '2026-05-01', '2026-05-25', '2026-06-19', '2026-07-01', '2026-10-01', '2026-10-19', '2026-12-25',
+            '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-03-29', '2027-04-05', '2027-05-13',
+            '2027-06-09', '2027-07-01', '2027-09-16', '2027-10-01', '2027-10-08', '2027-12-27'
+        ],
+        // Halbe Handelstage: nur Vormittagssession
+        earlyCloses: {
+            '2026-02-16': 720, '2026-12-24': 720, '2026-12-31': 720,
+            '2027-02-05': 720, '2027-12-24': 720, '2027-12-31': 720
+        }
+    },
+    // CME Globex (COMEX/NYMEX: Metalle, Energie). Sonntag 17:00 – Freitag 16:00 CT,
+    // tägliche Pause 16:00–17:00 CT. An US-Feiertagen meist verkürzt statt geschlossen.
+    CME_GLOBEX: {
+        name: 'CME Globex',
+        timeZone: 'America/Chicago',
+        sessions: [[-420, 960]],
+        holidays: ['2026-01-01', '2026-04-03', '2026-12-25', '2027-01-01', '2027-03-26', '2027-12-24'],
+        earlyCloses: {
+            '2026-01-19': 720, '2026-02-16': 720, '2026-05-25': 720, '2026-06-19': 720, '2026-07-03': 720,
+            '2026-09-07': 720, '2026-11-26': 720, '2026-11-27': 765, '2026-12-24': 765,
+            '2027-01-18': 720, '2027-02-15': 720, '2027-05-31': 720, '2027-06-18': 720, '2027-07-05': 720,
+            '2027-09-06': 720, '2027-11-25': 720, '2027-11-26': 765
+        }
+    },
+    // CBOT Getreide/Ölsaaten: Abendsession 19:00–07:45 CT + Tagsession 08:30–13:20 CT
+    CBOT_GRAINS: {
+        name: 'CBOT',
+        timeZone: 'America/Chicago',
+        sessions: [[-300, 465], [510, 800]],
+        holidays: US_HOLIDAYS
+    },
+    // CME Lebendvieh: 08:30–13:05 CT
+    CME_LIVESTOCK: {
+        name: 'CME',
+        timeZone: 'America/Chicago',
+        sessions: [[510, 785]],
+        holidays: US_HOLIDAYS
+    },
+    // ICE US Softs (Ortszeit New York)
+    ICE_COFFEE: {
+        name: 'ICE Futures US',
+        timeZone: 'America/New_York',
+        sessions: [[255, 810]],   // 04:15–13:30
+        holidays: US_HOLIDAYS
+    },
+    ICE_SUGAR: {
+        name: 'ICE Futures US',
+        timeZone: 'America/New_York',
+        sessions: [[210, 780]],   // 03:30–13:00
+        holidays: US_HOLIDAYS
+    },
+    CRYPTO: {
+        name: 'Krypto (24/7)',
+        alwaysOpen: true
+    }
+};
+
+// Symbol -> Börse, aus dem Katalog in instruments.js. US-Aktien ausserhalb des Katalogs
+// (NYSE und Nasdaq haben identische Zeiten) laufen über den Default in getExchangeIdForSymbol().
+const SYMBOL_EXCHANGES = Object.fromEntries(INSTRUMENTS
+    .filter(instrument => instrument.class !== 'crypto')
+    .map(instrument => [instrument.symbol, instrument.exchange]));
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+// So weit wird nach der nächsten Eröffnung gesucht (lange Feiertagsblöcke, Wochenende).
+const NEXT_OPEN_SEARCH_DAYS = 14;
+
+const zonedFormatters = {};
+
+function getZonedFormatter(timeZone) {
+    if (!zonedFormatters[timeZone]) {
+        zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return zonedFormatters[timeZone];
+}
+
+function getZonedParts(ms, timeZone) {
+    const parts = {};
+    for (const part of getZonedFormatter(timeZone).formatToParts(new Date(ms))) {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return parts;
+}
+
+function getTimeZoneOffsetMs(ms, timeZone) {
+    const p = getZonedParts(ms, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (ms - (ms % 1000));
+}
+
+// Lokale Börsenzeit (Datum + Minuten ab Mitternacht, auch negativ/>1440) -> UTC-Millisekunden
+function zonedTimeToUtcMs(dateKey, minutes, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = getTimeZoneOffsetMs(guess, timeZone);
+    const result = guess - offset;
+    // Bei DST-Wechsel zwischen Schätzung und Ergebnis nochmals korrigieren
+    const correctedOffset = getTimeZoneOffsetMs(result, timeZone);
+    return correctedOffset === offset ? result : guess - correctedOffset;
+}
+
+function toDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function addDaysToDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day) + days * MS_PER_DAY);
+    return toDateKey(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+function isTradingDay(exchange, dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    return !(exchange.holidays || []).includes(dateKey);
+}
+
+// Alle Zeitfenster eines Handelstags in UTC-Millisekunden.
+function getTradingDayWindows(exchange, dateKey) {
+    if (!isTradingDay(exchange, dateKey)) return null;
+
+    const earlyClose = exchange.earlyCloses?.[dateKey];
+    const toWindow = ([start, end]) => ({
+        start: zonedTimeToUtcMs(dateKey, start, exchange.timeZone),
+        end: zonedTimeToUtcMs(dateKey, end, exchange.timeZone)
+    });
+
+    let sessions = exchange.sessions.map(([start, end]) => [start, end]);
+    let post = exchange.post ? [...exchange.post] : null;
+    if (Number.isFinite(earlyClose)) {
+        sessions = sessions
+            .filter(([start]) => start < earlyClose)
+            .map(([start, end]) => [start, Math.min(end, earlyClose)]);
+        if (post) post = [earlyClose, earlyClose + (post[1] - post[0])];
+    }
+
+    return {
+        sessions: sessions.map(toWindow),
+        pre: exchange.pre ? toWindow(exchange.pre) : null,
+        post: post ? toWindow(post) : null
+    };
+}
+
+function getExchangeIdForSymbol(symbol, source) {
+    if (source === 'crypto') return 'CRYPTO';
+    if (SYMBOL_EXCHANGES[symbol]) return SYMBOL_EXCHANGES[symbol];
+    if (source === 'stocks') return 'NYSE';
+    return null;
+}
+
+// Marktstatus einer Börse zum Zeitpunkt nowMs:
+//   { state: 'open' | 'pre' | 'post' | 'break' | 'closed', exchange, closesAtMs, nextOpenMs }
+// 'break' = Pause zwischen zwei Sessions (Mittagspause TSE/HKEX, CBOT-Pause).
+function getMarketSession(exchangeId, nowMs = Date.now()) {
+    const exchange = EXCHANGES[exchangeId];
+    if (!exchange) return null;
+    if (exchange.alwaysOpen) {
+        return { state: 'open', exchange, alwaysOpen: true, closesAtMs: null, nextOpenMs: null };
+    }
+
+    const today = getZonedParts(nowMs, exchange.timeZone);
+    const todayKey = toDateKey(today.year, today.month, today.day);
+
+    // Gestern/heute/morgen prüfen: Sessions können am Vorabend beginnen oder über
+    // Mitternacht laufen.
+    let state = 'closed';
+    let closesAtMs = null;
+    for (const offset of [-1, 0, 1]) {
+        const windows = getTradingDayWindows(exchange, addDaysToDateKey(todayKey, offset));
+        if (!windows) continue;
+
+        const session = windows.sessions.find(w => nowMs >= w.start && nowMs < w.end);
+        if (session) {
+            state = 'open';
+            closesAtMs = session.end;
+            break;
+        }
+        if (windows.pre && nowMs >= windows.pre.start && nowMs < windows.pre.end) state = 'pre';
+        else if (windows.post && nowMs >= windows.post.start && nowMs < windows.post.end) state = 'post';
+        else if (state === 'closed' && windows.sessions.length > 1) {
+            const first = windows.sessions[0];
+            const last = windows.sessions[windows.sessions.length - 1];
+            if (nowMs >= first.end && nowMs < last.start) state = 'break';
+        }
+    }
+
+    let nextOpenMs = null;
+    if (state !== 'open') {
+        for (let offset = -1; offset <= NEXT_OPEN_SEARCH_DAYS && nextOpenMs === null; offset++) {
+            const windows = getTradingDayWindows(exchange, addDaysToDateKey(todayKey, offset));
+            const next = windows?.sessions.find(w => w.start > nowMs);
+            if (next) nextOpenMs = next.start;
+        }
+    }
+
+    return { state, exchange, alwaysOpen: false, closesAtMs, nextOpenMs };
+}
+
+function getMarketSessionForSymbol(symbol, source, nowMs = Date.now()) {
+    const exchangeId = getExchangeIdForSymbol(symbol, source);
+    return exchangeId ? getMarketSession(exchangeId, nowMs) : null;
+}
+
+// Aktiv = es kommen neue Kurse (regulär, Pre- oder Post-Market).
+function isMarketActive(session) {
+    return !session || session.state === 'open' || session.state === 'pre' || session.state === 'post';
+}
+
+function formatCountdown(ms) {
+    const totalMinutes = Math.max(0, Math.ceil(ms / MS_PER_MINUTE));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return t('market.countdownDays', { days, hours });
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m`;
+}
+
+const MARKET_STATES = ['open', 'pre', 'post', 'break', 'closed'];
+
+function describeMarketSession(session, nowMs = Date.now()) {
+    if (!session) return '';
+    if (session.alwaysOpen) return t('market.alwaysOpen');
+
+    const label = MARKET_STATES.includes(session.state) ? t(`market.${session.state}`) : session.state;
+    if (session.state === 'open' && session.closesAtMs) {
+        return t('market.closesIn', { state: label, countdown: formatCountdown(session.closesAtMs - nowMs) });
+    }
+    if (session.nextOpenMs) {
+        return t('market.opensIn', { state: label, countdown: formatCountdown(session.nextOpenMs - nowMs) });
+    }
+    return label;
+}
@@ -0,0 +1,426 @@
+// Portfolio für RBC Excellence (portfolio.html)
+// Positionen bleiben im Browser (localStorage) und werden mit denselben Kursen bewertet wie
+// die Cards: Cache-Keys 'cg:BTC', 'yahoo:NVDA', ... und refreshCachedQuotes aus live-data.js.
+// Muss nach live-data.js geladen werden.
+//
+// Position: { id, key, quantity, buyPrice, date: 'YYYY-MM-DD', fees, currency }
+// CSV: symbol,quantity,buy_price,date,fees,currency – der Import akzeptiert auch ';' als
+// Trennzeichen (Excel mit Schweizer/deutschen Einstellungen) und Dezimalkomma. Ohne
+// Währungsspalte gilt die Anzeigewährung.
+// Bewertet wird in der Anzeigewährung, Kaufkurse und Gebühren zum aktuellen Devisenkurs
+// (keine historischen Kurse). Indices in Indexpunkten (1 Punkt = 1 Einheit der
+// Handelswährung, wie bei CFDs).
+
+const PORTFOLIO_KEY = 'rbc_portfolio_v1';
+const PORTFOLIO_CSV_COLUMNS = ['symbol', 'quantity', 'buy_price', 'date', 'fees', 'currency'];
+const PORTFOLIO_CSV_FILENAME = 'rbc-portfolio.csv';
+
+// Anlageklassen in der Reihenfolge der Aufteilung; Bezeichnungen aus dem Sprachkatalog (asset.*)
+const PORTFOLIO_CLASSES = ['crypto', 'indices', 'commodities', 'stocks'];
+
+function loadPortfolio() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PORTFOLIO_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(position => position && parseQuoteKey(String(position.key))) : [];
+    } catch {
+        return [];
+    }
+}
+
+function savePortfolio(positions) {
+    try {
+        localStorage.setItem(PORTFOLIO_KEY, JSON.stringify(positions));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function createPositionId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Liefert null, wenn Pflichtfelder fehlen oder unplausibel sind.
+function normalizePosition({ key, quantity, buyPrice, date, fees, currency }) {
+    const position = {
+        id: createPositionId(),
+        key,
+        quantity: Number(quantity),
+        buyPrice: Number(buyPrice),
+        date: /^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) ? date : getTodayIsoDate(),
+        fees: Number(fees) || 0,
+        currency: String(currency || getDisplayCurrency()).toUpperCase()
+    };
+    if (!key || !parseQuoteKey(key)) return null;
+    if (!(position.quantity > 0) || !(position.buyPrice > 0) || position.fees < 0) return null;
+    // Nur Währungen, für die es einen Devisenkurs gibt
+    if (position.currency !== 'USD' && !FX_CURRENCIES.includes(position.currency)) return null;
+    return position;
+}
+
+function addPosition(input) {
+    const position = normalizePosition(input);
+    if (!position) return null;
+    const positions = loadPortfolio();
+    positions.push(position);
+    savePortfolio(positions);
+    return position;
+}
+
+function removePosition(id) {
+    savePortfolio(loadPortfolio().filter(position => position.id !== id));
+}
+
+// ==================== BEWERTUNG ====================
+function getTodayIsoDate() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Ältere Positionen (vor der Währungsauswahl) wurden in USD erfasst.
+function getPositionCurrency(position) {
+    return position.currency || DEFAULT_CURRENCY;
+}
+
+// Alle Beträge in der Anzeigewährung; ohne Kurs oder Devisenkurs bleibt die Position unbewertet.
+function valuePosition(position) {
+    const { source, ticker } = parseQuoteKey(position.key);
+    const cost = convertAmount(position.quantity * position.buyPrice + position.fees, getPositionCurrency(position));
+    const cached = getCacheEntry(position.key);
+    const quoteCurrency = getQuoteCurrency(cached, ticker);
+    const price = Number(cached?.price) > 0 ? convertAmount(Number(cached.price), quoteCurrency) : null;
+    if (price === null || cost === null) {
+        return { position, source, cost, price, value: null, pnl: null, pnlPct: null, dayChange: null };
+    }
+
+    const value = position.quantity * price;
+    const pnl = value - cost;
+
+    // Referenz für die Tagesänderung: Vortagesschluss, sonst aus der %-Änderung zurückgerechnet.
+    // Heute gekaufte Positionen vergleichen mit dem Kaufkurs.
+    let reference = convertAmount(Number(cached.previousClose), quoteCurrency);
+    if (reference === null && Number.isFinite(cached.change)) reference = price / (1 + cached.change / 100);
+    if (position.date === getTodayIsoDate()) reference = convertAmount(position.buyPrice, getPositionCurrency(position));
+    const dayChange = reference !== null ? position.quantity * (price - reference) : null;
+
+    return { position, source, cost, price, value, pnl, pnlPct: cost > 0 ? (pnl / cost) * 100 : null, dayChange };
+}
+
+function summarizePortfolio(valuations) {
+    const valued = valuations.filter(item => item.value !== null);
+    const totals = {
+        cost: valued.reduce((sum, item) => sum + item.cost, 0),
+        value: valued.reduce((sum, item) => sum + item.value, 0),
+        dayChange: valued.reduce((sum, item) => sum + (item.dayChange || 0), 0),
+        unvalued: valuations.length - valued.length
+    };
+    totals.pnl = totals.value - totals.cost;
+    totals.pnlPct = totals.cost > 0 ? (totals.pnl / totals.cost) * 100 : null;
+    const previousValue = totals.value - totals.dayChange;
+    totals.dayChangePct = previousValue > 0 ? (totals.dayChange / previousValue) * 100 : null;
+
+    totals.allocation = PORTFOLIO_CLASSES
+        .map(source => {
+            const value = valued.filter(item => item.source === source).reduce((sum, item) => sum + item.value, 0);
+            return { source, value, share: totals.value > 0 ? (value / totals.value) * 100 : 0 };
+        })
+        .filter(entry => entry.value > 0);
+    return totals;
+}
+
+// ==================== FORMATIERUNG ====================
+// Beträge sind bereits umgerechnet; Kaufkurs und Gebühren stehen in der Währung der Position.
+function formatPortfolioPrice(value, currency = getDisplayCurrency()) {
+    if (!Number.isFinite(value)) return '—';
+    return formatCurrencyAmount(value, currency, { decimals: Math.abs(value) < 1 ? 4 : 2 });
+}
+
+function formatSignedAmount(value) {
+    if (!Number.isFinite(value)) return '—';
+    return formatCurrencyAmount(value, getDisplayCurrency(), { signed: true });
+}
+
+function formatSignedPercent(value) {
+    if (!Number.isFinite(value)) return '—';
+    return formatPercent(value);
+}
+
+function formatQuantity(value) {
+    return formatNumber(value, { maximumFractionDigits: 8 });
+}
+
+function setSignedText(element, text, value) {
+    element.textContent = text;
+    element.classList.toggle('positive', Number.isFinite(value) && value >= 0);
+    element.classList.toggle('negative', Number.isFinite(value) && value < 0);
+}
+
+// ==================== CSV ====================
+function escapeCsvField(value) {
+    const text = String(value ?? '');
+    return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function portfolioToCsv(positions) {
+    const rows = positions.map(position => [
+        parseQuoteKey(position.key).ticker,
+        position.quantity,
+        position.buyPrice,
+        position.date,
+        position.fees,
+        getPositionCurrency(position)
+    ].map(escapeCsvField).join(','));
+    return [PORTFOLIO_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+// Liefert { positions, skipped } – Zeilen mit unbekanntem Symbol oder ungültigen Zahlen
+// werden gezählt, aber nicht importiert.
+function parsePortfolioCsv(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { positions: [], skipped: 0 };
+
+    const delimiter = lines[0].includes(';') ? ';' : ',';
+    const parseNumber = value => {
+        let number = String(value || '').replace(/'/g, '');
+        if (delimiter === ';') number = number.replace(',', '.');
+        return Number(number);
+    };
+    // 2024-03-15 oder 15.03.2024
+    const parseDate = value => {
+        const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(String(value || '').trim());
+        return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : value;
+    };
+
+    let columns = PORTFOLIO_CSV_COLUMNS;
+    const header = splitCsvLine(lines[0], delimiter).map(field => field.toLowerCase());
+    if (header.includes('symbol')) {
+        columns = header;
+        lines.shift();
+    }
+
+    const positions = [];
+    let skipped = 0;
+    for (const line of lines) {
+        const fields = splitCsvLine(line, delimiter);
+        const row = Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+        const position = normalizePosition({
+            key: resolveQuoteKey(row.symbol),
+            quantity: parseNumber(row.quantity),
+            buyPrice: parseNumber(row.buy_price),
+            date: parseDate(row.date),
+            fees: parseNumber(row.fees),
+            currency: row.currency
+        });
+        if (position) positions.push(position);
+        else skipped++;
+    }
+    return { positions, skipped };
+}
+
+function downloadPortfolioCsv() {
+    const blob = new Blob([portfolioToCsv(loadPortfolio())], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = PORTFOLIO_CSV_FILENAME;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ==================== DARSTELLUNG ====================
+function renderPortfolioSummary(totals) {
+    const summary = document.querySelector('.portfolio-summary');
+    summary.querySelector('[data-total="value"]').textContent = formatPortfolioPrice(totals.value);
+    summary.querySelector('[data-total="cost"]').textContent = formatPortfolioPrice(totals.cost);
+    setSignedText(summary.querySelector('[data-total="pnl"]'),
+        `${formatSignedAmount(totals.pnl)} (${formatSignedPercent(totals.pnlPct)})`, totals.pnl);
+    setSignedText(summary.querySelector('[data-total="day"]'),
+        `${formatSignedAmount(totals.dayChange)} (${formatSignedPercent(totals.dayChangePct)})`, totals.dayChange);
+}
+
+function renderPortfolioAllocation(totals) {
+    const bar = document.querySelector('.allocation-bar');
+    const legend = document.querySelector('.allocation-legend');
+    bar.innerHTML = '';
+    legend.innerHTML = '';
+
+    for (const entry of totals.allocation) {
+        const segment = document.createElement('span');
+        segment.className = `allocation-segment class-${entry.source}`;
+        segment.style.width = `${entry.share}%`;
+        const label = t(`asset.${entry.source}`);
+        const share = formatPercent(entry.share, { decimals: 1, signed: false });
+        segment.title = `${label}: ${share}`;
+        bar.appendChild(segment);
+
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="allocation-dot class-${entry.source}"></span>`;
+        item.append(`${label} ${share} · ${formatPortfolioPrice(entry.value)}`);
+        legend.appendChild(item);
+    }
+}
+
+function createPositionRow(valuation) {
+    const { position } = valuation;
+    const row = document.createElement('tr');
+    const cells = [
+        [getQuoteKeyName(position.key), 'position-name'],
+        [t(`asset.${valuation.source}`)],
+        [formatQuantity(position.quantity), 'num'],
+        [formatPortfolioPrice(position.buyPrice, getPositionCurrency(position)), 'num'],
+        [formatDateTime(new Date(`${position.date}T00:00:00`), { day: '2-digit', month: '2-digit', year: 'numeric' }), 'num'],
+        [position.fees ? formatPortfolioPrice(position.fees, getPositionCurrency(position)) : '—', 'num'],
+        [formatPortfolioPrice(valuation.price), 'num'],
+        [formatPortfolioPrice(valuation.value), 'num']
+    ];
+    for (const [text, className] of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        row.appendChild(cell);
+    }
+
+    const dayCell = document.createElement('td');
+    dayCell.className = 'num';
+    setSignedText(dayCell, formatSignedAmount(valuation.dayChange), valuation.dayChange);
+    const pnlCell = document.createElement('td');
+    pnlCell.className = 'num';
+    setSignedText(pnlCell, `${formatSignedAmount(valuation.pnl)} (${formatSignedPercent(valuation.pnlPct)})`, valuation.pnl);
+
+    const actionCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'position-remove';
+    removeButton.setAttribute('aria-label', t('portfolio.remove', { name: getQuoteKeyName(position.key) }));
+    removeButton.innerHTML = '<i class="fas fa-trash" aria-hidden="true"></i>';
+    removeButton.addEventListener('click', () => {
+        removePosition(position.id);
+        renderPortfolio();
+    });
+    actionCell.appendChild(removeButton);
+
+    row.append(dayCell, pnlCell, actionCell);
+    return row;
+}
+
+function renderPortfolio() {
+    const root = document.querySelector('.portfolio');
+    if (!root) return;
+
+    const valuations = loadPortfolio().map(valuePosition);
+    const totals = summarizePortfolio(valuations);
+    renderPortfolioSummary(totals);
+    renderPortfolioAllocation(totals);
+
+    const body = root.querySelector('.portfolio-table tbody');
+    body.innerHTML = '';
+    valuations.forEach(valuation => body.appendChild(createPositionRow(valuation)));
+    root.querySelector('.portfolio-empty').hidden = valuations.length > 0;
+    root.querySelector('.portfolio-table-wrap').hidden = valuations.length === 0;
+}
+
+function setPortfolioMessage(text) {
+    const message = document.querySelector('.portfolio-message');
+    if (message) message.textContent = text;
+}
+
+async function refreshPortfolioQuotes(source) {
+    const tickers = loadPortfolio()
+        .map(position => parseQuoteKey(position.key))
+        .filter(parsed => parsed.source === source)
+        .map(parsed => parsed.ticker);
+    const updated = await refreshCachedQuotes(source, [...new Set(tickers)]);
+    if (updated !== null) renderPortfolio();
+    return updated;
+}
+
+function initPortfolio(root) {
+    const form = root.querySelector('.portfolio-form');
+    const instrumentSelect = form.querySelector('[name="instrument"]');
+    fillInstrumentSelect(instrumentSelect);
+    form.querySelector('[name="date"]').value = getTodayIsoDate();
+    root.querySelectorAll('.portfolio-currency').forEach(element => {
+        element.textContent = getDisplayCurrency();
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const read = name => Number(String(form.querySelector(`[name="${name}"]`).value).replace(',', '.'));
+        const position = addPosition({
+            key: instrumentSelect.value,
+            quantity: read('quantity'),
+            buyPrice: read('buyPrice'),
+            date: form.querySelector('[name="date"]').value,
+            fees: read('fees')
+        });
+        if (!position) {
+            setPortfolioMessage(t('portfolio.invalid'));
+            return;
+        }
+        setPortfolioMessage('');
+        form.querySelector('[name="quantity"]').value = '';
+        form.querySelector('[name="buyPrice"]').value = '';
+        form.querySelector('[name="fees"]').value = '';
+        renderPortfolio();
+        // Neues Symbol sofort bewerten statt auf den nächsten Refresh zu warten
+        const source = parseQuoteKey(position.key).source;
+        if (!getCacheEntry(position.key)) refreshPortfolioQuotes(source);
+    });
+
+    root.querySelector('.portfolio-export').addEventListener('click', downloadPortfolioCsv);
+
+    const fileInput = root.querySelector('.portfolio-import-file');
+    root.querySelector('.portfolio-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        const { positions, skipped } = parsePortfolioCsv(await file.text());
+        fileInput.value = '';
+        savePortfolio([...loadPortfolio(), ...positions]);
+        setPortfolioMessage(t(skipped ? 'portfolio.importedSkipped' : 'portfolio.imported', { count: positions.length, skipped }));
+        renderPortfolio();
+        new Set(positions.map(position => parseQuoteKey(position.key).source)).forEach(refreshPortfolioQuotes);
+    });
+
+    renderPortfolio();
+    document.addEventListener(FX_UPDATED_EVENT, () => renderPortfolio());
+    for (const source of Object.keys(REFRESH_INTERVALS_MS)) {
+        scheduleRefresh(`portfolio-${source}`, () => refreshPortfolioQuotes(source), REFRESH_INTERVALS_MS[source]);
+    }
+}
+
+// Andere Tabs haben Positionen geändert -> neu rendern
+window.addEventListener('storage', event => {
+    if (event.key === PORTFOLIO_KEY) renderPortfolio();
+});
+
+const portfolioRoot = document.querySelector('.portfolio');
+if (portfolioRoot) initPortfolio(portfolioRoot);
@@ -0,0 +1,324 @@
+// Positionsrechner für RBC Excellence (rechner.html)
+// Setzt die Risiko-Tipps um: aus Kontogrösse, Risiko pro Trade (1–2 %) und Stop-Loss
+// (7–10 % unter dem Einstieg) folgen Positionsgrösse, Stop-Kurs, Kursziele in R-Vielfachen
+// und der maximale Verlust. Der Einstiegskurs kommt aus dem Live-Cache (gleiche Keys wie
+// Alarme und Portfolio) und folgt dem Kurs, bis er von Hand geändert wird.
+// Gerechnet wird in der Anzeigewährung. Muss nach live-data.js geladen werden.
+//
+// 1R = Risiko pro Einheit (Abstand Einstieg–Stop); ein Ziel bei 2R bringt das Doppelte
+// dessen, was der Stop kostet.
+
+const POSITION_CALCULATOR_KEY = 'rbc_position_calculator_v1';
+const POSITION_CALCULATOR_DEFAULTS = { key: 'cg:BTC', side: 'long', accountSize: 10000, riskPercent: 1, stopPercent: 7 };
+const POSITION_TARGET_MULTIPLES = [1, 2, 3];
+// Bruchteile bei Krypto, Rohstoffen und Indices (CFDs); Aktien nur ganze Stück
+const POSITION_UNIT_DECIMALS = 4;
+
+const positionCalculator = {
+    // Einstieg folgt dem Live-Kurs, bis er von Hand geändert wird
+    followsLivePrice: true,
+    // Welches Stop-Feld zuletzt bearbeitet wurde; das andere wird daraus berechnet
+    stopMode: 'percent',
+    ...loadPositionCalculatorSettings()
+};
+
+function loadPositionCalculatorSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(POSITION_CALCULATOR_KEY) || '{}') || {};
+    } catch {
+        // Defaults
+    }
+    const positive = value => Number.isFinite(value) && value > 0;
+    return {
+        key: typeof stored.key === 'string' && parseQuoteKey(stored.key) ? stored.key : POSITION_CALCULATOR_DEFAULTS.key,
+        side: stored.side === 'short' ? 'short' : 'long',
+        accountSize: convertStoredAmount(stored.accountSize, stored.currency) ?? POSITION_CALCULATOR_DEFAULTS.accountSize,
+        riskPercent: positive(stored.riskPercent) ? stored.riskPercent : POSITION_CALCULATOR_DEFAULTS.riskPercent,
+        stopPercent: positive(stored.stopPercent) ? stored.stopPercent : POSITION_CALCULATOR_DEFAULTS.stopPercent
+    };
+}
+
+function savePositionCalculatorSettings() {
+    const { key, side, accountSize, riskPercent, stopPercent } = positionCalculator;
+    try {
+        localStorage.setItem(POSITION_CALCULATOR_KEY, JSON.stringify({
+            key, side, accountSize, riskPercent, stopPercent, currency: getDisplayCurrency()
+        }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function getStopPriceFromPercent(entry, stopPercent, side) {
+    return side === 'short' ? entry * (1 + stopPercent / 100) : entry * (1 - stopPercent / 100);
+}
+
+function getStopPercentFromPrice(entry, stopPrice, side) {
+    return (side === 'short' ? stopPrice - entry : entry - stopPrice) / entry * 100;
+}
+
+// Reine Rechnung ohne DOM. Liefert { error } statt einer Position, wenn die Eingaben nicht
+// aufgehen: fehlende Werte, Stop auf der falschen Seite oder Budget unter einer ganzen Aktie.
+function calculatePosition({ side, entry, stop, accountSize, riskPercent, wholeUnits }) {
+    if (![entry, stop, accountSize, riskPercent].every(value => Number.isFinite(value) && value > 0)) {
+        return { error: 'invalid' };
+    }
+    const riskPerUnit = side === 'short' ? stop - entry : entry - stop;
+    if (riskPerUnit <= 0) return { error: 'stopSide' };
+
+    const riskAmount = accountSize * riskPercent / 100;
+    const factor = wholeUnits ? 1 : 10 ** POSITION_UNIT_DECIMALS;
+    const units = Math.floor(riskAmount / riskPerUnit * factor) / factor;
+    if (units <= 0) return { error: 'tooSmall', riskAmount };
+
+    const direction = side === 'short' ? -1 : 1;
+    const notional = units * entry;
+    const loss = units * riskPerUnit;
+    return {
+        units,
+        notional,
+        exposurePercent: notional / accountSize * 100,
+        riskAmount,
+        riskPerUnit,
+        stop,
+        loss,
+        lossPercent: loss / accountSize * 100,
+        targets: POSITION_TARGET_MULTIPLES.map(multiple => {
+            const price = entry + direction * multiple * riskPerUnit;
+            return {
+                multiple,
+                // Ein Short kann höchstens bis 0 fallen
+                price: price > 0 ? price : null,
+                profit: units * multiple * riskPerUnit,
+                changePercent: direction * multiple * riskPerUnit / entry * 100
+            };
+        })
+    };
+}
+
+// ==================== DARSTELLUNG ====================
+function formatCalculatorUnits(units, parsed) {
+    const decimals = parsed.source === 'stocks' ? 0 : POSITION_UNIT_DECIMALS;
+    return `${formatNumber(units, { maximumFractionDigits: decimals })} ${parsed.ticker}`;
+}
+
+// Eingabefelder nachführen, die sich aus anderen ergeben (Live-Einstieg, abgeleitetes Stop-Feld)
+function syncPositionCalculatorInputs(form) {
+    const display = getDisplayCurrency();
+    form.querySelectorAll('.calc-currency').forEach(unit => {
+        unit.textContent = display;
+    });
+
+    const live = getCachedDisplayPrice(positionCalculator.key);
+    const entryInput = form.querySelector('[name="entry"]');
+    if (positionCalculator.followsLivePrice && live) entryInput.value = live.price.toFixed(getPriceDecimals(live.price));
+
+    const entry = readFormNumber(form, 'entry');
+    const { side } = positionCalculator;
+    if (positionCalculator.stopMode === 'percent') {
+        const stop = entry > 0 ? getStopPriceFromPercent(entry, positionCalculator.stopPercent, side) : NaN;
+        form.querySelector('[name="stopPrice"]').value = stop > 0 ? stop.toFixed(getPriceDecimals(stop)) : '';
+    } else if (entry > 0) {
+        const stopPercent = Math.round(getStopPercentFromPrice(entry, readFormNumber(form, 'stopPrice'), side) * 100) / 100;
+        form.querySelector('[name="stopPercent"]').value = Number.isFinite(stopPercent) ? String(stopPercent) : '';
+        if (stopPercent > 0) positionCalculator.stopPercent = stopPercent;
+    }
+}
+
+function renderCalculatorPriceStatus(root) {
+    const status = root.querySelector('.calc-price-status');
+    const live = getCachedDisplayPrice(positionCalculator.key);
+    if (!live) {
+        status.textContent = getCacheEntry(positionCalculator.key) ? t('calc.noPrice') : t('common.loading');
+        return;
+    }
+    const price = formatMoney(live.price, getDisplayCurrency(), { decimals: getPriceDecimals(live.price) });
+    status.textContent = positionCalculator.followsLivePrice
+        ? t('calc.livePrice', { price, asOf: formatStandTime(live.tsMs) })
+        : t('calc.livePriceManual', { price });
+}
+
+function renderCalculatorPresets(root) {
+    root.querySelectorAll('.calc-presets [data-preset]').forEach(button => {
+        const field = button.dataset.preset === 'risk' ? 'riskPercent' : 'stopPercent';
+        const pressed = Number(button.dataset.value) === positionCalculator[field]
+            && (field === 'riskPercent' || positionCalculator.stopMode === 'percent');
+        button.setAttribute('aria-pressed', String(pressed));
+    });
+}
+
+function createTargetRow(target, currency, decimals) {
+    const row = document.createElement('tr');
+    const cells = [
+        `${target.multiple}R`,
+        target.price !== null ? formatMoney(target.price, currency, { decimals }) : '—',
+        formatMoney(target.profit, currency, { signed: true }),
+        formatPercent(target.changePercent)
+    ];
+    cells.forEach((text, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        else cell.className = index === 2 ? 'num positive' : 'num';
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function renderPositionCalculator() {
+    const root = document.querySelector('.position-calculator');
+    if (!root) return;
+    const form = root.querySelector('.calc-form');
+    syncPositionCalculatorInputs(form);
+    renderCalculatorPriceStatus(root);
+    renderCalculatorPresets(root);
+
+    const parsed = parseQuoteKey(positionCalculator.key);
+    const currency = getDisplayCurrency();
+    const entry = readFormNumber(form, 'entry');
+    const result = calculatePosition({
+        side: positionCalculator.side,
+        entry,
+        stop: readFormNumber(form, 'stopPrice'),
+        accountSize: positionCalculator.accountSize,
+        riskPercent: positionCalculator.riskPercent,
+        wholeUnits: parsed.source === 'stocks'
+    });
+
+    const message = root.querySelector('.calc-message');
+    const results = root.querySelector('.calc-results');
+    const targets = root.querySelector('.calc-targets');
+    results.hidden = Boolean(result.error);
+    targets.hidden = Boolean(result.error);
+    const waitingForPrice = isWaitingForLivePrice(positionCalculator.followsLivePrice, entry);
+    message.hidden = result.error ? waitingForPrice : result.notional <= positionCalculator.accountSize;
+    message.classList.toggle('calc-warning', !result.error);
+
+    if (result.error) {
+        const params = result.error === 'tooSmall' ? { amount: formatMoney(result.riskAmount, currency) } : {};
+        message.textContent = t(`calc.${result.error === 'stopSide' ? `stopSide.${positionCalculator.side}` : result.error}`, params);
+        return;
+    }
+    if (!message.hidden) message.textContent = t('calc.leverage', { notional: formatMoney(result.notional, currency) });
+
+    const priceDecimals = getPriceDecimals(entry);
+    const values = {
+        units: formatCalculatorUnits(result.units, parsed),
+        notional: formatMoney(result.notional, currency),
+        exposure: t('calc.exposure', { percent: formatPercent(result.exposurePercent, { decimals: 1, signed: false }) }),
+        stop: formatMoney(result.stop, currency, { decimals: getPriceDecimals(result.stop) }),
+        riskPerUnit: formatMoney(result.riskPerUnit, currency, { decimals: priceDecimals }),
+        loss: formatMoney(result.loss, currency),
+        lossPercent: t('calc.exposure', { percent: formatPercent(result.lossPercent, { decimals: 2, signed: false }) })
+    };
+    for (const [name, text] of Object.entries(values)) {
+        results.querySelector(`[data-result="${name}"]`).textContent = text;
+    }
+
+    const body = targets.querySelector('tbody');
+    body.innerHTML = '';
+    result.targets.forEach(target => body.appendChild(createTargetRow(target, currency, priceDecimals)));
+}
+
+// Auf rechner.html gibt es keine Cards: nur den Kurs des gewählten Instruments holen.
+async function refreshCalculatorQuote(source) {
+    const parsed = parseQuoteKey(positionCalculator.key);
+    if (parsed?.source !== source) return null;
+    const updated = await refreshCachedQuotes(source, [parsed.ticker]);
+    if (updated !== null) renderPositionCalculator();
+    return updated;
+}
+
+function initPositionCalculator(root) {
+    const form = root.querySelector('.calc-form');
+    const instrumentSelect = form.querySelector('[name="instrument"]');
+    const sideSelect = form.querySelector('[name="side"]');
+    const field = name => form.querySelector(`[name="${name}"]`);
+
+    fillInstrumentSelect(instrumentSelect);
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('key') && parseQuoteKey(params.get('key'))) positionCalculator.key = params.get('key');
+    // Links aus den Trading-Tipps setzen die jeweilige Regel (?risk=2, ?stop=7)
+    for (const [param, name] of [['risk', 'riskPercent'], ['stop', 'stopPercent']]) {
+        const value = Number(params.get(param));
+        if (params.has(param) && Number.isFinite(value) && value > 0) positionCalculator[name] = value;
+    }
+    instrumentSelect.value = positionCalculator.key;
+    sideSelect.value = positionCalculator.side;
+    field('account').value = String(Math.round(positionCalculator.accountSize * 100) / 100);
+    field('risk').value = String(positionCalculator.riskPercent);
+    field('stopPercent').value = String(positionCalculator.stopPercent);
+
+    const update = () => {
+        savePositionCalculatorSettings();
+        renderPositionCalculator();
+    };
+
+    instrumentSelect.addEventListener('change', () => {
+        positionCalculator.key = instrumentSelect.value;
+        positionCalculator.followsLivePrice = true;
+        positionCalculator.stopMode = 'percent';
+        field('entry').value = '';
+        update();
+        refreshCalculatorQuote(parseQuoteKey(positionCalculator.key).source);
+    });
+    sideSelect.addEventListener('change', () => {
+        positionCalculator.side = sideSelect.value;
+        // Der Stop wechselt mit der Richtung die Seite; der Abstand in % bleibt
+        positionCalculator.stopMode = 'percent';
+        update();
+    });
+    field('entry').addEventListener('input', () => {
+        positionCalculator.followsLivePrice = false;
+        update();
+    });
+    field('account').addEventListener('input', () => {
+        positionCalculator.accountSize = readFormNumber(form, 'account');
+        update();
+    });
+    field('risk').addEventListener('input', () => {
+        positionCalculator.riskPercent = readFormNumber(form, 'risk');
+        update();
+    });
+    field('stopPercent').addEventListener('input', () => {
+        positionCalculator.stopPercent = readFormNumber(form, 'stopPercent');
+        positionCalculator.stopMode = 'percent';
+        update();
+    });
+    field('stopPrice').addEventListener('input', () => {
+        positionCalculator.stopMode = 'price';
+        renderPositionCalculator();
+        savePositionCalculatorSettings();
+    });
+
+    form.querySelector('.calc-live-price').addEventListener('click', () => {
+        positionCalculator.followsLivePrice = true;
+        renderPositionCalculator();
+    });
+    form.addEventListener('submit', event => event.preventDefault());
+
+    root.querySelectorAll('.calc-presets [data-preset]').forEach(button => {
+        button.addEventListener('click', () => {
+            const value = Number(button.dataset.value);
+            if (button.dataset.preset === 'risk') {
+                positionCalculator.riskPercent = value;
+                field('risk').value = String(value);
+            } else {
+                positionCalculator.stopPercent = value;
+                positionCalculator.stopMode = 'percent';
+                field('stopPercent').value = String(value);
+            }
+            update();
+        });
+    });
+
+    renderPositionCalculator();
+    document.addEventListener(FX_UPDATED_EVENT, () => renderPositionCalculator());
+    for (const source of Object.keys(REFRESH_INTERVALS_MS)) {
+        scheduleRefresh(`calculator-${source}`, () => refreshCalculatorQuote(source), REFRESH_INTERVALS_MS[source]);
+    }
+}
+
+const positionCalculatorRoot = document.querySelector('.position-calculator');
+if (positionCalculatorRoot) initPositionCalculator(positionCalculatorRoot);
@@ -0,0 +1,335 @@
+// Canvas-Chart für die Detailansicht (Kerzen oder Linie, Volumen, Crosshair)
+// Keine Library: ein <canvas>, das bei Grössenänderung und jeder Mausbewegung komplett neu
+// gezeichnet wird (wenige hundert Kerzen, das ist billig).
+// Nutzt formatPrice aus live-data.js, muss also danach geladen werden.
+//
+//   const chart = createPriceChart(containerEl, { onHover: candle => ... });
+//   chart.setData({ candles: [{ t, o, h, l, c, v }], previousClose });
+//   chart.setType('line');
+//
+// Optional in setData: overlays = [{ values, color, dashed }] als zusätzliche Linien (ein Wert
+// pro Kerze, null für Lücken; color ist ein Schlüssel aus readChartColors oder eine CSS-Farbe)
+// und color ('up'/'down'/…) für die Kurslinie statt der Farbe aus dem Vergleich mit dem Start.
+// showVolume: false lässt den Volumenbereich weg (z.B. für Depotwerte statt Kurse).
+
+const CHART_PADDING = { top: 12, right: 68, bottom: 24, left: 8 };
+const CHART_VOLUME_RATIO = 0.2;
+const CHART_PANE_GAP = 8;
+const CHART_Y_TICKS = 5;
+const CHART_X_TICKS = 5;
+
+function readChartColors() {
+    const styles = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+    return {
+        up: read('--success-green', '#22c55e'),
+        down: read('--error-red', '#ef4444'),
+        text: read('--text-secondary', '#94a3b8'),
+        grid: read('--border-color', '#334155'),
+        accent: read('--primary-color', '#6366f1')
+    };
+}
+
+// "Schöne" Schrittweite (1/2/5 * 10^n) für die Preisachse
+function getNiceStep(span, ticks) {
+    const raw = span / Math.max(1, ticks);
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const normalized = raw / magnitude;
+    const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+    return nice * magnitude;
+}
+
+function formatChartTime(tsMs, spanMs) {
+    if (spanMs <= 1000 * 60 * 60 * 36) {
+        return formatDateTime(tsMs, { hour: '2-digit', minute: '2-digit' });
+    }
+    if (spanMs <= 1000 * 60 * 60 * 24 * 400) {
+        return formatDateTime(tsMs, { day: '2-digit', month: '2-digit' });
+    }
+    return formatDateTime(tsMs, { month: '2-digit', year: 'numeric' });
+}
+
+function createPriceChart(container, { onHover, showVolume = true } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'price-chart-canvas';
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    let candles = [];
+    let previousClose = null;
+    let overlays = [];
+    let lineColor = null;
+    let type = 'candles';
+    let hoverIndex = null;
+    let hoverY = null;
+    let layout = null;
+
+    function computeLayout() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const plotWidth = Math.max(10, width - CHART_PADDING.left - CHART_PADDING.right);
+        const innerHeight = Math.max(10, height - CHART_PADDING.top - CHART_PADDING.bottom);
+        const volumeHeight = showVolume ? Math.round(innerHeight * CHART_VOLUME_RATIO) : 0;
+        const priceHeight = innerHeight - volumeHeight - (showVolume ? CHART_PANE_GAP : 0);
+
+        const lows = candles.map(c => (type === 'line' ? c.c : c.l));
+        const highs = candles.map(c => (type === 'line' ? c.c : c.h));
+        if (Number.isFinite(previousClose)) {
+            lows.push(previousClose);
+            highs.push(previousClose);
+        }
+        for (const overlay of overlays) {
+            const values = overlay.values.filter(Number.isFinite);
+            lows.push(...values);
+            highs.push(...values);
+        }
+        let min = Math.min(...lows);
+        let max = Math.max(...highs);
+        const pad = (max - min) * 0.05 || Math.abs(max) * 0.01 || 1;
+        min -= pad;
+        max += pad;
+
+        return {
+            width,
+            height,
+            plotWidth,
+            priceTop: CHART_PADDING.top,
+            priceHeight,
+            volumeTop: CHART_PADDING.top + priceHeight + (showVolume ? CHART_PANE_GAP : 0),
+            volumeHeight,
+            min,
+            max,
+            maxVolume: Math.max(0, ...candles.map(c => c.v || 0)),
+            step: plotWidth / Math.max(1, candles.length)
+        };
+    }
+
+    const xAt = i => CHART_PADDING.left + layout.step * (i + 0.5);
+    const yAt = price => layout.priceTop + (1 - (price - layout.min) / (layout.max - layout.min)) * layout.priceHeight;
+    const priceAt = y => layout.min + (1 - (y - layout.priceTop) / layout.priceHeight) * (layout.max - layout.min);
+
+    function drawAxes(colors) {
+        const step = getNiceStep(layout.max - layout.min, CHART_Y_TICKS);
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.strokeStyle = colors.grid;
+        ctx.fillStyle = colors.text;
+        ctx.lineWidth = 1;
+        const decimals = step < 1 ? Math.min(6, Math.ceil(-Math.log10(step)) + 1) : 2;
+
+        for (let value = Math.ceil(layout.min / step) * step; value <= layout.max; value += step) {
+            const y = Math.round(yAt(value)) + 0.5;
+            ctx.globalAlpha = 0.4;
+            ctx.beginPath();
+            ctx.moveTo(CHART_PADDING.left, y);
+            ctx.lineTo(CHART_PADDING.left + layout.plotWidth, y);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+            ctx.fillText(formatPrice(value, decimals), CHART_PADDING.left + layout.plotWidth + 6, y);
+        }
+
+        const spanMs = candles[candles.length - 1].t - candles[0].t;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelCount = Math.min(CHART_X_TICKS, candles.length);
+        for (let k = 0; k < labelCount; k++) {
+            const i = Math.round((k + 0.5) * (candles.length - 1) / labelCount);
+            ctx.fillText(formatChartTime(candles[i].t, spanMs), xAt(i), layout.height - CHART_PADDING.bottom + 6);
+        }
+    }
+
+    function drawPrices(colors) {
+        if (Number.isFinite(previousClose)) {
+            const y = Math.round(yAt(previousClose)) + 0.5;
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = colors.text;
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            ctx.moveTo(CHART_PADDING.left, y);
+            ctx.lineTo(CHART_PADDING.left + layout.plotWidth, y);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        if (type === 'line') {
+            const baseline = Number.isFinite(previousClose) ? previousClose : candles[0].o;
+            const color = colors[lineColor] || (candles[candles.length - 1].c >= baseline ? colors.up : colors.down);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            candles.forEach((candle, i) => {
+                if (i === 0) ctx.moveTo(xAt(i), yAt(candle.c));
+                else ctx.lineTo(xAt(i), yAt(candle.c));
+            });
+            ctx.stroke();
+
+            ctx.lineTo(xAt(candles.length - 1), layout.priceTop + layout.priceHeight);
+            ctx.lineTo(xAt(0), layout.priceTop + layout.priceHeight);
+            ctx.closePath();
+            ctx.globalAlpha = 0.12;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        const bodyWidth = Math.max(1, Math.min(12, layout.step * 0.7));
+        candles.forEach((candle, i) => {
+            const x = xAt(i);
+            const color = candle.c >= candle.o ? colors.up : colors.down;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(Math.round(x) + 0.5, yAt(candle.h));
+            ctx.lineTo(Math.round(x) + 0.5, yAt(candle.l));
+            ctx.stroke();
+
+            const top = yAt(Math.max(candle.o, candle.c));
+            const bodyHeight = Math.max(1, yAt(Math.min(candle.o, candle.c)) - top);
+            ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, bodyHeight);
+        });
+    }
+
+    function drawOverlays(colors) {
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        for (const overlay of overlays) {
+            ctx.strokeStyle = colors[overlay.color] || overlay.color || colors.accent;
+            ctx.setLineDash(overlay.dashed ? [5, 4] : []);
+            ctx.beginPath();
+            let drawing = false;
+            overlay.values.forEach((value, i) => {
+                if (!Number.isFinite(value)) {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) ctx.lineTo(xAt(i), yAt(value));
+                else ctx.moveTo(xAt(i), yAt(value));
+                drawing = true;
+            });
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    function drawVolume(colors) {
+        if (!showVolume || !(layout.maxVolume > 0)) return;
+        const barWidth = Math.max(1, layout.step * 0.7);
+        ctx.globalAlpha = 0.45;
+        candles.forEach((candle, i) => {
+            const height = (candle.v / layout.maxVolume) * layout.volumeHeight;
+            ctx.fillStyle = candle.c >= candle.o ? colors.up : colors.down;
+            ctx.fillRect(xAt(i) - barWidth / 2, layout.volumeTop + layout.volumeHeight - height, barWidth, height);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    function drawCrosshair(colors) {
+        if (hoverIndex === null) return;
+        const x = Math.round(xAt(hoverIndex)) + 0.5;
+        ctx.save();
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = colors.text;
+        ctx.beginPath();
+        ctx.moveTo(x, layout.priceTop);
+        ctx.lineTo(x, layout.volumeTop + layout.volumeHeight);
+        if (hoverY !== null && hoverY >= layout.priceTop && hoverY <= layout.priceTop + layout.priceHeight) {
+            ctx.moveTo(CHART_PADDING.left, Math.round(hoverY) + 0.5);
+            ctx.lineTo(CHART_PADDING.left + layout.plotWidth, Math.round(hoverY) + 0.5);
+        }
+        ctx.stroke();
+        ctx.restore();
+
+        if (hoverY !== null && hoverY >= layout.priceTop && hoverY <= layout.priceTop + layout.priceHeight) {
+            const label = formatPrice(priceAt(hoverY));
+            ctx.font = '11px Inter, sans-serif';
+            ctx.fillStyle = colors.accent;
+            ctx.fillRect(CHART_PADDING.left + layout.plotWidth + 2, hoverY - 9, CHART_PADDING.right - 4, 18);
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, CHART_PADDING.left + layout.plotWidth + 6, hoverY);
+        }
+    }
+
+    function draw() {
+        if (!ctx) return;
+        const dpr = window.devicePixelRatio || 1;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (candles.length === 0) return;
+
+        layout = computeLayout();
+        const colors = readChartColors();
+        drawAxes(colors);
+        drawVolume(colors);
+        drawPrices(colors);
+        drawOverlays(colors);
+        drawCrosshair(colors);
+    }
+
+    function updateHover(event) {
+        if (!layout || candles.length === 0) return;
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const index = Math.floor((x - CHART_PADDING.left) / layout.step);
+        hoverIndex = Math.max(0, Math.min(candles.length - 1, index));
+        hoverY = event.clientY - rect.top;
+        draw();
+        if (onHover) onHover(candles[hoverIndex]);
+    }
+
+    function clearHover() {
+        hoverIndex = null;
+        hoverY = null;
+        draw();
+        if (onHover) onHover(null);
+    }
+
+    canvas.addEventListener('pointermove', updateHover);
+    canvas.addEventListener('pointerdown', updateHover);
+    canvas.addEventListener('pointerleave', clearHover);
+
+    let resizeObserver = null;
+    if (typeof ResizeObserver === 'function') {
+        resizeObserver = new ResizeObserver(() => draw());
+        resizeObserver.observe(container);
+    } else {
+        window.addEventListener('resize', draw);
+    }
+
+    return {
+        setData(data) {
+            candles = Array.isArray(data?.candles) ? data.candles : [];
+            previousClose = Number.isFinite(data?.previousClose) ? data.previousClose : null;
+            overlays = Array.isArray(data?.overlays) ? data.overlays.filter(overlay => Array.isArray(overlay?.values)) : [];
+            lineColor = data?.color || null;
+            if (hoverIndex !== null && hoverIndex >= candles.length) {
+                hoverIndex = null;
+                hoverY = null;
+            }
+            draw();
+        },
+        setType(nextType) {
+            type = nextType === 'line' ? 'line' : 'candles';
+            draw();
+        },
+        getLastCandle() {
+            return candles[candles.length - 1] || null;
+        },
+        destroy() {
+            if (resizeObserver) resizeObserver.disconnect();
+            else window.removeEventListener('resize', draw);
+            canvas.remove();
+        }
+    };
+}
@@ -0,0 +1,282 @@
+// Kurs-Historie für RBC Excellence (IndexedDB)
+// live-data.js schreibt bei jedem Refresh einen Punkt pro Symbol. Sparklines, Auswertungen
+// und "Seit letztem Besuch" lesen lokal, ohne erneut zu fetchen.
+//
+// Schlüssel wie im Live-Cache: 'cg:BTC', 'yahoo:^GSPC', ...
+// Ein Punkt: { key, tsMs, price, change?, high?, low?, volume?, currency? }
+// Primärschlüssel [key, tsMs] -> Bereichsabfragen pro Symbol sind bereits nach Zeit sortiert.
+//
+// Retention/Kompaktierung (höchstens einmal pro Tag, im Leerlauf):
+// - jünger als 1 Tag: alle Punkte
+// - bis 7 Tage: ein Punkt pro 5 Minuten, bis 30 Tage: einer pro Stunde,
+//   bis 1 Jahr: einer pro Tag (jeweils der letzte im Intervall)
+// - älter als 1 Jahr: gelöscht
+//
+// Ohne IndexedDB (Privatmodus, alte Browser) sind alle Funktionen No-Ops bzw. liefern [].
+
+const HISTORY_DB_NAME = 'rbc_quote_history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'points';
+
+const HISTORY_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 365;
+const HISTORY_COMPACTION_TIERS = [
+    { olderThanMs: 1000 * 60 * 60 * 24 * 30, bucketMs: 1000 * 60 * 60 * 24 },
+    { olderThanMs: 1000 * 60 * 60 * 24 * 7, bucketMs: 1000 * 60 * 60 },
+    { olderThanMs: 1000 * 60 * 60 * 24, bucketMs: 1000 * 60 * 5 }
+];
+const HISTORY_COMPACTED_AT_KEY = 'rbc_quote_history_compacted_at';
+const HISTORY_COMPACTION_INTERVAL_MS = 1000 * 60 * 60 * 24;
+
+// Schreibzugriffe werden gesammelt und in einer Transaktion geschrieben.
+const HISTORY_FLUSH_DELAY_MS = 1000;
+
+// "Seit letztem Besuch": Ende der letzten Sitzung (localStorage) wird beim ersten
+// Seitenaufruf einer Sitzung als Vergleichszeitpunkt übernommen (sessionStorage),
+// damit Navigation zwischen den Seiten den Vergleich nicht zurücksetzt.
+const LAST_VISIT_KEY = 'rbc_last_visit_v1';
+const VISIT_BASELINE_KEY = 'rbc_visit_baseline_v1';
+
+let historyDbPromise = null;
+let pendingHistoryPoints = [];
+let historyFlushTimer = null;
+
+function openQuoteHistoryDb() {
+    if (historyDbPromise) return historyDbPromise;
+
+    historyDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    db.createObjectStore(HISTORY_STORE, { keyPath: ['key', 'tsMs'] });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Kurs-Historie nicht verfügbar:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        } catch (error) {
+            console.warn('⚠️ Kurs-Historie nicht verfügbar:', error);
+            resolve(null);
+        }
+    });
+    return historyDbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function toHistoryPoint(key, data) {
+    const price = Number(data?.price);
+    if (!key || !Number.isFinite(price) || price <= 0) return null;
+
+    // Zeitpunkt des Kurses (Börsenzeit), sonst Abrufzeit. Gleicher Zeitstempel
+    // überschreibt denselben Punkt -> unveränderte Kurse erzeugen keine Duplikate.
+    const marketTimeMs = Number(data.marketTimeSec) * 1000;
+    const point = { key, tsMs: Number.isFinite(marketTimeMs) && marketTimeMs > 0 ? marketTimeMs : Date.now(), price };
+    for (const field of ['change', 'high', 'low', 'volume']) {
+        const value = Number(data[field]);
+        if (data[field] !== undefined && Number.isFinite(value)) point[field] = value;
+    }
+    if (typeof data.currency === 'string' && data.currency) point.currency = data.currency;
+    return point;
+}
+
+function recordQuotePoint(key, data) {
+    const point = toHistoryPoint(key, data);
+    if (!point) return;
+
+    pendingHistoryPoints.push(point);
+    if (!historyFlushTimer) {
+        historyFlushTimer = setTimeout(flushQuoteHistory, HISTORY_FLUSH_DELAY_MS);
+    }
+}
+
+async function flushQuoteHistory() {
+    clearTimeout(historyFlushTimer);
+    historyFlushTimer = null;
+    if (pendingHistoryPoints.length === 0) return;
+
+    const points = pendingHistoryPoints;
+    pendingHistoryPoints = [];
+
+    const db = await openQuoteHistoryDb();
+    if (!db) return;
+    try {
+        const tx = db.transaction(HISTORY_STORE, 'readwrite');
+        const store = tx.objectStore(HISTORY_STORE);
+        points.forEach(point => store.put(point));
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn('⚠️ Kurs-Historie konnte nicht gespeichert werden:', error);
+    }
+}
+
+// Punkte eines Symbols im Zeitraum [fromMs, toMs], aufsteigend nach Zeit.
+async function getQuoteHistory(key, { fromMs = 0, toMs = Date.now() } = {}) {
+    const db = await openQuoteHistoryDb();
+    if (!db) return [];
+    try {
+        const range = IDBKeyRange.bound([key, fromMs], [key, toMs]);
+        const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+        return await requestToPromise(store.getAll(range));
+    } catch (error) {
+        console.warn('⚠️ Kurs-Historie konnte nicht gelesen werden:', error);
+        return [];
+    }
+}
+
+// Letzter bekannter Punkt zum Zeitpunkt tsMs (oder davor).
+async function getQuotePointAt(key, tsMs) {
+    const db = await openQuoteHistoryDb();
+    if (!db) return null;
+    try {
+        const range = IDBKeyRange.bound([key, 0], [key, tsMs]);
+        const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+        const cursor = await requestToPromise(store.openCursor(range, 'prev'));
+        return cursor ? cursor.value : null;
+    } catch {
+        return null;
+    }
+}
+
+function getHistoryBucket(ageMs, tsMs) {
+    const tierIndex = HISTORY_COMPACTION_TIERS.findIndex(tier => ageMs > tier.olderThanMs);
+    if (tierIndex === -1) return null;
+    return `${tierIndex}:${Math.floor(tsMs / HISTORY_COMPACTION_TIERS[tierIndex].bucketMs)}`;
+}
+
+// Geht einmal über alle Punkte (sortiert nach Symbol, dann Zeit). Pro Symbol und Intervall
+// bleibt nur der letzte Punkt stehen.
+async function compactQuoteHistory(nowMs = Date.now()) {
+    const db = await openQuoteHistoryDb();
+    if (!db) return 0;
+
+    let removed = 0;
+    try {
+        const tx = db.transaction(HISTORY_STORE, 'readwrite');
+        const store = tx.objectStore(HISTORY_STORE);
+        let previous = null;
+
+        await new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                const point = cursor.value;
+                const ageMs = nowMs - point.tsMs;
+                if (ageMs > HISTORY_MAX_AGE_MS) {
+                    cursor.delete();
+                    removed++;
+                    previous = null;
+                    cursor.continue();
+                    return;
+                }
+
+                const bucket = getHistoryBucket(ageMs, point.tsMs);
+                if (bucket && previous && previous.key === point.key && previous.bucket === bucket) {
+                    store.delete([previous.key, previous.tsMs]);
+                    removed++;
+                }
+                previous = { key: point.key, tsMs: point.tsMs, bucket };
+                cursor.continue();
+            };
+        });
+        await transactionDone(tx);
+    } catch (error) {
+        console.warn('⚠️ Kurs-Historie: Kompaktierung fehlgeschlagen:', error);
+        return removed;
+    }
+
+    if (removed > 0) console.log(`🧹 Kurs-Historie kompaktiert: ${removed} Punkte entfernt`);
+    return removed;
+}
+
+function scheduleQuoteHistoryCompaction() {
+    let lastRunMs = 0;
+    try {
+        lastRunMs = Number(localStorage.getItem(HISTORY_COMPACTED_AT_KEY)) || 0;
+    } catch {
+        // ignore
+    }
+    if (Date.now() - lastRunMs < HISTORY_COMPACTION_INTERVAL_MS) return;
+
+    const run = () => compactQuoteHistory().then(() => {
+        try {
+            localStorage.setItem(HISTORY_COMPACTED_AT_KEY, String(Date.now()));
+        } catch {
+            // ignore
+        }
+    });
+    if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(run, { timeout: 10000 });
+    } else {
+        setTimeout(run, 5000);
+    }
+}
+
+// ==================== SEIT LETZTEM BESUCH ====================
+function getVisitBaselineMs() {
+    try {
+        const stored = sessionStorage.getItem(VISIT_BASELINE_KEY);
+        if (stored !== null) return Number(stored) || null;
+
+        const lastVisitMs = Number(localStorage.getItem(LAST_VISIT_KEY)) || 0;
+        sessionStorage.setItem(VISIT_BASELINE_KEY, String(lastVisitMs));
+        return lastVisitMs || null;
+    } catch {
+        return null;
+    }
+}
+
+function markVisit() {
+    try {
+        localStorage.setItem(LAST_VISIT_KEY, String(Date.now()));
+    } catch {
+        // ignore
+    }
+}
+
+// Prozentuale Veränderung seit dem letzten Besuch, oder null (erster Besuch / keine Daten).
+// Punkte in einer anderen Währung (Krypto nach einem Währungswechsel) werden nicht verglichen.
+async function getChangeSinceLastVisit(key, currentPrice, currency) {
+    const baselineMs = getVisitBaselineMs();
+    if (!baselineMs || !Number.isFinite(currentPrice)) return null;
+
+    const point = await getQuotePointAt(key, baselineMs);
+    if (!point || !(point.price > 0)) return null;
+    if (currency && point.currency && point.currency !== currency) return null;
+    return { change: ((currentPrice - point.price) / point.price) * 100, sinceMs: baselineMs };
+}
+
+getVisitBaselineMs();
+markVisit();
+window.addEventListener('pagehide', () => {
+    markVisit();
+    flushQuoteHistory();
+});
+scheduleQuoteHistoryCompaction();
@@ -28,7 +28,7 @@ const navMenu = document.querySelector('.nav-menu');
 if (hamburger) {
     hamburger.setAttribute('role', 'button');
     hamburger.setAttribute('tabindex', '0');
-    hamburger.setAttribute('aria-label', 'Menü');
+    hamburger.setAttribute('aria-label', t('nav.menu'));
     hamburger.setAttribute('aria-expanded', 'false');
 }
 
@@ -104,7 +104,7 @@ if (kontaktForm) {
         const submitBtn = kontaktForm.querySelector('button[type="submit"]');
         if (submitBtn) {
             submitBtn.disabled = true;
-            submitBtn.textContent = 'Wird gesendet…';
+            submitBtn.textContent = t('contact.sending');
         }
     });
 }
@@ -186,49 +186,16 @@ if (footerYear) {
 }
 
 // Daily Tip Rotation
+// Titel und Text stehen im Sprachkatalog (i18n.js) unter tip.<id>.title / tip.<id>.content,
+// die Beschriftung eines optionalen Links zum passenden Werkzeug unter tip.<id>.link
 const tips = [
-    {
-        title: "📈 Dollar-Cost Averaging (DCA)",
-        content: "Investiere regelmäßig feste Beträge, unabhängig vom aktuellen Preis. Diese Strategie minimiert das Risiko von ungünstigen Einstiegszeitpunkten und glättet die Volatilität. Bei einem DCA-Plan kaufst du z.B. jeden Monat für 100€ Bitcoin - egal ob der Kurs bei 30.000€ oder 50.000€ steht.",
-        level: "Anfänger",
-        category: "Strategie"
-    },
-    {
-        title: "🎯 Diversifikation ist Key",
-        content: "Setze nicht alles auf eine Karte. Verteile dein Portfolio auf verschiedene Indices und Asset-Klassen, um Risiken zu streuen und von verschiedenen Markttrends zu profitieren. Die 60-30-10 Regel: 60% etablierte Coins, 30% Mid-Caps, 10% High-Risk/High-Reward.",
-        level: "Anfänger",
-        category: "Risk Management"
-    },
-    {
-        title: "📊 Technische Analyse nutzen",
-        content: "Lerne Charts zu lesen und erkenne Muster. RSI, MACD und Moving Averages sind essenzielle Tools für erfolgreiche Entry- und Exit-Points. Ein RSI über 70 signalisiert überkaufte Bedingungen, unter 30 überverkaufte - ideale Zeitpunkte für Trades.",
-        level: "Fortgeschritten",
-        category: "Analyse"
-    },
-    {
-        title: "🛡️ Stop-Loss Orders setzen",
-        content: "Schütze dein Kapital durch automatische Stop-Loss Orders. Definiere vorab, wieviel Verlust du bereit bist zu akzeptieren. Eine gängige Regel: Setze Stop-Loss 7-10% unter deinem Einstiegspreis bei volatilen Assets.",
-        level: "Fortgeschritten",
-        category: "Risk Management"
-    },
-    {
-        title: "💰 Nur investieren was du verlieren kannst",
-        content: "Krypto-Märkte sind volatil. Investiere niemals Geld, das du für deinen Lebensunterhalt brauchst oder dir geliehen hast. Eine Faustregel: Maximal 5-10% deines Gesamtvermögens in Krypto, abhängig von deiner Risikotoleranz.",
-        level: "Anfänger",
-        category: "Grundlagen"
-    },
-    {
-        title: "⏰ Market Timing vermeiden",
-        content: "Den perfekten Zeitpunkt zu finden ist nahezu unmöglich. Konzentriere dich auf langfristige Trends statt auf kurzfristige Schwankungen. 'Time in the market beats timing the market' - dieses Prinzip gilt auch für Krypto.",
-        level: "Fortgeschritten",
-        category: "Psychologie"
-    },
-    {
-        title: "🔍 Research vor Investment (DYOR)",
-        content: "Do Your Own Research ist essentiell. Analysiere Whitepapers, Team-Background, Tokenomics und Use-Cases bevor du investierst. Prüfe: Wer ist im Team? Welches Problem löst das Projekt? Wie ist die Token-Distribution?",
-        level: "Anfänger",
-        category: "Grundlagen"
-    }
+    { id: 'dca', level: 'beginner', category: 'strategy', link: 'backtest.html?key=cg:BTC&amount=100&frequency=monthly' },
+    { id: 'diversification', level: 'beginner', category: 'risk' },
+    { id: 'technical', level: 'intermediate', category: 'analysis', link: 'scanner.html' },
+    { id: 'stopLoss', level: 'intermediate', category: 'risk' },
+    { id: 'affordable', level: 'beginner', category: 'basics' },
+    { id: 'timing', level: 'intermediate', category: 'psychology' },
+    { id: 'research', level: 'beginner', category: 'basics' }
 ];
 
 function getDailyTipIndex() {
@@ -244,23 +211,30 @@ function updateDailyTip() {
     
     if (tipTitle && tipContent) {
         const todaysTip = tips[getDailyTipIndex()];
-        tipTitle.textContent = todaysTip.title;
-        tipContent.textContent = todaysTip.content;
+        tipTitle.textContent = t(`tip.${todaysTip.id}.title`);
+        tipContent.textContent = t(`tip.${todaysTip.id}.content`);
+
+        const tipLink = document.getElementById('tipLink');
+        if (tipLink) {
+            tipLink.hidden = !todaysTip.link;
+            if (todaysTip.link) {
+                tipLink.href = todaysTip.link;
+                tipLink.querySelector('span').textContent = t(`tip.${todaysTip.id}.link`);
+            }
+        }
         
         // Update meta tags
         const metaContainer = document.querySelector('.tip-meta-main');
         if (metaContainer) {
             metaContainer.innerHTML = `
-                <span class="difficulty ${todaysTip.level.toLowerCase()}">${todaysTip.level}</span>
-                <span class="category">${todaysTip.category}</span>
+                <span class="difficulty ${todaysTip.level}">${t(`tip.level.${todaysTip.level}`)}</span>
+                <span class="category">${t(`tip.category.${todaysTip.category}`)}</span>
             `;
         }
     }
     
     if (tipDate) {
-        const today = new Date();
-        const options = { day: 'numeric', month: 'long', year: 'numeric' };
-        tipDate.textContent = today.toLocaleDateString('de-DE', options);
+        tipDate.textContent = formatDateTime(new Date(), { day: 'numeric', month: 'long', year: 'numeric' });
     }
 }
 
@@ -0,0 +1,485 @@
+// Quote-Relay für RBC Excellence
+// Holt Yahoo Finance, CoinGecko und den Fear & Greed Index (alternative.me) serverseitig, damit der Browser keine öffentlichen
+// CORS-Proxies braucht (rate-limited, oft 403, sehen jeden Request).
+//
+// - Same-origin JSON unter /api/yahoo/..., /api/coingecko/... und /api/alternative/...
+//   (gleicher Pfad wie upstream)
+// - Cache pro Symbol mit TTL; gleichzeitige identische Requests werden zusammengelegt
+// - Bei Upstream-Fehlern wird ein abgelaufener Cache-Eintrag (stale) ausgeliefert
+// - Liefert optional die statischen Seiten aus (lokale Entwicklung: alles same-origin)
+//
+// Start:  node server/quote-relay.js   (Node 18+, keine Dependencies)
+//
+// Konfiguration via Environment:
+//   RELAY_HOST / RELAY_PORT        Listen-Adresse (Default 127.0.0.1:8787)
+//   RELAY_CACHE_TTL_MS             TTL für Kurse (Default 30000)
+//   RELAY_FUNDAMENTALS_TTL_MS      TTL für Fundamentaldaten / quoteSummary (Default 6h)
+//   RELAY_STALE_MAX_MS             Wie lange abgelaufene Einträge als Notfall dienen (Default 1h)
+//   RELAY_UPSTREAM_TIMEOUT_MS      Timeout pro Upstream-Request (Default 8000)
+//   RELAY_YAHOO_BASE               Default https://query1.finance.yahoo.com
+//   RELAY_YAHOO_COOKIE_URL         Setzt das Yahoo-Cookie für den Crumb (Default https://fc.yahoo.com)
+//   RELAY_COINGECKO_BASE           Default https://api.coingecko.com
+//   RELAY_ALTERNATIVE_BASE         Default https://api.alternative.me
+//   RELAY_STATIC_ROOT              Verzeichnis für statische Dateien (Default: Repo-Root,
+//                                  leer = keine statischen Dateien)
+//
+// Für Tests gegen einen lokalen Upstream siehe tools/relay-upstream-stub.js, automatischer
+// Check: node --test tools/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const config = {
+    host: process.env.RELAY_HOST || '127.0.0.1',
+    port: Number(process.env.RELAY_PORT || 8787),
+    cacheTtlMs: Number(process.env.RELAY_CACHE_TTL_MS || 30000),
+    staleMaxMs: Number(process.env.RELAY_STALE_MAX_MS || 1000 * 60 * 60),
+    upstreamTimeoutMs: Number(process.env.RELAY_UPSTREAM_TIMEOUT_MS || 8000),
+    fundamentalsTtlMs: Number(process.env.RELAY_FUNDAMENTALS_TTL_MS || 1000 * 60 * 60 * 6),
+    yahooCookieUrl: process.env.RELAY_YAHOO_COOKIE_URL || 'https://fc.yahoo.com',
+    staticRoot: process.env.RELAY_STATIC_ROOT !== undefined
+        ? process.env.RELAY_STATIC_ROOT
+        : path.resolve(__dirname, '..')
+};
+
+const CACHE_MAX_ENTRIES = 5000;
+
+const UPSTREAMS = {
+    yahoo: (process.env.RELAY_YAHOO_BASE || 'https://query1.finance.yahoo.com').replace(/\/+$/, ''),
+    coingecko: (process.env.RELAY_COINGECKO_BASE || 'https://api.coingecko.com').replace(/\/+$/, ''),
+    alternative: (process.env.RELAY_ALTERNATIVE_BASE || 'https://api.alternative.me').replace(/\/+$/, '')
+};
+
+// Nur diese Upstream-Pfade werden weitergereicht (kein offener Proxy!).
+// Routen mit `symbolsParam` liefern mehrere Symbole pro Request; sie werden pro Symbol
+// gecached und beim Ausliefern wieder zusammengesetzt. `yahooCrumb`: Upstream verlangt
+// Cookie + Crumb (wird hier angehängt, der Browser kann das über Proxies nicht).
+const ROUTES = [
+    {
+        upstream: 'yahoo',
+        pattern: /^v8\/finance\/chart\/[^/]+$/
+    },
+    {
+        // Fundamentaldaten für die Aktien-Cards (ändern sich höchstens täglich)
+        upstream: 'yahoo',
+        pattern: /^v10\/finance\/quoteSummary\/[^/]+$/,
+        yahooCrumb: true,
+        ttlMs: config.fundamentalsTtlMs
+    },
+    {
+        upstream: 'yahoo',
+        pattern: /^v7\/finance\/quote$/,
+        symbolsParam: 'symbols',
+        yahooCrumb: true,
+        split: splitYahooQuoteResponse,
+        merge: mergeYahooQuoteResponse
+    },
+    {
+        // Intraday-Serien für die Sparklines (mehrere Symbole pro Request)
+        upstream: 'yahoo',
+        pattern: /^v8\/finance\/spark$/,
+        symbolsParam: 'symbols',
+        split: splitYahooSparkResponse,
+        merge: mergeYahooSparkResponse,
+        ttlMs: 1000 * 60 * 2
+    },
+    {
+        upstream: 'coingecko',
+        pattern: /^api\/v3\/coins\/[^/]+\/(market_chart|ohlc)$/,
+        ttlMs: 1000 * 60 * 5
+    },
+    {
+        // Top-N-Tabelle auf krypto.html (eine Seite mit bis zu 250 Coins)
+        upstream: 'coingecko',
+        pattern: /^api\/v3\/coins\/markets$/
+    },
+    {
+        // Marktübersicht auf krypto.html: Gesamt-Marktkapitalisierung, Volumen, Dominanz
+        upstream: 'coingecko',
+        pattern: /^api\/v3\/global$/,
+        ttlMs: 1000 * 60 * 2
+    },
+    {
+        // Fear & Greed Index, wird upstream einmal täglich neu berechnet
+        upstream: 'alternative',
+        pattern: /^fng\/?$/,
+        ttlMs: 1000 * 60 * 10
+    },
+    {
+        upstream: 'coingecko',
+        pattern: /^api\/v3\/simple\/price$/,
+        symbolsParam: 'ids',
+        split: splitKeyedObject,
+        merge: mergeKeyedObjects
+    }
+];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+// Verzeichnisse/Dateien, die nie statisch ausgeliefert werden.
+const STATIC_DENYLIST = /^(server|tools|node_modules)(\/|$)|(^|\/)\./;
+
+// ==================== CACHE ====================
+const cache = new Map();
+const inFlight = new Map();
+
+function getCached(key, { allowStale = false } = {}) {
+    const entry = cache.get(key);
+    if (!entry) return undefined;
+
+    const age = Date.now() - entry.storedAt;
+    if (age <= entry.ttlMs) return entry;
+    if (allowStale && age <= entry.ttlMs + config.staleMaxMs) return entry;
+    return undefined;
+}
+
+function setCached(key, body, ttlMs) {
+    cache.delete(key);
+    cache.set(key, { body, storedAt: Date.now(), ttlMs });
+
+    // Map behält die Einfügereihenfolge -> ältesten Eintrag verwerfen
+    while (cache.size > CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+// ==================== UPSTREAM ====================
+// Yahoo lehnt Requests ohne Browser-ähnlichen User-Agent teilweise ab
+const UPSTREAM_USER_AGENT = 'Mozilla/5.0 (compatible; RBC-Excellence-Relay/1.0)';
+
+async function fetchUpstreamJson(url, headers = {}) {
+    const response = await fetch(url, {
+        headers: {
+            'Accept': 'application/json',
+            'User-Agent': UPSTREAM_USER_AGENT,
+            ...headers
+        },
+        signal: AbortSignal.timeout(config.upstreamTimeoutMs)
+    });
+    if (!response.ok) {
+        const error = new Error(`Upstream HTTP ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+// ==================== YAHOO-CRUMB ====================
+// quoteSummary und v7/finance/quote antworten nur mit Session-Cookie und passendem Crumb.
+// Beides wird einmal geholt und für alle Requests wiederverwendet; lehnt Yahoo ab (401/403),
+// einmal erneuern.
+let yahooSession = null;
+
+async function fetchYahooSession() {
+    // fc.yahoo.com antwortet mit 404, setzt aber das Cookie
+    const cookieResponse = await fetch(config.yahooCookieUrl, {
+        headers: { 'User-Agent': UPSTREAM_USER_AGENT },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.upstreamTimeoutMs)
+    });
+    // getSetCookie erst ab Node 19.7; ältere Versionen liefern über get() nur das erste Cookie sauber
+    const setCookies = typeof cookieResponse.headers.getSetCookie === 'function'
+        ? cookieResponse.headers.getSetCookie()
+        : [cookieResponse.headers.get('set-cookie')].filter(Boolean);
+    const cookie = setCookies.map(header => header.split(';')[0]).join('; ');
+    if (!cookie) throw new Error('Yahoo-Cookie fehlt');
+
+    const crumbResponse = await fetch(`${UPSTREAMS.yahoo}/v1/test/getcrumb`, {
+        headers: { 'User-Agent': UPSTREAM_USER_AGENT, 'Cookie': cookie },
+        signal: AbortSignal.timeout(config.upstreamTimeoutMs)
+    });
+    const crumb = crumbResponse.ok ? (await crumbResponse.text()).trim() : '';
+    if (!crumb || crumb.includes('<')) throw new Error(`Yahoo-Crumb fehlt (HTTP ${crumbResponse.status})`);
+    return { cookie, crumb };
+}
+
+function getYahooSession({ renew = false } = {}) {
+    if (renew || !yahooSession) {
+        yahooSession = fetchYahooSession().catch(error => {
+            yahooSession = null;
+            throw error;
+        });
+    }
+    return yahooSession;
+}
+
+async function fetchYahooCrumbJson(url) {
+    const withCrumb = ({ crumb }) => `${url}${url.includes('?') ? '&' : '?'}crumb=${encodeURIComponent(crumb)}`;
+    const session = await getYahooSession();
+    try {
+        return await fetchUpstreamJson(withCrumb(session), { 'Cookie': session.cookie });
+    } catch (error) {
+        if (error.status !== 401 && error.status !== 403) throw error;
+        const renewed = await getYahooSession({ renew: true });
+        return fetchUpstreamJson(withCrumb(renewed), { 'Cookie': renewed.cookie });
+    }
+}
+
+// Gleiche Requests, die gleichzeitig eintreffen, teilen sich einen Upstream-Call.
+function fetchUpstreamOnce(url, route) {
+    if (inFlight.has(url)) return inFlight.get(url);
+
+    const fetcher = route.yahooCrumb ? fetchYahooCrumbJson : fetchUpstreamJson;
+    const promise = fetcher(url).finally(() => inFlight.delete(url));
+    inFlight.set(url, promise);
+    return promise;
+}
+
+// upstreamPath ist dekodiert (Routen prüfen den Klartext); jedes Segment wieder kodieren, damit
+// ein %3F, %26 oder %23 im Symbol upstream nicht zu ?, & oder # wird (Query-Injection
+// am Cache-Key vorbei)
+function buildUpstreamUrl(route, upstreamPath, params) {
+    const query = params.toString();
+    const encodedPath = upstreamPath.split('/').map(encodeURIComponent).join('/');
+    return `${UPSTREAMS[route.upstream]}/${encodedPath}${query ? `?${query}` : ''}`;
+}
+
+function sortedParams(params, omit) {
+    const entries = [...params.entries()].filter(([name]) => name !== omit);
+    entries.sort(([a], [b]) => a.localeCompare(b));
+    return new URLSearchParams(entries);
+}
+
+async function resolveSingle(route, upstreamPath, params) {
+    const normalized = sortedParams(params);
+    const key = `${route.upstream}:${upstreamPath}?${normalized}`;
+
+    const fresh = getCached(key);
+    if (fresh) return { body: fresh.body, cacheStatus: 'hit' };
+
+    try {
+        const body = await fetchUpstreamOnce(buildUpstreamUrl(route, upstreamPath, normalized), route);
+        setCached(key, body, route.ttlMs ?? config.cacheTtlMs);
+        return { body, cacheStatus: 'miss' };
+    } catch (error) {
+        const stale = getCached(key, { allowStale: true });
+        if (stale) return { body: stale.body, cacheStatus: 'stale' };
+        throw error;
+    }
+}
+
+async function resolveMultiSymbol(route, upstreamPath, params) {
+    const symbols = [...new Set(String(params.get(route.symbolsParam) || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean))];
+    if (symbols.length === 0) {
+        const error = new Error(`Parameter "${route.symbolsParam}" fehlt`);
+        error.status = 400;
+        throw error;
+    }
+
+    const rest = sortedParams(params, route.symbolsParam);
+    const keyFor = (symbol) => `${route.upstream}:${upstreamPath}?${rest}#${symbol}`;
+
+    const pieces = {};
+    const missing = [];
+    for (const symbol of symbols) {
+        const fresh = getCached(keyFor(symbol));
+        if (fresh) pieces[symbol] = fresh.body;
+        else missing.push(symbol);
+    }
+
+    let cacheStatus = missing.length === 0 ? 'hit' : 'miss';
+    if (missing.length > 0) {
+        const upstreamParams = new URLSearchParams(rest);
+        upstreamParams.set(route.symbolsParam, missing.join(','));
+
+        try {
+            const body = await fetchUpstreamOnce(buildUpstreamUrl(route, upstreamPath, upstreamParams), route);
+            const split = route.split(body, missing);
+            for (const [symbol, piece] of Object.entries(split)) {
+                setCached(keyFor(symbol), piece, route.ttlMs ?? config.cacheTtlMs);
+                pieces[symbol] = piece;
+            }
+        } catch (error) {
+            for (const symbol of missing) {
+                const stale = getCached(keyFor(symbol), { allowStale: true });
+                if (stale) pieces[symbol] = stale.body;
+            }
+            if (Object.keys(pieces).length === 0) throw error;
+            cacheStatus = 'stale';
+        }
+    }
+
+    const ordered = symbols.filter(symbol => pieces[symbol] !== undefined).map(symbol => [symbol, pieces[symbol]]);
+    return { body: route.merge(ordered), cacheStatus };
+}
+
+// CoinGecko /simple/price: { bitcoin: {...}, ethereum: {...} }
+function splitKeyedObject(body, symbols) {
+    const pieces = {};
+    for (const symbol of symbols) {
+        if (body && body[symbol] !== undefined) pieces[symbol] = body[symbol];
+    }
+    return pieces;
+}
+
+function mergeKeyedObjects(entries) {
+    return Object.fromEntries(entries);
+}
+
+// Yahoo /v7/finance/quote: { quoteResponse: { result: [{ symbol, ... }], error } }
+function splitYahooQuoteResponse(body, symbols) {
+    const items = body?.quoteResponse?.result;
+    if (!Array.isArray(items)) throw new Error('Unexpected quote response');
+
+    const pieces = {};
+    for (const symbol of symbols) {
+        const item = items.find(i => String(i?.symbol).toUpperCase() === symbol.toUpperCase());
+        if (item) pieces[symbol] = item;
+    }
+    return pieces;
+}
+
+function mergeYahooQuoteResponse(entries) {
+    return { quoteResponse: { result: entries.map(([, item]) => item), error: null } };
+}
+
+function splitYahooSparkResponse(body, symbols) {
+    const items = body?.spark?.result;
+    if (!Array.isArray(items)) throw new Error('Unexpected spark response');
+
+    const pieces = {};
+    for (const symbol of symbols) {
+        const item = items.find(i => String(i?.symbol).toUpperCase() === symbol.toUpperCase());
+        if (item) pieces[symbol] = item;
+    }
+    return pieces;
+}
+
+function mergeYahooSparkResponse(entries) {
+    return { spark: { result: entries.map(([, item]) => item), error: null } };
+}
+
+// ==================== HTTP ====================
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+async function handleApi(req, res, url) {
+    if (url.pathname === '/api/health') {
+        sendJson(res, 200, { ok: true, cacheEntries: cache.size });
+        return;
+    }
+
+    const match = url.pathname.match(/^\/api\/(yahoo|coingecko|alternative)\/(.+)$/);
+    let upstreamPath = '';
+    try {
+        upstreamPath = match ? decodeURIComponent(match[2]) : '';
+    } catch {
+        // Kaputte Prozent-Kodierung (z.B. %E0%A4%A) -> URIError
+        sendJson(res, 400, { error: 'Ungültige URL-Kodierung' });
+        return;
+    }
+    const route = match && ROUTES.find(r => r.upstream === match[1] && r.pattern.test(upstreamPath));
+    if (!route) {
+        sendJson(res, 404, { error: 'Unbekannter Endpoint' });
+        return;
+    }
+
+    try {
+        const { body, cacheStatus } = route.symbolsParam
+            ? await resolveMultiSymbol(route, upstreamPath, url.searchParams)
+            : await resolveSingle(route, upstreamPath, url.searchParams);
+        sendJson(res, 200, body, { 'X-Relay-Cache': cacheStatus });
+    } catch (error) {
+        const status = error.status === 400 ? 400 : 502;
+        console.warn(`⚠️ ${req.method} ${url.pathname}${url.search}: ${error.message}`);
+        sendJson(res, status, { error: error.message });
+    }
+}
+
+function resolveStaticPath(pathname) {
+    let relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+    if (relative === '' || relative.endsWith('/')) relative += 'index.html';
+    if (STATIC_DENYLIST.test(relative)) return null;
+
+    const root = path.resolve(config.staticRoot);
+    const filePath = path.resolve(root, relative);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+
+    // Pretty URLs wie in .htaccess: /krypto -> /krypto.html
+    if (!path.extname(filePath) && fs.existsSync(`${filePath}.html`)) return `${filePath}.html`;
+    return filePath;
+}
+
+function handleStatic(req, res, url) {
+    let filePath = null;
+    try {
+        filePath = config.staticRoot ? resolveStaticPath(url.pathname) : null;
+    } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad Request');
+        return;
+    }
+
+    fs.readFile(filePath || '', (error, data) => {
+        if (error) {
+            const notFound = config.staticRoot ? path.join(config.staticRoot, '404.html') : '';
+            fs.readFile(notFound, (notFoundError, notFoundPage) => {
+                res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(notFoundError ? 'Not Found' : notFoundPage);
+            });
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+function createRelayServer() {
+    return http.createServer((req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method Not Allowed' }, { 'Allow': 'GET, HEAD' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://relay.local');
+        if (url.pathname.startsWith('/api/')) {
+            // Ein unerwarteter Fehler darf nie als unhandled rejection den ganzen Relay beenden
+            handleApi(req, res, url).catch(error => {
+                console.error(`❌ ${req.method} ${url.pathname}:`, error);
+                if (res.headersSent) res.destroy();
+                else sendJson(res, 500, { error: 'Interner Fehler' });
+            });
+        } else {
+            handleStatic(req, res, url);
+        }
+    });
+}
+
+if (require.main === module) {
+    createRelayServer().listen(config.port, config.host, () => {
+        console.log(`🚀 Quote-Relay läuft auf http://${config.host}:${config.port}`);
+        console.log(`   Yahoo: ${UPSTREAMS.yahoo}`);
+        console.log(`   CoinGecko: ${UPSTREAMS.coingecko}`);
+        console.log(`   Fear & Greed: ${UPSTREAMS.alternative}`);
+        if (config.staticRoot) console.log(`   Statische Dateien: ${path.resolve(config.staticRoot)}`);
+    });
+}
+
+module.exports = { createRelayServer, config, UPSTREAMS, ROUTES };
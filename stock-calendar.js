@@ -0,0 +1,210 @@
+// Termin-Kalender für RBC Excellence (assets.html)
+// Quartalszahlen, Ex-Dividende und Dividendenzahlung aller Aktien aus dem Katalog für die
+// nächsten Wochen, nach Tag gruppiert, mit Export als ICS-Datei. Die Termine stehen in den
+// Fundamentaldaten im Live-Cache (live-data.js holt sie einmal täglich und meldet das mit
+// rbc:fundamentals-updated). Muss nach live-data.js geladen werden.
+
+const STOCK_CALENDAR_KEY = 'rbc_stock_calendar_v1';
+const STOCK_CALENDAR_WEEKS = [2, 4, 8, 13];
+const STOCK_CALENDAR_DEFAULT_WEEKS = 4;
+const STOCK_CALENDAR_ICS_FILENAME = 'rbc-excellence-termine.ics';
+
+// Reihenfolge innerhalb eines Tages; Text aus dem Sprachkatalog (events.<type>)
+const STOCK_EVENT_TYPES = [
+    { type: 'earnings', field: 'earningsDateSec', icon: 'fas fa-file-invoice-dollar' },
+    { type: 'exDividend', field: 'exDividendDateSec', icon: 'fas fa-scissors' },
+    { type: 'dividend', field: 'dividendDateSec', icon: 'fas fa-hand-holding-dollar' }
+];
+
+const stockCalendar = {
+    weeks: loadStockCalendarWeeks(),
+    // Ohne Cache-Daten erst nach dem ersten Ladeversuch "fehlgeschlagen" statt "Lädt…" zeigen
+    refreshed: false
+};
+
+function loadStockCalendarWeeks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STOCK_CALENDAR_KEY) || '{}') || {};
+        return STOCK_CALENDAR_WEEKS.includes(stored.weeks) ? stored.weeks : STOCK_CALENDAR_DEFAULT_WEEKS;
+    } catch {
+        return STOCK_CALENDAR_DEFAULT_WEEKS;
+    }
+}
+
+function saveStockCalendarWeeks() {
+    try {
+        localStorage.setItem(STOCK_CALENDAR_KEY, JSON.stringify({ weeks: stockCalendar.weeks }));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function hasStockCalendarData() {
+    return getInstruments('stocks').some(instrument => getCacheEntry(getFundamentalsCacheKey(instrument.symbol)));
+}
+
+// Termine ab heute (UTC-Tag) für `weeks` Wochen, nach Tag, Typ und Name sortiert.
+// dateMs ist immer 00:00 UTC des Termins.
+function getUpcomingStockEvents(weeks, nowMs = Date.now()) {
+    const fromMs = Math.floor(nowMs / DAY_MS) * DAY_MS;
+    const toMs = fromMs + weeks * 7 * DAY_MS;
+    const events = [];
+
+    for (const instrument of getInstruments('stocks')) {
+        const entry = getCacheEntry(getFundamentalsCacheKey(instrument.symbol));
+        if (!entry) continue;
+        STOCK_EVENT_TYPES.forEach(({ type, field }, order) => {
+            const dateMs = Math.floor(Number(entry[field]) * 1000 / DAY_MS) * DAY_MS;
+            if (dateMs >= fromMs && dateMs < toMs) events.push({ instrument, type, order, dateMs });
+        });
+    }
+
+    return events.sort((a, b) => a.dateMs - b.dateMs
+        || a.order - b.order
+        || a.instrument.name.localeCompare(b.instrument.name, getLocale()));
+}
+
+function formatStockEventDay(dateMs) {
+    return formatDateTime(dateMs, { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
+}
+
+function createStockEventItem(event) {
+    const { icon } = STOCK_EVENT_TYPES[event.order];
+    const item = document.createElement('li');
+    item.className = `calendar-event calendar-event-${event.type}`;
+
+    const type = document.createElement('span');
+    type.className = 'calendar-event-type';
+    type.innerHTML = `<i class="${icon}" aria-hidden="true"></i>`;
+    type.append(` ${t(`events.${event.type}`)}`);
+
+    const link = document.createElement('a');
+    link.className = 'calendar-event-name';
+    link.href = getDetailUrl(event.instrument.symbol, 'stocks');
+    link.textContent = event.instrument.name;
+
+    const ticker = document.createElement('span');
+    ticker.className = 'calendar-event-ticker';
+    ticker.textContent = getInstrumentTicker(event.instrument);
+
+    item.append(type, link, ticker);
+    return item;
+}
+
+function renderStockCalendar({ afterRefresh = false } = {}) {
+    const root = document.querySelector('.stock-calendar');
+    if (!root) return;
+    if (afterRefresh) stockCalendar.refreshed = true;
+
+    const { weeks } = stockCalendar;
+    const events = getUpcomingStockEvents(weeks);
+    const list = root.querySelector('.stock-calendar-list');
+    list.innerHTML = '';
+
+    let dayList = null;
+    let currentDayMs = null;
+    for (const event of events) {
+        if (event.dateMs !== currentDayMs) {
+            currentDayMs = event.dateMs;
+            const day = document.createElement('li');
+            day.className = 'calendar-day';
+            const heading = document.createElement('h3');
+            heading.textContent = formatStockEventDay(event.dateMs);
+            dayList = document.createElement('ul');
+            day.append(heading, dayList);
+            list.appendChild(day);
+        }
+        dayList.appendChild(createStockEventItem(event));
+    }
+
+    let status = t('calendar.status', { count: events.length, weeks });
+    if (!hasStockCalendarData()) status = stockCalendar.refreshed ? t('calendar.failed') : t('common.loading');
+    else if (events.length === 0) status = t('calendar.empty', { weeks });
+    root.querySelector('.stock-calendar-status').textContent = status;
+    root.querySelector('.stock-calendar-export').disabled = events.length === 0;
+}
+
+// ==================== ICS-EXPORT ====================
+// Ganztägige Termine (RFC 5545): DTEND ist der Folgetag, Zeilen mit CRLF und nach
+// 75 Bytes umgebrochen.
+function toIcsDate(dateMs) {
+    return new Date(dateMs).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function escapeIcsText(text) {
+    return String(text).replace(/[\\;,]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Folgezeilen beginnen mit einem Leerzeichen, das mitzählt
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function stockEventsToIcs(events, nowMs = Date.now()) {
+    const stamp = new Date(nowMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//RBC Excellence//Termine//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    for (const event of events) {
+        const ticker = getInstrumentTicker(event.instrument);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.instrument.symbol}-${event.type}-${toIcsDate(event.dateMs)}@rbc-excellence.com`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(event.dateMs)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(event.dateMs + DAY_MS)}`,
+            `SUMMARY:${escapeIcsText(`${event.instrument.name} (${ticker}): ${t(`events.${event.type}`)}`)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function downloadStockCalendarIcs() {
+    const blob = new Blob([stockEventsToIcs(getUpcomingStockEvents(stockCalendar.weeks))], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = STOCK_CALENDAR_ICS_FILENAME;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function initStockCalendar(root) {
+    const weeksSelect = root.querySelector('[name="weeks"]');
+    weeksSelect.value = String(stockCalendar.weeks);
+    weeksSelect.addEventListener('change', () => {
+        stockCalendar.weeks = Number(weeksSelect.value);
+        saveStockCalendarWeeks();
+        renderStockCalendar();
+    });
+    root.querySelector('.stock-calendar-export').addEventListener('click', downloadStockCalendarIcs);
+    document.addEventListener(FUNDAMENTALS_UPDATED_EVENT, () => renderStockCalendar({ afterRefresh: true }));
+
+    renderStockCalendar();
+}
+
+const stockCalendarRoot = document.querySelector('.stock-calendar');
+if (stockCalendarRoot) initStockCalendar(stockCalendarRoot);
@@ -0,0 +1,90 @@
+// Automatischer Check für server/quote-relay.js (Node 18+, keine Dependencies)
+// Startet den Relay (Yahoo über tools/relay-upstream-stub.js) auf einem freien Port und prüft,
+// dass fehlerhafte Requests mit einem Statuscode beantwortet werden und den Prozess nicht
+// beenden. Der Stub verlangt wie Yahoo Cookie + Crumb für quoteSummary und v7/finance/quote.
+//
+//   node --test tools/
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createStubServer } = require('./relay-upstream-stub.js');
+
+let stub;
+let server;
+let baseUrl;
+
+// Roher Pfad ohne Normalisierung (fetch/URL würden kaputte Kodierungen nicht durchreichen)
+function get(pathname) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}${pathname}`, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('error', reject);
+    });
+}
+
+before(async () => {
+    stub = createStubServer();
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    const stubBase = `http://127.0.0.1:${stub.address().port}`;
+
+    // Yahoo über den Stub (verlangt Cookie + Crumb wie upstream); CoinGecko und alternative.me
+    // auf einen geschlossenen lokalen Port, damit der Check nie ins Netz geht
+    process.env.RELAY_YAHOO_BASE = stubBase;
+    process.env.RELAY_YAHOO_COOKIE_URL = `${stubBase}/cookie`;
+    process.env.RELAY_COINGECKO_BASE = 'http://127.0.0.1:9';
+    process.env.RELAY_ALTERNATIVE_BASE = 'http://127.0.0.1:9';
+    process.env.RELAY_UPSTREAM_TIMEOUT_MS = '1000';
+    // Erst jetzt laden: der Relay liest seine Konfiguration beim require
+    const { createRelayServer } = require('../server/quote-relay.js');
+
+    server = createRelayServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => stub.close(resolve));
+});
+
+test('kaputte Prozent-Kodierung im statischen Pfad -> 400', async () => {
+    const res = await get('/%E0%A4%A');
+    assert.equal(res.status, 400);
+    assert.equal((await get('/api/health')).status, 200);
+});
+
+test('kaputte Prozent-Kodierung im API-Pfad -> 400', async () => {
+    const res = await get('/api/yahoo/v8/finance/chart/%E0%A4%A');
+    assert.equal(res.status, 400);
+    assert.match(res.body, /"error"/);
+    assert.equal((await get('/api/health')).status, 200);
+});
+
+test('kodiertes ? im Symbol bleibt Teil des Pfads (keine Query-Injection)', async () => {
+    const res = await get('/api/yahoo/v8/finance/chart/AAPL%3Finterval%3D1m%26range%3D5d?interval=1d&range=1d');
+    assert.equal(res.status, 200);
+    assert.equal(JSON.parse(res.body).chart.result[0].meta.symbol, 'AAPL?interval=1m&range=5d');
+});
+
+test('unbekannter API-Endpoint -> 404', async () => {
+    assert.equal((await get('/api/yahoo/v1/unknown')).status, 404);
+});
+
+test('Quote-Batch mit Crumb -> alle Symbole', async () => {
+    const res = await get('/api/yahoo/v7/finance/quote?symbols=AAPL,MSFT');
+    assert.equal(res.status, 200);
+    const symbols = JSON.parse(res.body).quoteResponse.result.map(item => item.symbol);
+    assert.deepEqual(symbols, ['AAPL', 'MSFT']);
+});
+
+test('nicht erreichbarer Upstream -> 502, Relay läuft weiter', async () => {
+    const res = await get('/api/coingecko/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
+    assert.equal(res.status, 502);
+    assert.equal((await get('/api/health')).status, 200);
+});
@@ -0,0 +1,327 @@
+// Lokaler Upstream-Stub für server/quote-relay.js
+// Beantwortet die Yahoo-, CoinGecko- und alternative.me-Endpoints, die der Relay weiterreicht, mit
+// deterministischen Testdaten und loggt jeden Hit (so sieht man, ob der Relay-Cache greift).
+//
+// Terminal 1:  node tools/relay-upstream-stub.js
+// Terminal 2:  RELAY_YAHOO_BASE=http://127.0.0.1:8790 RELAY_YAHOO_COOKIE_URL=http://127.0.0.1:8790/cookie \
+//              RELAY_COINGECKO_BASE=http://127.0.0.1:8790 RELAY_ALTERNATIVE_BASE=http://127.0.0.1:8790 \
+//              node server/quote-relay.js
+// Terminal 3:  curl -i "http://127.0.0.1:8787/api/yahoo/v8/finance/chart/AAPL?interval=1d&range=1d"
+//              curl -i "http://127.0.0.1:8787/api/yahoo/v7/finance/quote?symbols=AAPL,MSFT"
+//              curl -i "http://127.0.0.1:8787/api/coingecko/api/v3/simple/price?ids=bitcoin,ethereum&vs_currencies=usd"
+//              curl -i "http://127.0.0.1:8787/api/yahoo/v8/finance/spark?symbols=AAPL,MSFT&range=1d&interval=5m"
+//              curl -i "http://127.0.0.1:8787/api/yahoo/v10/finance/quoteSummary/AAPL?modules=price,summaryDetail"
+//              curl -i "http://127.0.0.1:8787/api/coingecko/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=1"
+//              curl -i "http://127.0.0.1:8787/api/coingecko/api/v3/coins/bitcoin/ohlc?vs_currency=usd&days=1"
+//              curl -i "http://127.0.0.1:8787/api/coingecko/api/v3/coins/markets?vs_currency=usd&per_page=5&page=1"
+//              curl -i "http://127.0.0.1:8787/api/coingecko/api/v3/global"
+//              curl -i "http://127.0.0.1:8787/api/alternative/fng/?limit=1"
+//
+// STUB_PORT (Default 8790), STUB_FAIL=1 antwortet immer mit 503 (Stale-Fallback testen).
+'use strict';
+
+const http = require('http');
+
+const port = Number(process.env.STUB_PORT || 8790);
+const STUB_COOKIE = 'A3=stub-session';
+const STUB_CRUMB = 'stubCrumb123';
+let hits = 0;
+let logHits = true;
+
+// Stabiler Pseudo-Preis pro Symbol, damit Antworten reproduzierbar sind.
+function priceFor(symbol) {
+    let hash = 0;
+    for (const char of symbol) hash = (hash * 31 + char.charCodeAt(0)) % 100000;
+    return 10 + (hash % 5000) / 10;
+}
+
+function chartResponse(symbol) {
+    const price = priceFor(symbol);
+    const nowSec = Math.floor(Date.now() / 1000);
+    return {
+        chart: {
+            result: [{
+                meta: {
+                    symbol,
+                    currency: 'USD',
+                    regularMarketPrice: price,
+                    chartPreviousClose: price * 0.99,
+                    regularMarketDayHigh: price * 1.01,
+                    regularMarketDayLow: price * 0.98,
+                    regularMarketTime: nowSec,
+                    regularMarketState: 'REGULAR'
+                },
+                timestamp: [nowSec - 120, nowSec - 60, nowSec],
+                indicators: {
+                    quote: [{
+                        open: [price * 0.99, price * 0.995, price],
+                        high: [price * 1.0, price * 1.005, price * 1.01],
+                        low: [price * 0.98, price * 0.99, price * 0.995],
+                        close: [price * 0.995, price, price],
+                        volume: [1000, 1200, 900]
+                    }]
+                },
+                error: null
+            }],
+            error: null
+        }
+    };
+}
+
+function quoteResponse(symbols) {
+    return {
+        quoteResponse: {
+            result: symbols.map(symbol => {
+                const price = priceFor(symbol);
+                return {
+                    symbol,
+                    currency: 'USD',
+                    marketState: 'REGULAR',
+                    regularMarketPrice: price,
+                    regularMarketPreviousClose: price * 0.99,
+                    regularMarketChangePercent: 1.01,
+                    regularMarketDayHigh: price * 1.01,
+                    regularMarketDayLow: price * 0.98,
+                    regularMarketTime: Math.floor(Date.now() / 1000)
+                };
+            }),
+            error: null
+        }
+    };
+}
+
+function sparkResponse(symbols) {
+    return {
+        spark: {
+            result: symbols.map(symbol => {
+                const chart = chartResponse(symbol).chart.result[0];
+                return { symbol, response: [{ meta: chart.meta, timestamp: chart.timestamp, indicators: chart.indicators }] };
+            }),
+            error: null
+        }
+    };
+}
+
+// Nur die Felder, die live-data.js aus quoteSummary liest ({ raw, fmt } wie bei Yahoo)
+function quoteSummaryResponse(symbol) {
+    const price = priceFor(symbol);
+    const raw = value => ({ raw: value, fmt: String(value) });
+    // Termine als ganze Tage (00:00 UTC) in 2, 3 und 5 Wochen
+    const daySec = 60 * 60 * 24;
+    const inDays = days => Math.floor(Date.now() / 1000 / daySec + days) * daySec;
+    return {
+        quoteSummary: {
+            result: [{
+                price: { symbol, currency: 'USD', marketCap: raw(price * 1e9) },
+                summaryDetail: {
+                    trailingPE: raw(24.5),
+                    dividendYield: raw(0.0123),
+                    beta: raw(1.12),
+                    fiftyTwoWeekLow: raw(price * 0.8),
+                    fiftyTwoWeekHigh: raw(price * 1.2)
+                },
+                defaultKeyStatistics: { trailingEps: raw(price / 24.5) },
+                assetProfile: { sector: 'Technology', industry: 'Software' },
+                calendarEvents: {
+                    earnings: { earningsDate: [raw(inDays(14)), raw(inDays(18))] },
+                    exDividendDate: raw(inDays(21)),
+                    dividendDate: raw(inDays(35))
+                }
+            }],
+            error: null
+        }
+    };
+}
+
+function marketChartResponse(id) {
+    const price = priceFor(id);
+    const nowMs = Date.now();
+    return {
+        prices: Array.from({ length: 288 }, (_, i) => [nowMs - (287 - i) * 5 * 60 * 1000, price * (1 + Math.sin(i / 20) / 50)])
+    };
+}
+
+function ohlcResponse(id) {
+    return marketChartResponse(id).prices
+        .filter((_, i) => i % 6 === 5)
+        .map(([t, price]) => [t, price * 0.998, price * 1.004, price * 0.995, price]);
+}
+
+function simplePriceResponse(ids, vsCurrencies) {
+    const body = {};
+    for (const id of ids) {
+        const price = priceFor(id);
+        body[id] = { last_updated_at: Math.floor(Date.now() / 1000) };
+        for (const vs of vsCurrencies) {
+            Object.assign(body[id], {
+                [vs]: price,
+                [`${vs}_market_cap`]: price * 1e7,
+                [`${vs}_24h_vol`]: price * 1e5,
+                [`${vs}_24h_change`]: 1.23
+            });
+        }
+    }
+    return body;
+}
+
+// Pseudo-Coins coin-1 … coin-N, nach Marktkapitalisierung absteigend
+function coinMarketsResponse(perPage, page) {
+    return Array.from({ length: perPage }, (_, i) => {
+        const rank = (page - 1) * perPage + i + 1;
+        const id = `coin-${rank}`;
+        const price = priceFor(id);
+        return {
+            id,
+            symbol: `c${rank}`,
+            name: `Coin ${rank}`,
+            current_price: price,
+            market_cap: 1e11 / rank,
+            market_cap_rank: rank,
+            total_volume: 1e9 / rank,
+            circulating_supply: 1e11 / rank / price,
+            ath: price * 1.5,
+            ath_change_percentage: -33.3,
+            price_change_percentage_1h_in_currency: 0.12,
+            price_change_percentage_24h_in_currency: 1.23,
+            price_change_percentage_7d_in_currency: -2.5,
+            last_updated: new Date().toISOString()
+        };
+    });
+}
+
+function globalResponse() {
+    const currencies = { usd: 1, chf: 0.88, eur: 0.92 };
+    const scaled = total => Object.fromEntries(Object.entries(currencies).map(([vs, rate]) => [vs, total * rate]));
+    return {
+        data: {
+            active_cryptocurrencies: 12000,
+            total_market_cap: scaled(2.4e12),
+            total_volume: scaled(9.5e10),
+            market_cap_percentage: { btc: 54.3, eth: 12.8 },
+            market_cap_change_percentage_24h_usd: 1.7,
+            updated_at: Math.floor(Date.now() / 1000)
+        }
+    };
+}
+
+function fearGreedResponse() {
+    return {
+        name: 'Fear and Greed Index',
+        data: [{ value: '62', value_classification: 'Greed', timestamp: String(Math.floor(Date.now() / 1000)) }],
+        metadata: { error: null }
+    };
+}
+
+function send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(payload);
+}
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, `http://127.0.0.1:${port}`);
+    hits += 1;
+    if (logHits) console.log(`#${hits} ${req.method} ${url.pathname}${url.search}`);
+
+    if (process.env.STUB_FAIL === '1') {
+        send(res, 503, { error: 'stub failure' });
+        return;
+    }
+
+    // Yahoo-Session: Cookie setzen, dann Crumb nur mit diesem Cookie herausgeben
+    if (url.pathname === '/cookie') {
+        res.writeHead(404, { 'Set-Cookie': `${STUB_COOKIE}; Path=/; HttpOnly` });
+        res.end();
+        return;
+    }
+
+    if (url.pathname === '/v1/test/getcrumb') {
+        const ok = req.headers.cookie === STUB_COOKIE;
+        res.writeHead(ok ? 200 : 401, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(ok ? STUB_CRUMB : 'Unauthorized');
+        return;
+    }
+
+    // Wie bei Yahoo: quoteSummary und v7/finance/quote nur mit Cookie + Crumb
+    const quoteSummary = url.pathname.match(/^\/v10\/finance\/quoteSummary\/([^/]+)$/);
+    const needsCrumb = quoteSummary || url.pathname === '/v7/finance/quote';
+    if (needsCrumb && (url.searchParams.get('crumb') !== STUB_CRUMB || req.headers.cookie !== STUB_COOKIE)) {
+        send(res, 401, { finance: { result: null, error: { code: 'Unauthorized', description: 'Invalid Crumb' } } });
+        return;
+    }
+
+    if (quoteSummary) {
+        send(res, 200, quoteSummaryResponse(decodeURIComponent(quoteSummary[1])));
+        return;
+    }
+
+    const chart = url.pathname.match(/^\/v8\/finance\/chart\/([^/]+)$/);
+    if (chart) {
+        send(res, 200, chartResponse(decodeURIComponent(chart[1])));
+        return;
+    }
+
+    if (url.pathname === '/v7/finance/quote') {
+        const symbols = String(url.searchParams.get('symbols') || '').split(',').filter(Boolean);
+        send(res, 200, quoteResponse(symbols));
+        return;
+    }
+
+    if (url.pathname === '/v8/finance/spark') {
+        const symbols = String(url.searchParams.get('symbols') || '').split(',').filter(Boolean);
+        send(res, 200, sparkResponse(symbols));
+        return;
+    }
+
+    const marketChart = url.pathname.match(/^\/api\/v3\/coins\/([^/]+)\/market_chart$/);
+    if (marketChart) {
+        send(res, 200, marketChartResponse(decodeURIComponent(marketChart[1])));
+        return;
+    }
+
+    const ohlc = url.pathname.match(/^\/api\/v3\/coins\/([^/]+)\/ohlc$/);
+    if (ohlc) {
+        send(res, 200, ohlcResponse(decodeURIComponent(ohlc[1])));
+        return;
+    }
+
+    if (url.pathname === '/api/v3/simple/price') {
+        const ids = String(url.searchParams.get('ids') || '').split(',').filter(Boolean);
+        const vsCurrencies = String(url.searchParams.get('vs_currencies') || 'usd').split(',').filter(Boolean);
+        send(res, 200, simplePriceResponse(ids, vsCurrencies));
+        return;
+    }
+
+    if (url.pathname === '/api/v3/coins/markets') {
+        const perPage = Math.min(250, Number(url.searchParams.get('per_page')) || 100);
+        const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+        send(res, 200, coinMarketsResponse(perPage, page));
+        return;
+    }
+
+    if (url.pathname === '/api/v3/global') {
+        send(res, 200, globalResponse());
+        return;
+    }
+
+    if (url.pathname === '/fng/' || url.pathname === '/fng') {
+        send(res, 200, fearGreedResponse());
+        return;
+    }
+
+    send(res, 404, { error: 'not stubbed' });
+}
+
+// Für tools/quote-relay.test.js: Stub ohne Hit-Log auf einem beliebigen Port starten
+function createStubServer() {
+    logHits = false;
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(port, '127.0.0.1', () => {
+        console.log(`🧪 Upstream-Stub läuft auf http://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createStubServer };
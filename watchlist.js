@@ -0,0 +1,297 @@
+// Watchlist für RBC Excellence
+// Stern-Button auf jeder Kurs-Card merkt das Instrument vor; watchlist.html zeigt alle
+// gemerkten Instrumente zusammen. Einträge sind die Cache-Keys aus live-data.js
+// ('cg:BTC', 'yahoo:^SSMI', ...); aktualisiert wird über dieselben Updater wie auf den
+// Einzelseiten (siehe initLiveData). Muss nach live-data.js geladen werden.
+//
+// Export: JSON { version, items: [{ key, name }] }. Import akzeptiert dieses Format oder eine
+// einfache Liste von Symbolen ("BTC, ^SSMI, GC=F, NVDA").
+
+const WATCHLIST_KEY = 'rbc_watchlist_v1';
+const WATCHLIST_EXPORT_VERSION = 1;
+const WATCHLIST_EXPORT_FILENAME = 'rbc-watchlist.json';
+
+function loadWatchlist() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(WATCHLIST_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(item => item && typeof item.key === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveWatchlist(items) {
+    try {
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(items));
+    } catch {
+        // ignore (quota/privacy mode)
+    }
+}
+
+function isWatched(key) {
+    return loadWatchlist().some(item => item.key === key);
+}
+
+// Symbole pro Quelle, so wie die Updater sie erwarten (Krypto: CoinGecko-IDs).
+function getWatchlistGroups() {
+    const groups = { crypto: [], stocks: [], indices: [], commodities: [] };
+    for (const item of loadWatchlist()) {
+        const parsed = parseQuoteKey(item.key);
+        if (parsed) groups[parsed.source].push(parsed.symbol);
+    }
+    return groups;
+}
+
+function getCardWatchItem(card) {
+    const info = getCardMarketSymbol(card);
+    if (!info) return null;
+    return {
+        key: info.source === 'crypto' ? `cg:${info.symbol}` : `yahoo:${info.symbol}`,
+        name: card.querySelector('h3')?.textContent.trim() || info.symbol
+    };
+}
+
+function toggleWatchlistItem(item) {
+    const items = loadWatchlist();
+    const index = items.findIndex(existing => existing.key === item.key);
+    if (index === -1) items.push(item);
+    else items.splice(index, 1);
+    saveWatchlist(items);
+    return index === -1;
+}
+
+function setToggleState(button, watched) {
+    button.classList.toggle('is-active', watched);
+    button.setAttribute('aria-pressed', String(watched));
+    button.title = watched ? t('watchlist.remove') : t('watchlist.add');
+    button.querySelector('i').className = watched ? 'fas fa-star' : 'far fa-star';
+}
+
+function addWatchlistToggle(card) {
+    const item = getCardWatchItem(card);
+    if (!item || card.querySelector('.watch-toggle')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watch-toggle';
+    button.dataset.key = item.key;
+    button.innerHTML = '<i aria-hidden="true"></i>';
+    button.setAttribute('aria-label', t('watchlist.toggle', { name: item.name }));
+    setToggleState(button, isWatched(item.key));
+
+    button.addEventListener('click', () => {
+        const watched = toggleWatchlistItem(item);
+        setToggleState(button, watched);
+        if (!watched && card.closest('.watchlist-grid')) removeWatchlistCard(card);
+    });
+
+    const header = card.querySelector('.crypto-header, .index-header, .futures-header') || card;
+    header.appendChild(button);
+}
+
+function addWatchlistToggles() {
+    document.querySelectorAll(QUOTE_CARD_SELECTOR).forEach(addWatchlistToggle);
+}
+
+// Andere Tabs haben die Watchlist geändert -> Sterne nachführen
+window.addEventListener('storage', event => {
+    if (event.key !== WATCHLIST_KEY) return;
+    document.querySelectorAll('.watch-toggle').forEach(button => {
+        setToggleState(button, isWatched(button.dataset.key));
+    });
+});
+
+// ==================== IMPORT / EXPORT ====================
+function exportWatchlist() {
+    const payload = {
+        version: WATCHLIST_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        items: loadWatchlist().map(({ key, name }) => ({ key, name }))
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = WATCHLIST_EXPORT_FILENAME;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function parseWatchlistImport(text) {
+    let entries;
+    try {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed?.items;
+        if (!Array.isArray(list)) throw new Error('Keine Einträge gefunden');
+        entries = list.map(entry => (typeof entry === 'string' ? { key: entry } : entry));
+    } catch {
+        entries = String(text).split(/[\s,;]+/).map(token => ({ key: token }));
+    }
+
+    const items = [];
+    for (const entry of entries) {
+        const key = resolveQuoteKey(entry?.key);
+        if (!key || items.some(item => item.key === key)) continue;
+        items.push({ key, name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : getQuoteKeyName(key) });
+    }
+    return items;
+}
+
+// Importierte Einträge werden hinten angehängt; bereits vorhandene bleiben unverändert.
+function importWatchlist(text) {
+    const items = loadWatchlist();
+    let added = 0;
+    for (const item of parseWatchlistImport(text)) {
+        if (items.some(existing => existing.key === item.key)) continue;
+        items.push(item);
+        added++;
+    }
+    saveWatchlist(items);
+    return added;
+}
+
+// ==================== WATCHLIST-SEITE ====================
+// Gleiches Markup wie auf den Einzelseiten (createInstrumentCard), damit Updater, Cache und
+// Sparklines greifen. Importierte Yahoo-Symbole ausserhalb des Katalogs bekommen eine generische
+// Aktien-Card (getCardMarketSymbol löst sie über data-watch-key auf). null für Keys, die sich
+// nicht mehr auflösen lassen (z.B. ein Coin, der nicht mehr im Katalog ist).
+function renderWatchlistCard(item) {
+    const parsed = parseQuoteKey(item.key);
+    if (!parsed) return null;
+
+    const card = createInstrumentCard(findInstrument(parsed.symbol) || {
+        symbol: parsed.symbol,
+        ticker: parsed.ticker,
+        name: item.name || parsed.ticker,
+        class: parsed.source
+    });
+    card.dataset.watchKey = item.key;
+    card.draggable = true;
+    card.appendChild(createWatchlistMoveControls(card));
+    return card;
+}
+
+function createWatchlistMoveControls(card) {
+    const controls = document.createElement('div');
+    controls.className = 'watch-move';
+    for (const [delta, label, icon] of [[-1, t('watchlist.moveForward'), 'fa-arrow-left'], [1, t('watchlist.moveBack'), 'fa-arrow-right']]) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+        button.addEventListener('click', () => moveWatchlistCard(card, delta));
+        controls.appendChild(button);
+    }
+    return controls;
+}
+
+function persistWatchlistOrder(grid) {
+    const order = [...grid.querySelectorAll('[data-watch-key]')].map(card => card.dataset.watchKey);
+    const items = loadWatchlist();
+    items.sort((a, b) => {
+        const ia = order.indexOf(a.key);
+        const ib = order.indexOf(b.key);
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+    });
+    saveWatchlist(items);
+}
+
+function moveWatchlistCard(card, delta) {
+    const grid = card.parentElement;
+    const sibling = delta < 0 ? card.previousElementSibling : card.nextElementSibling;
+    if (!sibling) return;
+    if (delta < 0) grid.insertBefore(card, sibling);
+    else grid.insertBefore(sibling, card);
+    persistWatchlistOrder(grid);
+    card.querySelector('.watch-move button')?.focus();
+}
+
+function enableWatchlistDragAndDrop(grid) {
+    let dragged = null;
+
+    grid.addEventListener('dragstart', event => {
+        dragged = event.target.closest('[data-watch-key]');
+        if (!dragged) return;
+        dragged.classList.add('is-dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', dragged.dataset.watchKey);
+    });
+
+    grid.addEventListener('dragover', event => {
+        if (!dragged) return;
+        event.preventDefault();
+        const target = event.target.closest('[data-watch-key]');
+        if (!target || target === dragged) return;
+
+        const rect = target.getBoundingClientRect();
+        const after = event.clientX > rect.left + rect.width / 2;
+        grid.insertBefore(dragged, after ? target.nextElementSibling : target);
+    });
+
+    grid.addEventListener('dragend', () => {
+        if (!dragged) return;
+        dragged.classList.remove('is-dragging');
+        dragged = null;
+        persistWatchlistOrder(grid);
+    });
+}
+
+function updateWatchlistEmptyState() {
+    const grid = document.querySelector('.watchlist-grid');
+    const empty = document.querySelector('.watchlist-empty');
+    if (!grid || !empty) return;
+    empty.hidden = grid.children.length > 0;
+}
+
+function removeWatchlistCard(card) {
+    card.remove();
+    updateWatchlistEmptyState();
+}
+
+function setWatchlistMessage(text) {
+    const message = document.querySelector('.watchlist-message');
+    if (message) message.textContent = text;
+}
+
+function initWatchlistPage(grid) {
+    const items = loadWatchlist();
+    const kept = items.filter(item => {
+        const card = renderWatchlistCard(item);
+        if (card) grid.appendChild(card);
+        return Boolean(card);
+    });
+    // Einträge ohne Card liessen sich sonst nie mehr entfernen
+    if (kept.length < items.length) {
+        saveWatchlist(kept);
+        setWatchlistMessage(t('watchlist.removedUnknown', { count: items.length - kept.length }));
+    }
+    updateWatchlistEmptyState();
+    enableWatchlistDragAndDrop(grid);
+
+    document.querySelector('.watchlist-export')?.addEventListener('click', () => {
+        exportWatchlist();
+        setWatchlistMessage(t('watchlist.exported', { count: loadWatchlist().length }));
+    });
+
+    const fileInput = document.querySelector('.watchlist-import-file');
+    document.querySelector('.watchlist-import')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        const added = importWatchlist(await file.text());
+        fileInput.value = '';
+        if (added === 0) {
+            setWatchlistMessage(t('watchlist.nothingNew'));
+            return;
+        }
+        // Neu aufbauen, damit die Updater die neuen Symbole mitladen
+        window.location.reload();
+    });
+}
+
+// Sofort (nicht erst bei DOMContentLoaded): die Cards müssen stehen, bevor initLiveData läuft.
+const watchlistGrid = document.querySelector('.watchlist-grid');
+if (watchlistGrid) initWatchlistPage(watchlistGrid);
+addWatchlistToggles();